@@ -0,0 +1,282 @@
+// Auto-approval as a weighted score with a reason per criterion, computed from
+// raw measurements under a versioned approval policy. Measurements come either
+// from a fresh scan result or from a stored fonts row, so a new policy can be
+// applied to the whole catalog without re-rendering a single font.
+//
+// A font is auto-approved when every required criterion passes and its score
+// (earned weight as a percentage of total weight) reaches minScore. The
+// built-in policy (version 1) reproduces the rule auto-approval used before
+// policies: ʻokina vs apostrophe difference above 50 pixels, the ʻokina and
+// every kahakō vowel supported, and decomposed kahakō rendering like
+// precomposed (the Hawaiian profile's requireCombiningMarks defaults to true).
+//
+// A font awaiting a regression review is never auto-approved, under any
+// policy (see holdApproval).
+
+const { isRegressionReviewOpen } = require('./scan-history');
+
+const DEFAULT_APPROVAL_POLICY = {
+  version: 1,
+  minScore: 100,
+  criteria: {
+    visualDistinction: { weight: 40, required: true, minPixelDifference: 50 },
+    okinaSupported: { weight: 20, required: true },
+    kahakoCoverage: { weight: 25, required: true, minPercentage: 100 },
+    combiningMarks: { weight: 15, required: true, maxMismatchRatio: 0.01 },
+    typography: { weight: 0, required: false, allowWarn: true },
+    okinaLookalikes: { weight: 0, required: false, allowWarn: true }
+  }
+};
+
+// Extra settings each criterion accepts, with a validator for each
+const CRITERION_SETTINGS = {
+  visualDistinction: { minPixelDifference: value => Number.isFinite(value) && value >= 0 },
+  okinaSupported: {},
+  kahakoCoverage: { minPercentage: value => Number.isFinite(value) && value >= 0 && value <= 100 },
+  combiningMarks: { maxMismatchRatio: value => Number.isFinite(value) && value >= 0 && value <= 1 },
+  typography: { allowWarn: value => typeof value === 'boolean' },
+  okinaLookalikes: { allowWarn: value => typeof value === 'boolean' }
+};
+
+// How each criterion judges the measurements: { passed, reason }. A
+// measurement older scans never recorded fails with a "not measured" reason.
+const CRITERIA = {
+  visualDistinction({ pixelDifference }, { minPixelDifference }) {
+    if (pixelDifference === null) return { passed: false, reason: 'ʻokina vs apostrophe difference not measured' };
+    return pixelDifference > minPixelDifference
+      ? { passed: true, reason: `ʻokina differs from the apostrophe by ${pixelDifference} pixels (more than ${minPixelDifference})` }
+      : { passed: false, reason: `ʻokina differs from the apostrophe by only ${pixelDifference} pixels (needs more than ${minPixelDifference})` };
+  },
+
+  okinaSupported({ okinaSupported }) {
+    if (okinaSupported === null) return { passed: false, reason: 'ʻokina support not measured' };
+    return okinaSupported
+      ? { passed: true, reason: 'Font has an ʻokina glyph (U+02BB)' }
+      : { passed: false, reason: 'Font has no ʻokina glyph (U+02BB)' };
+  },
+
+  kahakoCoverage({ diacriticalPercentage }, { minPercentage }) {
+    if (diacriticalPercentage === null) return { passed: false, reason: 'Kahakō coverage not measured' };
+    return diacriticalPercentage >= minPercentage
+      ? { passed: true, reason: `${diacriticalPercentage}% of kahakō vowels supported (needs ${minPercentage}%)` }
+      : { passed: false, reason: `Only ${diacriticalPercentage}% of kahakō vowels supported (needs ${minPercentage}%)` };
+  },
+
+  combiningMarks({ combiningMismatchRatios }, { maxMismatchRatio }) {
+    if (!combiningMismatchRatios) return { passed: false, reason: 'Decomposed kahakō rendering not measured' };
+    const failing = Object.entries(combiningMismatchRatios)
+      .filter(([, ratio]) => ratio === null || ratio > maxMismatchRatio)
+      .map(([vowel]) => vowel);
+    return failing.length === 0
+      ? { passed: true, reason: `Decomposed kahakō renders like precomposed (mismatch at most ${maxMismatchRatio})` }
+      : { passed: false, reason: `Decomposed kahakō renders differently for ${failing.join(' ')} (mismatch above ${maxMismatchRatio})` };
+  },
+
+  typography({ typographyStatus }, { allowWarn }) {
+    if (!typographyStatus) return { passed: false, reason: 'Typography checks not measured' };
+    const passed = typographyStatus === 'pass' || (allowWarn && typographyStatus === 'warn');
+    return { passed, reason: `Typography checks: ${typographyStatus}` };
+  },
+
+  okinaLookalikes({ okinaLookalikesStatus }, { allowWarn }) {
+    if (!okinaLookalikesStatus) return { passed: false, reason: 'ʻokina lookalike matrix not measured' };
+    const passed = okinaLookalikesStatus === 'pass' || (allowWarn && okinaLookalikesStatus === 'warn');
+    return { passed, reason: `ʻokina lookalikes and orientation: ${okinaLookalikesStatus}` };
+  }
+};
+
+const toNumber = value => (value === null || value === undefined ? null : Number(value));
+
+function getMismatchRatios(combiningMarkSupport) {
+  if (!combiningMarkSupport?.individual) return null;
+  return Object.fromEntries(Object.entries(combiningMarkSupport.individual)
+    .map(([vowel, result]) => [vowel, result.mismatchRatio ?? null]));
+}
+
+// Measurements of a scan result, rounded the way they are stored
+function getScanMeasurements(scanResult) {
+  const support = scanResult.diacriticalSupport;
+
+  return {
+    pixelDifference: scanResult.okenVsApostropheDifference === undefined || scanResult.okenVsApostropheDifference === null
+      ? null
+      : Math.round(scanResult.okenVsApostropheDifference),
+    okinaSupported: support ? Boolean(support.okinaSupported) : null,
+    diacriticalPercentage: support ? Math.round((support.percentageSupported || 0) * 100) / 100 : null,
+    combiningMismatchRatios: getMismatchRatios(scanResult.combiningMarkSupport),
+    typographyStatus: scanResult.typographyQuality?.status || null,
+    okinaLookalikesStatus: scanResult.okinaConfusables?.status || null
+  };
+}
+
+// Measurements of a stored fonts row; okina_supported comes from the
+// default variant's character support
+function getFontMeasurements(font) {
+  return {
+    pixelDifference: toNumber(font.oken_vs_apostrophe_difference),
+    okinaSupported: font.okina_supported ?? null,
+    diacriticalPercentage: toNumber(font.diacritical_percentage),
+    combiningMismatchRatios: getMismatchRatios(font.combining_mark_support),
+    typographyStatus: font.typography_quality?.status || null,
+    okinaLookalikesStatus: font.okina_confusables?.status || null
+  };
+}
+
+// Fill omitted criteria and settings from the built-in policy and check the
+// rest. Returns { policy } or { error } with a user-facing message.
+function normalizeApprovalPolicy(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'policy must be an object' };
+  }
+
+  const { minScore = DEFAULT_APPROVAL_POLICY.minScore, criteria = {} } = input;
+
+  if (!Number.isFinite(minScore) || minScore < 0 || minScore > 100) {
+    return { error: 'minScore must be a number from 0 to 100' };
+  }
+  if (typeof criteria !== 'object' || Array.isArray(criteria)) {
+    return { error: 'criteria must be an object' };
+  }
+
+  const unknown = Object.keys(criteria).filter(name => !CRITERIA[name]);
+  if (unknown.length > 0) {
+    return { error: `Unknown criteria: ${unknown.join(', ')}. Criteria are: ${Object.keys(CRITERIA).join(', ')}` };
+  }
+
+  const normalized = {};
+  for (const [name, defaults] of Object.entries(DEFAULT_APPROVAL_POLICY.criteria)) {
+    const criterion = { ...defaults, ...criteria[name] };
+
+    if (!Number.isFinite(criterion.weight) || criterion.weight < 0) {
+      return { error: `criteria.${name}.weight must be a number of at least 0` };
+    }
+    if (typeof criterion.required !== 'boolean') {
+      return { error: `criteria.${name}.required must be true or false` };
+    }
+
+    const settings = CRITERION_SETTINGS[name];
+    for (const key of Object.keys(criterion)) {
+      if (key === 'weight' || key === 'required') continue;
+      if (!settings[key]) {
+        return { error: `criteria.${name} has no setting ${key}` };
+      }
+      if (!settings[key](criterion[key])) {
+        return { error: `criteria.${name}.${key} is not valid` };
+      }
+    }
+
+    normalized[name] = criterion;
+  }
+
+  if (Object.values(normalized).every(criterion => criterion.weight === 0)) {
+    return { error: 'At least one criterion needs a weight above 0' };
+  }
+
+  return { policy: { minScore, criteria: normalized } };
+}
+
+// { policyVersion, score, approved, criteria: [{ criterion, passed, required,
+// weight, earned, reason }] }
+function scoreApproval(measurements, policy = DEFAULT_APPROVAL_POLICY) {
+  const criteria = Object.entries(policy.criteria).map(([name, settings]) => {
+    const { passed, reason } = CRITERIA[name](measurements, settings);
+    return {
+      criterion: name,
+      passed,
+      required: settings.required,
+      weight: settings.weight,
+      earned: passed ? settings.weight : 0,
+      reason
+    };
+  });
+
+  const totalWeight = criteria.reduce((sum, criterion) => sum + criterion.weight, 0);
+  const earnedWeight = criteria.reduce((sum, criterion) => sum + criterion.earned, 0);
+  const score = totalWeight > 0 ? Math.round((earnedWeight / totalWeight) * 1000) / 10 : 0;
+  const missingRequired = criteria.filter(criterion => criterion.required && !criterion.passed);
+
+  return {
+    policyVersion: policy.version,
+    score,
+    approved: missingRequired.length === 0 && score >= policy.minScore,
+    criteria
+  };
+}
+
+// An approval kept from auto-approving because the font awaits a regression
+// review. The failing required criterion keeps the stored reasons in line
+// with auto_approved.
+function holdApproval(approval, reason) {
+  return {
+    ...approval,
+    approved: false,
+    criteria: [
+      ...approval.criteria,
+      { criterion: 'regressionReview', passed: false, required: true, weight: 0, earned: 0, reason }
+    ]
+  };
+}
+
+// Scoring policy for a stored approval_policies row (the built-in policy when
+// no policy has been activated)
+function policyFromRow(row) {
+  return row ? { version: row.version, ...row.policy } : DEFAULT_APPROVAL_POLICY;
+}
+
+// Score every font under a policy and count what would change. fonts are
+// listFontsForApproval rows. A flip changes auto_approved; manual reviews
+// still override it in the catalog. Fonts awaiting a regression review are
+// held out of auto-approval just as when they are scanned.
+function evaluateCatalog(fonts, policy) {
+  const evaluations = fonts.map(font => {
+    const scored = scoreApproval(getFontMeasurements(font), policy);
+    const approval = isRegressionReviewOpen(font) ? holdApproval(scored, font.review_requested_reason) : scored;
+    return { font, approval, flipped: approval.approved !== Boolean(font.auto_approved) };
+  });
+  const flipped = evaluations.filter(evaluation => evaluation.flipped);
+
+  return {
+    evaluations,
+    summary: {
+      total: evaluations.length,
+      approved: evaluations.filter(({ approval }) => approval.approved).length,
+      notApproved: evaluations.filter(({ approval }) => !approval.approved).length,
+      flipped: flipped.length,
+      newlyApproved: flipped.filter(({ approval }) => approval.approved).length,
+      newlyNotApproved: flipped.filter(({ approval }) => !approval.approved).length
+    },
+    flips: flipped.map(({ font, approval }) => ({
+      id: font.id,
+      fontFamily: font.font_family,
+      source: font.source,
+      autoApproved: [Boolean(font.auto_approved), approval.approved],
+      score: [font.approval_score === null || font.approval_score === undefined ? null : Number(font.approval_score), approval.score],
+      manuallyReviewed: Boolean(font.manually_reviewed),
+      failedCriteria: approval.criteria
+        .filter(criterion => !criterion.passed && (criterion.required || criterion.weight > 0))
+        .map(criterion => criterion.reason)
+    }))
+  };
+}
+
+// The approval_* columns for an approval
+function buildApprovalColumns(approval) {
+  return {
+    auto_approved: approval.approved,
+    approval_score: approval.score,
+    approval_reasons: approval.criteria,
+    approval_policy_version: approval.policyVersion
+  };
+}
+
+module.exports = {
+  DEFAULT_APPROVAL_POLICY,
+  getScanMeasurements,
+  getFontMeasurements,
+  normalizeApprovalPolicy,
+  scoreApproval,
+  holdApproval,
+  policyFromRow,
+  evaluateCatalog,
+  buildApprovalColumns
+};
@@ -0,0 +1,97 @@
+const crypto = require('crypto');
+
+// Higher roles include everything lower roles can do
+const ROLE_LEVELS = {
+  reviewer: 1,
+  admin: 2
+};
+
+const ROLES = Object.keys(ROLE_LEVELS);
+
+function generateApiKey() {
+  return `hfk_${crypto.randomBytes(24).toString('base64url')}`;
+}
+
+// Keys are stored as SHA-256 hashes; the plaintext is only shown once at creation
+function hashApiKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+function safeEqual(a, b) {
+  const aBuffer = Buffer.from(a);
+  const bBuffer = Buffer.from(b);
+  return aBuffer.length === bBuffer.length && crypto.timingSafeEqual(aBuffer, bBuffer);
+}
+
+// Accepts "Authorization: Bearer <key>" or "X-API-Key: <key>". EventSource
+// cannot send headers, so SSE streams may also pass ?apiKey=<key>.
+function extractApiKey(req) {
+  const authorization = req.get('authorization');
+  if (authorization && authorization.startsWith('Bearer ')) {
+    return authorization.slice('Bearer '.length).trim();
+  }
+
+  if (req.get('x-api-key')) {
+    return req.get('x-api-key').trim();
+  }
+
+  if (req.method === 'GET' && req.path.endsWith('/stream') && typeof req.query.apiKey === 'string') {
+    return req.query.apiKey;
+  }
+
+  return null;
+}
+
+function createAuth(repository) {
+  // ADMIN_API_KEY bootstraps the first admin before any keys exist in the database
+  const bootstrapKey = process.env.ADMIN_API_KEY || null;
+
+  async function findApiKey(key) {
+    if (bootstrapKey && safeEqual(key, bootstrapKey)) {
+      return { id: null, name: 'bootstrap-admin', role: 'admin' };
+    }
+
+    return repository.useApiKey(hashApiKey(key));
+  }
+
+  // Resolve the caller's key into req.apiKey; rejects missing or unknown keys
+  async function authenticate(req, res, next) {
+    try {
+      if (req.apiKey) return next();
+
+      const key = extractApiKey(req);
+      if (!key) {
+        return res.status(401).json({ error: 'Authentication required' });
+      }
+
+      const apiKey = await findApiKey(key);
+      if (!apiKey) {
+        return res.status(401).json({ error: 'Invalid or revoked API key' });
+      }
+
+      req.apiKey = apiKey;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  function requireRole(role) {
+    return [authenticate, (req, res, next) => {
+      if (ROLE_LEVELS[req.apiKey.role] >= ROLE_LEVELS[role]) {
+        return next();
+      }
+
+      res.status(403).json({ error: `Requires ${role} role` });
+    }];
+  }
+
+  return { authenticate, requireRole };
+}
+
+module.exports = {
+  ROLES,
+  generateApiKey,
+  hashApiKey,
+  createAuth
+};
@@ -0,0 +1,133 @@
+const path = require('path');
+const { buildGoogleCss2Url, getVariantName, parseVariantName, escapeCssString } = require('./font-sources');
+const { formatCodePoint } = require('./glyph-coverage');
+
+// The Hawaiian alphabet (both cases) plus ʻokina and kahakō vowels
+const HAWAIIAN_CHARACTERS = 'AEIOUHKLMNPWaeiouhklmnpwĀĒĪŌŪāēīōūʻ';
+
+const CATEGORY_FALLBACKS = {
+  serif: 'serif',
+  'sans-serif': 'sans-serif',
+  monospace: 'monospace',
+  handwriting: 'cursive',
+  display: 'sans-serif'
+};
+
+const FONT_FILE_FORMATS = {
+  '.ttf': 'truetype',
+  '.otf': 'opentype',
+  '.woff': 'woff',
+  '.woff2': 'woff2'
+};
+
+// Compress code points into a CSS unicode-range list, e.g. "U+0041, U+0048-0049"
+function buildUnicodeRange(characters) {
+  const codePoints = [...new Set(Array.from(characters).map(c => c.codePointAt(0)))].sort((a, b) => a - b);
+  const ranges = [];
+
+  for (const codePoint of codePoints) {
+    const last = ranges[ranges.length - 1];
+    if (last && codePoint === last[1] + 1) {
+      last[1] = codePoint;
+    } else {
+      ranges.push([codePoint, codePoint]);
+    }
+  }
+
+  return ranges
+    .map(([start, end]) => (start === end
+      ? formatCodePoint(start)
+      : `${formatCodePoint(start)}-${end.toString(16).toUpperCase().padStart(4, '0')}`))
+    .join(', ');
+}
+
+// Pick variants from ?variants=regular,700italic or ?weights=400,700&italic=true.
+// Returns { variants, explicit } or { error }.
+function selectVariants(fontData, query) {
+  const available = fontData.variants || ['regular'];
+  let requested;
+
+  if (query.variants) {
+    requested = String(query.variants).split(',').map(v => v.trim()).filter(Boolean);
+  } else if (query.weights) {
+    const weights = String(query.weights).split(',').map(Number);
+    if (weights.some(weight => !Number.isInteger(weight))) {
+      return { error: 'weights must be a comma-separated list of numbers such as 400,700' };
+    }
+    requested = weights.flatMap(weight => [
+      getVariantName(weight, false),
+      ...(query.italic === 'true' ? [getVariantName(weight, true)] : [])
+    ]);
+  } else {
+    return { variants: [available.includes('regular') ? 'regular' : available[0]], explicit: false };
+  }
+
+  const unavailable = requested.filter(variant => !available.includes(variant));
+  if (unavailable.length > 0) {
+    return { error: `Variants not available: ${unavailable.join(', ')} (available: ${available.join(', ')})` };
+  }
+
+  return { variants: requested, explicit: true };
+}
+
+function buildLinkSnippet(url) {
+  return [
+    '<link rel="preconnect" href="https://fonts.googleapis.com">',
+    '<link rel="preconnect" href="https://fonts.gstatic.com" crossorigin>',
+    `<link href="${url}" rel="stylesheet">`
+  ].join('\n');
+}
+
+// Ready-to-paste snippets for a Google Fonts family stored by the scanner
+function buildEmbedCode(fontData, variants, options = {}) {
+  const { explicit = false } = options;
+
+  // Explicitly chosen weights load static instances instead of the full axis range
+  const urlFont = explicit ? { ...fontData, axes: null } : fontData;
+  const fullUrl = buildGoogleCss2Url(urlFont, { variants });
+  const subsetUrl = buildGoogleCss2Url(urlFont, { variants, text: HAWAIIAN_CHARACTERS });
+  const unicodeRange = buildUnicodeRange(HAWAIIAN_CHARACTERS);
+
+  const fontFace = variants
+    .filter(variant => fontData.files?.[variant])
+    .map(variant => {
+      const url = fontData.files[variant].replace(/^http:\/\//i, 'https://');
+      const format = FONT_FILE_FORMATS[path.extname(new URL(url).pathname).toLowerCase()] || 'truetype';
+      const { weight, italic } = parseVariantName(variant);
+
+      return [
+        '@font-face {',
+        `  font-family: ${escapeCssString(fontData.family)};`,
+        `  font-style: ${italic ? 'italic' : 'normal'};`,
+        `  font-weight: ${weight};`,
+        '  font-display: swap;',
+        `  src: url("${url}") format("${format}");`,
+        '}'
+      ].join('\n');
+    })
+    .join('\n\n');
+
+  return {
+    fontFamily: fontData.family,
+    variants,
+    subsetCharacters: HAWAIIAN_CHARACTERS,
+    snippets: {
+      link: buildLinkSnippet(fullUrl),
+      subsetLink: buildLinkSnippet(subsetUrl),
+      fontFace,
+      unicodeRange: `unicode-range: ${unicodeRange};`,
+      cssFontFamily: `font-family: ${escapeCssString(fontData.family)}, ${CATEGORY_FALLBACKS[fontData.category] || 'sans-serif'};`
+    },
+    urls: {
+      css: fullUrl,
+      subsetCss: subsetUrl
+    }
+  };
+}
+
+module.exports = {
+  HAWAIIAN_CHARACTERS,
+  buildUnicodeRange,
+  selectVariants,
+  buildEmbedCode
+};
@@ -0,0 +1,381 @@
+// Filters for catalog queries (GET /api/fonts and anything that should list
+// the same fonts). Each filter is { key, clause, params, matches } where
+// clause uses "?" placeholders; buildWhereClause numbers them, so facets can
+// rebuild the WHERE clause without their own filter. matches(font) is the
+// same test on a fonts row, for the in-memory repository.
+
+const { PRIMARY_LANGUAGE } = require('./language-profiles');
+
+// Characters dropped before matching so "Aina" finds "ʻĀina" and "Hawaii" finds "Hawaiʻi"
+const SEARCH_IGNORED_CHARACTERS = "ʻʼ'‘’`";
+
+function normalizeSearchText(text) {
+  return text
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .split('')
+    .filter(char => !SEARCH_IGNORED_CHARACTERS.includes(char))
+    .join('')
+    .toLowerCase();
+}
+
+// LIKE treats % and _ as wildcards; searches match them literally
+function escapeLikePattern(text) {
+  return text.replace(/[\\%_]/g, '\\$&');
+}
+
+function parseList(value) {
+  if (!value) return [];
+  return (Array.isArray(value) ? value : String(value).split(','))
+    .map(item => item.trim())
+    .filter(Boolean);
+}
+
+function parseBoolean(value) {
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  return null;
+}
+
+function parseNumber(value) {
+  if (value === undefined || value === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+// Boolean query parameters and the font columns they filter on
+const BOOLEAN_FILTERS = {
+  hasVisualDistinction: 'f.has_visual_distinction',
+  allDiacriticalsSupported: 'f.all_diacriticals_supported',
+  allVariantsSupported: 'f.all_variants_supported'
+};
+
+// A manual rejection overrides auto-approval in every language
+const isApproved = font =>
+  (font.auto_approved || font.manually_approved === true) && font.manually_approved !== false && !font.needs_review;
+const getVariants = font => font.font_metadata?.variants || [];
+const getSubsets = font => font.font_metadata?.subsets || [];
+const getAxisTags = font => (font.font_metadata?.axes || []).map(axis => axis.tag);
+const hasItalic = font => getVariants(font).some(variant => variant.endsWith('italic'));
+const isVariable = font => getAxisTags(font).length > 0;
+
+// In-memory tests for the boolean facets, matching the SQL in getFontFacets
+const BOOLEAN_MATCHERS = {
+  hasVisualDistinction: font => Boolean(font.has_visual_distinction),
+  allDiacriticalsSupported: font => Boolean(font.all_diacriticals_supported),
+  allVariantsSupported: font => Boolean(font.all_variants_supported),
+  hasItalic,
+  isVariable
+};
+
+const HAS_ITALIC_SQL = `EXISTS (
+  SELECT 1 FROM jsonb_array_elements_text(COALESCE(f.font_metadata->'variants', '[]'::jsonb)) AS v(variant)
+  WHERE v.variant LIKE '%italic'
+)`;
+
+const IS_VARIABLE_SQL = `jsonb_array_length(COALESCE(f.font_metadata->'axes', '[]'::jsonb)) > 0`;
+
+// Approval for another language profile comes from the scanner alone
+// (approved_languages); manual reviews judge Hawaiian support, but a rejection
+// or an open review still keeps the font out
+function buildLanguageApprovalFilter(approvalStatus, language) {
+  const isLanguageApproved = font => (font.approved_languages || []).includes(language);
+
+  if (approvalStatus === 'approved') {
+    return {
+      key: 'approvalStatus',
+      clause: '? = ANY(f.approved_languages) AND f.manually_approved IS DISTINCT FROM FALSE AND f.needs_review = FALSE',
+      params: [language],
+      matches: font => isLanguageApproved(font) && font.manually_approved !== false && !font.needs_review
+    };
+  }
+  if (approvalStatus === 'pending') {
+    return {
+      key: 'approvalStatus',
+      clause: '((NOT (? = ANY(f.approved_languages)) AND f.manually_reviewed = FALSE) OR f.needs_review = TRUE)',
+      params: [language],
+      matches: font => (!isLanguageApproved(font) && !font.manually_reviewed) || font.needs_review
+    };
+  }
+  return null;
+}
+
+// query.language must already be a known language profile code
+function buildFontFilters(query) {
+  const filters = [{ key: 'active', clause: 'f.is_active = TRUE', params: [], matches: font => font.is_active }];
+  const { approvalStatus = 'approved', language = PRIMARY_LANGUAGE } = query;
+  const languageFilter = language === PRIMARY_LANGUAGE ? null : buildLanguageApprovalFilter(approvalStatus, language);
+
+  // Fonts flagged by user reports go back to the review queue until re-reviewed
+  if (languageFilter) {
+    filters.push(languageFilter);
+  } else if (approvalStatus === 'approved') {
+    filters.push({
+      key: 'approvalStatus',
+      clause: '(f.auto_approved = TRUE OR f.manually_approved = TRUE) AND f.manually_approved IS DISTINCT FROM FALSE AND f.needs_review = FALSE',
+      params: [],
+      matches: isApproved
+    });
+  } else if (approvalStatus === 'pending') {
+    filters.push({
+      key: 'approvalStatus',
+      clause: '((f.auto_approved = FALSE AND f.manually_reviewed = FALSE) OR f.needs_review = TRUE)',
+      params: [],
+      matches: font => (!font.auto_approved && !font.manually_reviewed) || font.needs_review
+    });
+  } else if (approvalStatus === 'rejected') {
+    filters.push({
+      key: 'approvalStatus',
+      clause: 'f.manually_approved = FALSE',
+      params: [],
+      matches: font => font.manually_approved === false
+    });
+  }
+
+  const categories = parseList(query.category);
+  if (categories.length > 0) {
+    filters.push({
+      key: 'category',
+      clause: 'f.google_font_category = ANY(?)',
+      params: [categories],
+      matches: font => categories.includes(font.google_font_category)
+    });
+  }
+
+  // Accent- and ʻokina-insensitive match on the family name
+  if (query.search) {
+    const search = normalizeSearchText(query.search);
+    filters.push({
+      key: 'search',
+      clause: `translate(lower(unaccent(f.font_family)), '${SEARCH_IGNORED_CHARACTERS.replace(/'/g, "''")}', '') LIKE ? ESCAPE '\\'`,
+      params: [`%${escapeLikePattern(search)}%`],
+      matches: font => normalizeSearchText(font.font_family).includes(search)
+    });
+  }
+
+  // Worst typography check (kahakō clipping/collision, ʻokina spacing)
+  const typographyStatuses = parseList(query.typographyStatus);
+  if (typographyStatuses.length > 0) {
+    filters.push({
+      key: 'typographyStatus',
+      clause: "f.typography_quality->>'status' = ANY(?)",
+      params: [typographyStatuses],
+      matches: font => typographyStatuses.includes(font.typography_quality?.status)
+    });
+  }
+
+  const minPercentage = parseNumber(query.minDiacriticalPercentage);
+  if (minPercentage !== null) {
+    filters.push({
+      key: 'diacriticalPercentage',
+      clause: 'f.diacritical_percentage >= ?',
+      params: [minPercentage],
+      matches: font => Number(font.diacritical_percentage) >= minPercentage
+    });
+  }
+
+  const maxPercentage = parseNumber(query.maxDiacriticalPercentage);
+  if (maxPercentage !== null) {
+    filters.push({
+      key: 'diacriticalPercentage',
+      clause: 'f.diacritical_percentage <= ?',
+      params: [maxPercentage],
+      matches: font => Number(font.diacritical_percentage) <= maxPercentage
+    });
+  }
+
+  for (const [param, column] of Object.entries(BOOLEAN_FILTERS)) {
+    const value = parseBoolean(query[param]);
+    if (value !== null) {
+      filters.push({
+        key: param,
+        clause: `${column} = ?`,
+        params: [value],
+        matches: font => BOOLEAN_MATCHERS[param](font) === value
+      });
+    }
+  }
+
+  // Fonts must include every requested subset
+  const subsets = parseList(query.subset);
+  if (subsets.length > 0) {
+    filters.push({
+      key: 'subset',
+      clause: "f.font_metadata->'subsets' @> ?::jsonb",
+      params: [JSON.stringify(subsets)],
+      matches: font => subsets.every(subset => getSubsets(font).includes(subset))
+    });
+  }
+
+  const minVariants = parseNumber(query.minVariants);
+  if (minVariants !== null) {
+    filters.push({
+      key: 'variantCount',
+      clause: 'f.variant_count >= ?',
+      params: [minVariants],
+      matches: font => font.variant_count >= minVariants
+    });
+  }
+
+  const maxVariants = parseNumber(query.maxVariants);
+  if (maxVariants !== null) {
+    filters.push({
+      key: 'variantCount',
+      clause: 'f.variant_count <= ?',
+      params: [maxVariants],
+      matches: font => font.variant_count <= maxVariants
+    });
+  }
+
+  const italic = parseBoolean(query.hasItalic);
+  if (italic !== null) {
+    filters.push({
+      key: 'hasItalic',
+      clause: italic ? HAS_ITALIC_SQL : `NOT ${HAS_ITALIC_SQL}`,
+      params: [],
+      matches: font => hasItalic(font) === italic
+    });
+  }
+
+  const variable = parseBoolean(query.isVariable);
+  if (variable !== null) {
+    filters.push({
+      key: 'isVariable',
+      clause: variable ? IS_VARIABLE_SQL : `NOT (${IS_VARIABLE_SQL})`,
+      params: [],
+      matches: font => isVariable(font) === variable
+    });
+  }
+
+  // Variable fonts must have every requested axis
+  const axes = parseList(query.axis);
+  if (axes.length > 0) {
+    filters.push({
+      key: 'axis',
+      clause: "f.font_metadata->'axes' @> ?::jsonb",
+      params: [JSON.stringify(axes.map(tag => ({ tag })))],
+      matches: font => axes.every(tag => getAxisTags(font).includes(tag))
+    });
+  }
+
+  return filters;
+}
+
+// Number the "?" placeholders from paramOffset + 1; filters whose key is in
+// exclude are left out (used for facet counts)
+function buildWhereClause(filters, options = {}) {
+  const { exclude = [], paramOffset = 0 } = options;
+  const params = [];
+  const clauses = [];
+
+  for (const filter of filters) {
+    if (exclude.includes(filter.key)) continue;
+
+    let paramIndex = 0;
+    clauses.push(filter.clause.replace(/\?/g, () => {
+      params.push(filter.params[paramIndex++]);
+      return `$${paramOffset + params.length}`;
+    }));
+  }
+
+  return {
+    whereClause: clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '',
+    params
+  };
+}
+
+// Facet counts for the filter UI ("serif (42)"). Each facet is counted with
+// every other active filter applied but not its own, so choosing one value
+// still shows the counts for the alternatives.
+async function getFontFacets(pool, filters) {
+  const run = async (exclude, sql) => {
+    const { whereClause, params } = buildWhereClause(filters, { exclude });
+    const result = await pool.query(sql(whereClause), params);
+    return result.rows;
+  };
+
+  const toCounts = rows => Object.fromEntries(
+    rows.filter(row => row.value !== null).map(row => [row.value, parseInt(row.count)])
+  );
+
+  const [categories, subsets, axes, flags] = await Promise.all([
+    run(['category'], where => `
+      SELECT f.google_font_category as value, COUNT(*) as count
+      FROM fonts f ${where}
+      GROUP BY f.google_font_category
+      ORDER BY count DESC
+    `),
+    run(['subset'], where => `
+      SELECT s.subset as value, COUNT(*) as count
+      FROM fonts f
+      CROSS JOIN LATERAL jsonb_array_elements_text(COALESCE(f.font_metadata->'subsets', '[]'::jsonb)) AS s(subset)
+      ${where}
+      GROUP BY s.subset
+      ORDER BY count DESC
+    `),
+    run(['axis'], where => `
+      SELECT a.axis->>'tag' as value, COUNT(*) as count
+      FROM fonts f
+      CROSS JOIN LATERAL jsonb_array_elements(COALESCE(f.font_metadata->'axes', '[]'::jsonb)) AS a(axis)
+      ${where}
+      GROUP BY a.axis->>'tag'
+      ORDER BY count DESC
+    `),
+    Promise.all(['hasVisualDistinction', 'allDiacriticalsSupported', 'allVariantsSupported', 'hasItalic', 'isVariable']
+      .map(key => {
+        const sql = BOOLEAN_FILTERS[key] || (key === 'hasItalic' ? HAS_ITALIC_SQL : IS_VARIABLE_SQL);
+        return run([key], where => `
+          SELECT COUNT(*) FILTER (WHERE ${sql}) as true_count,
+                 COUNT(*) FILTER (WHERE NOT (${sql})) as false_count
+          FROM fonts f ${where}
+        `).then(rows => [key, { true: parseInt(rows[0].true_count), false: parseInt(rows[0].false_count) }]);
+      }))
+  ]);
+
+  return {
+    category: toCounts(categories),
+    subset: toCounts(subsets),
+    axis: toCounts(axes),
+    ...Object.fromEntries(flags)
+  };
+}
+
+// getFontFacets for fonts rows held in memory
+function countFontFacets(fonts, filters) {
+  const matching = exclude => fonts.filter(font => filters
+    .filter(filter => !exclude.includes(filter.key))
+    .every(filter => filter.matches(font)));
+
+  const countValues = (exclude, getValues) => {
+    const counts = {};
+    for (const font of matching(exclude)) {
+      for (const value of getValues(font)) {
+        if (value !== null && value !== undefined) {
+          counts[value] = (counts[value] || 0) + 1;
+        }
+      }
+    }
+    return Object.fromEntries(Object.entries(counts).sort((a, b) => b[1] - a[1]));
+  };
+
+  const flags = Object.entries(BOOLEAN_MATCHERS).map(([key, matcher]) => {
+    const candidates = matching([key]);
+    const trueCount = candidates.filter(matcher).length;
+    return [key, { true: trueCount, false: candidates.length - trueCount }];
+  });
+
+  return {
+    category: countValues(['category'], font => [font.google_font_category]),
+    subset: countValues(['subset'], getSubsets),
+    axis: countValues(['axis'], getAxisTags),
+    ...Object.fromEntries(flags)
+  };
+}
+
+module.exports = {
+  normalizeSearchText,
+  buildFontFilters,
+  buildWhereClause,
+  getFontFacets,
+  countFontFacets
+};
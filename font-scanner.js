@@ -2,20 +2,82 @@ const puppeteer = require('puppeteer');
 const axios = require('axios');
 const fs = require('fs').promises;
 const path = require('path');
+const { pickFontFile, createFontLoader, getCodePointCoverage, formatCodePoint } = require('./glyph-coverage');
+const { compareImages, measureInk } = require('./image-compare');
+const { getTypographySamples, evaluateTypography } = require('./typography-quality');
+const { DEFAULT_APPROVAL_POLICY, getScanMeasurements, scoreApproval } = require('./approval-policy');
+const {
+  OKINA_CONFUSABLES,
+  buildConfusableMatrix,
+  checkOkinaOrientation,
+  summarizeOkinaConfusables
+} = require('./okina-confusables');
+const { createFontSource, getVariantInstances, escapeCssString } = require('./font-sources');
+const {
+  PRIMARY_LANGUAGE,
+  loadLanguageProfiles,
+  getLanguageProfile,
+  getProfileTestSet,
+  evaluateLanguageProfiles
+} = require('./language-profiles');
+
+// Inline CSS for a variant instance
+function getVariantStyle(instance) {
+  const variationSettings = Object.entries(instance.axes || {})
+    .map(([tag, value]) => `"${tag}" ${value}`)
+    .join(', ');
+
+  return {
+    fontWeight: String(instance.weight),
+    fontStyle: instance.italic ? 'italic' : 'normal',
+    fontVariationSettings: variationSettings || 'normal'
+  };
+}
 
 class HawaiianFontScanner {
   constructor(options = {}) {
     this.batchSize = options.batchSize || 50;
-    this.googleFontsApiKey = process.env.GOOGLE_FONTS_API_KEY || null; // Optional for better rate limits
-    this.pixelThreshold = options.pixelThreshold || 50; // Minimum pixel difference for auto-approval
-    this.testPhrase = "Ua mau ke ea o ka ʻĀina i ka pono";
+    this.fontSource = options.fontSource || createFontSource(options); // Google Fonts unless configured otherwise
+    this.catalogSnapshotId = options.catalogSnapshotId || null; // Pins Google Fonts listings so offsets stay stable
+    this.pixelThreshold = options.pixelThreshold || 50; // Minimum mismatched pixels between confusable characters (ʻokina vs apostrophe) for approval
+    this.diffImageDir = options.diffImageDir || process.env.SCAN_DIFF_IMAGE_DIR || null; // Optional debug output
+    this.languageProfiles = options.languageProfiles || loadLanguageProfiles(); // Every font is evaluated against each profile
+
+    const profileTests = getProfileTestSet(this.languageProfiles);
+    this.testPhrase = getLanguageProfile(PRIMARY_LANGUAGE, this.languageProfiles).specimenPhrases[0];
     this.testCharacters = {
       okina: 'ʻ', // U+02BB
       apostrophe: "'", // U+0027
-      lowercase: ['ā', 'ē', 'ī', 'ō', 'ū'],
-      uppercase: ['Ā', 'Ē', 'Ī', 'Ō', 'Ū']
+      lowercase: profileTests.macronVowels.filter(vowel => vowel === vowel.toLowerCase()),
+      uppercase: profileTests.macronVowels.filter(vowel => vowel !== vowel.toLowerCase()),
+      combiningMacron: '\u0304', // Decomposed (NFD) kahakō
+      profileCharacters: profileTests.characters
+    };
+    // ʻokina vs apostrophe always comes first: it drives hasVisualDistinction
+    this.confusablePairs = [
+      [this.testCharacters.okina, this.testCharacters.apostrophe],
+      ...profileTests.confusablePairs.filter(([first, second]) =>
+        first !== this.testCharacters.okina || second !== this.testCharacters.apostrophe)
+    ];
+    this.combiningMismatchThreshold = options.combiningMismatchThreshold || 0.01; // Max NFC vs NFD mismatch ratio
+    this.typographyThresholds = options.typographyThresholds || {}; // Overrides for typography-quality.js
+    // Scans are scored for the CLI; stored results are re-scored under the active policy
+    this.approvalPolicy = options.approvalPolicy || {
+      ...DEFAULT_APPROVAL_POLICY,
+      criteria: {
+        ...DEFAULT_APPROVAL_POLICY.criteria,
+        visualDistinction: { ...DEFAULT_APPROVAL_POLICY.criteria.visualDistinction, minPixelDifference: this.pixelThreshold }
+      }
     };
+    this.concurrency = options.concurrency || parseInt(process.env.SCAN_CONCURRENCY) || 1; // Pages analyzing fonts in parallel
+    this.fontLoadTimeout = options.fontLoadTimeout || 10000; // ms to wait for a font to become available
     this.browser = null;
+    this.cancelRequested = false;
+  }
+
+  // Stop after the font currently being analyzed; runScan returns what finished
+  cancel() {
+    this.cancelRequested = true;
   }
 
   async initialize() {
@@ -36,16 +98,12 @@ class HawaiianFontScanner {
     console.log('✅ Browser initialized');
   }
 
-  async fetchGoogleFonts(offset = 0, limit = null) {
+  async fetchFonts(offset = 0, limit = null) {
     try {
-      const baseUrl = 'https://www.googleapis.com/webfonts/v1/webfonts';
-      const params = new URLSearchParams({
-        sort: 'popularity', // Start with most popular fonts
-        ...(this.googleFontsApiKey && { key: this.googleFontsApiKey })
-      });
+      let fonts = await this.fontSource.listFonts({ snapshotId: this.catalogSnapshotId });
 
-      const response = await axios.get(`${baseUrl}?${params}`);
-      let fonts = response.data.items;
+      // Later listings from this scanner use the same snapshot
+      this.catalogSnapshotId = this.fontSource.snapshotId || null;
 
       // Apply offset and limit for batching
       if (offset > 0) {
@@ -55,122 +113,394 @@ class HawaiianFontScanner {
         fonts = fonts.slice(0, limit);
       }
 
-      console.log(`📚 Fetched ${fonts.length} fonts from Google Fonts API`);
+      const snapshotNote = this.catalogSnapshotId ? ` (snapshot ${this.catalogSnapshotId})` : '';
+      console.log(`📚 Fetched ${fonts.length} fonts from ${this.fontSource.name} font source${snapshotNote}`);
       return fonts;
     } catch (error) {
-      console.error('❌ Error fetching Google Fonts:', error.message);
+      console.error(`❌ Error fetching fonts from ${this.fontSource.name} font source:`, error.message);
       throw error;
     }
   }
 
-  async analyzeFontCharacters(fontFamily) {
-    const page = await this.browser.newPage();
+  // Analyze on a pooled page when one is given, otherwise on a fresh page
+  async analyzeFontCharacters(font, pooledPage = null) {
+    const fontFamily = font.family;
+    const page = pooledPage || await this.browser.newPage();
     
     try {
-      // Create HTML with font loaded from Google Fonts
+      // Create HTML with the font loaded from its source
+      const fontFaceHtml = await this.fontSource.getFontFaceHtml(font);
       const html = `
         <!DOCTYPE html>
         <html>
         <head>
-          <link href="https://fonts.googleapis.com/css2?family=${encodeURIComponent(fontFamily)}:wght@400&display=swap" rel="stylesheet">
+          ${fontFaceHtml}
           <style>
             body { margin: 0; padding: 20px; background: white; }
-            .test-container { font-family: "${fontFamily}", sans-serif; font-size: 48px; line-height: 1.2; }
+            .test-container { font-family: ${escapeCssString(fontFamily)}, sans-serif; font-size: 48px; line-height: 1.2; }
             .character-test { display: inline-block; margin: 10px; padding: 10px; border: 1px solid #ccc; }
+            .glyph-box { width: 96px; height: 96px; box-sizing: border-box; text-align: center; vertical-align: top; overflow: hidden; }
             .phrase-test { font-size: 24px; margin: 20px 0; }
           </style>
         </head>
         <body>
           <div class="test-container">
-            <div id="okina-test" class="character-test">${this.testCharacters.okina}</div>
-            <div id="apostrophe-test" class="character-test">${this.testCharacters.apostrophe}</div>
+            <div id="confusable-test">${this.renderConfusableTests()}</div>
+            <div id="okina-confusables">${this.renderOkinaConfusableTests()}</div>
             <div id="lowercase-test" class="character-test">${this.testCharacters.lowercase.join(' ')}</div>
             <div id="uppercase-test" class="character-test">${this.testCharacters.uppercase.join(' ')}</div>
+            <div id="combining-test">${this.renderCombiningTests()}</div>
             <div id="phrase-test" class="phrase-test">${this.testPhrase}</div>
           </div>
         </body>
         </html>
       `;
 
-      await page.setContent(html);
-      
-      // Wait for font to load
-      await page.waitForTimeout(2000);
+      await page.setContent(html, { waitUntil: 'load' });
+      await this.waitForFontLoad(page, fontFamily);
 
-      // Take screenshots of individual character tests
-      const okenElement = await page.$('#okina-test');
-      const apostropheElement = await page.$('#apostrophe-test');
-      
-      const okenScreenshot = await okenElement.screenshot();
-      const apostropheScreenshot = await apostropheElement.screenshot();
+      // Analyze every variant; the default (regular) one drives approval
+      const instances = getVariantInstances(font);
+      const variantResults = {};
+      const loadFont = createFontLoader();
 
-      // Simple pixel difference calculation
-      const pixelDifference = this.compareImages(okenScreenshot, apostropheScreenshot);
-      
-      // Test Hawaiian diacritical characters rendering
-      const diacriticalTest = await this.testDiacriticalCharacters(page);
+      for (const instance of instances) {
+        variantResults[instance.name] = await this.analyzeVariant(page, font, instance, loadFont);
+      }
+
+      const defaultInstance = instances.find(instance => instance.isDefault);
+      const defaultResult = variantResults[defaultInstance.name];
+      await this.applyVariantStyle(page, font, defaultInstance);
+
+      const okinaConfusables = await this.testOkinaConfusables(page, fontFamily);
       
       // Test phrase rendering
       const phraseElement = await page.$('#phrase-test');
       const phraseScreenshot = await phraseElement.screenshot();
 
-      return {
+      const { diacriticalSupport } = defaultResult;
+      const variantList = Object.values(variantResults);
+
+      const result = {
         fontFamily,
-        okenVsApostropheDifference: pixelDifference,
-        hasVisualDistinction: pixelDifference > this.pixelThreshold,
-        diacriticalSupport: diacriticalTest,
-        phrasePreview: phraseScreenshot.toString('base64'),
-        autoApproved: pixelDifference > this.pixelThreshold && diacriticalTest.allSupported
+        defaultVariant: defaultInstance.name,
+        okenVsApostropheDifference: defaultResult.okenVsApostropheDifference,
+        okenVsApostropheMismatchRatio: defaultResult.okenVsApostropheMismatchRatio,
+        okenVsApostropheSsim: defaultResult.okenVsApostropheSsim,
+        ...(defaultResult.okenVsApostropheDiffImage && { okenVsApostropheDiffImage: defaultResult.okenVsApostropheDiffImage }),
+        hasVisualDistinction: defaultResult.hasVisualDistinction,
+        diacriticalSupport,
+        combiningMarkSupport: defaultResult.combiningMarkSupport,
+        typographyQuality: defaultResult.typographyQuality,
+        okinaConfusables,
+        languageSupport: defaultResult.languageSupport,
+        approvedLanguages: Object.keys(defaultResult.languageSupport)
+          .filter(code => defaultResult.languageSupport[code].supported),
+        variantResults,
+        variantCount: variantList.length,
+        allVariantsSupported: variantList.every(variant => variant.fullySupported),
+        phrasePreview: phraseScreenshot.toString('base64')
       };
+      const approval = scoreApproval(getScanMeasurements(result), this.approvalPolicy);
+
+      return { ...result, approval, autoApproved: approval.approved };
 
     } catch (error) {
       console.error(`❌ Error analyzing font ${fontFamily}:`, error.message);
       return {
         fontFamily,
         error: error.message,
-        autoApproved: false
+        autoApproved: false,
+        approvedLanguages: []
       };
     } finally {
-      await page.close();
+      if (!pooledPage) {
+        await page.close();
+      }
     }
   }
 
-  async testDiacriticalCharacters(page) {
+  // Ask the page to load the font and wait until it has, instead of sleeping.
+  // document.fonts.load resolves with the matching faces, so an empty list
+  // means the family never became available and every test would measure
+  // the fallback font.
+  async waitForFontLoad(page, fontFamily, style = {}) {
+    const loaded = await page.evaluate(async (family, fontStyle, sample, timeout) => {
+      const descriptor = `${fontStyle.fontStyle || 'normal'} ${fontStyle.fontWeight || '400'} 48px "${family}"`;
+      const timedOut = new Promise(resolve => setTimeout(() => resolve(null), timeout));
+      const faces = await Promise.race([document.fonts.load(descriptor, sample), timedOut]);
+      await Promise.race([document.fonts.ready, timedOut]);
+      return Boolean(faces && faces.length > 0 && document.fonts.check(descriptor, sample));
+    }, fontFamily, style, this.testPhrase, this.fontLoadTimeout);
+
+    if (!loaded) {
+      throw new Error(`Font "${fontFamily}" did not load within ${this.fontLoadTimeout}ms`);
+    }
+  }
+
+  // Switch the test container to a variant and wait for its face to load
+  async applyVariantStyle(page, font, instance) {
+    const style = getVariantStyle(instance);
+
+    await page.evaluate((variantStyle) => {
+      Object.assign(document.querySelector('.test-container').style, variantStyle);
+    }, style);
+    await this.waitForFontLoad(page, font.family, style);
+  }
+
+  async analyzeVariant(page, font, instance, loadFont = createFontLoader()) {
+    await this.applyVariantStyle(page, font, instance);
+
+    const { pairs: confusablePairs, diffImagePath } = await this.compareConfusablePairs(page, font, instance);
+    const [okinaPair] = confusablePairs;
+
+    // Static variants have their own file; axis samples share the default variant's file
+    const fontFile = font.files?.[instance.variant] || pickFontFile(font.files);
+    const diacriticalTest = await this.testDiacriticalCharacters(page, font.family, fontFile, instance, loadFont);
+    const combiningMarkSupport = await this.testCombiningMarks(page, font.family, diacriticalTest);
+    const typographyQuality = await this.measureTypography(page, font.family, instance);
+    const languageSupport = evaluateLanguageProfiles(this.languageProfiles, {
+      coverage: diacriticalTest.coverage,
+      confusablePairs,
+      combiningMarkSupport
+    });
+
+    return {
+      variant: instance.name,
+      weight: instance.weight,
+      style: instance.italic ? 'italic' : 'normal',
+      axes: instance.axes,
+      okenVsApostropheDifference: okinaPair.mismatchedPixels,
+      okenVsApostropheMismatchRatio: okinaPair.mismatchRatio,
+      okenVsApostropheSsim: okinaPair.ssim,
+      ...(diffImagePath && { okenVsApostropheDiffImage: diffImagePath }),
+      hasVisualDistinction: okinaPair.distinct,
+      diacriticalSupport: diacriticalTest,
+      combiningMarkSupport,
+      confusablePairs,
+      typographyQuality,
+      languageSupport,
+      fullySupported: languageSupport[PRIMARY_LANGUAGE].supported
+    };
+  }
+
+  // Side-by-side boxes for each pair of characters that must not look alike
+  renderConfusableTests() {
+    return this.confusablePairs.map(([first, second], i) => `
+      <div id="confusable-${i}-a" class="character-test glyph-box">${first}</div>
+      <div id="confusable-${i}-b" class="character-test glyph-box">${second}</div>
+    `).join('');
+  }
+
+  // Both glyphs of a pair render in identical fixed-size boxes, so the decoded
+  // screenshots line up pixel for pixel. Only the ʻokina vs apostrophe pair
+  // writes a debug diff image.
+  async compareConfusablePairs(page, font, instance) {
+    const pairs = [];
+    let diffImagePath = null;
+
+    for (let i = 0; i < this.confusablePairs.length; i++) {
+      const firstElement = await page.$(`#confusable-${i}-a`);
+      const secondElement = await page.$(`#confusable-${i}-b`);
+
+      const comparison = this.compareImages(
+        await firstElement.screenshot(),
+        await secondElement.screenshot(),
+        { includeDiffImage: i === 0 && Boolean(this.diffImageDir) }
+      );
+
+      if (comparison.diffImage) {
+        diffImagePath = await this.saveDiffImage(`${font.family}-${instance.name}`, comparison.diffImage);
+      }
+
+      pairs.push({
+        characters: this.confusablePairs[i],
+        mismatchedPixels: comparison.mismatchedPixels,
+        mismatchRatio: comparison.mismatchRatio,
+        ssim: comparison.ssim,
+        distinct: comparison.mismatchedPixels > this.pixelThreshold
+      });
+    }
+
+    return { pairs, diffImagePath };
+  }
+
+  // One box per ʻokina lookalike, compared pairwise by testOkinaConfusables
+  renderOkinaConfusableTests() {
+    return OKINA_CONFUSABLES.map(({ character }, i) => `
+      <div id="okina-confusable-${i}" class="character-test glyph-box">${character}</div>
+    `).join('');
+  }
+
+  // Pairwise distinguishability of the ʻokina and its lookalikes, and the
+  // ʻokina's orientation, for the variant currently applied
+  async testOkinaConfusables(page, fontFamily) {
     try {
-      const allCharacters = [...this.testCharacters.lowercase, ...this.testCharacters.uppercase];
-      const results = {};
-      
-      for (const char of allCharacters) {
-        // Test if character renders differently from a generic rectangle/missing glyph
-        const testHtml = `<div style="font-family: inherit; font-size: 48px;">${char}</div>`;
-        
-        await page.evaluate((html) => {
-          const testDiv = document.createElement('div');
-          testDiv.innerHTML = html;
-          document.body.appendChild(testDiv);
-          return testDiv;
-        }, testHtml);
-
-        // Simple test: if the character width is reasonable, it's likely supported
-        const charWidth = await page.evaluate((character) => {
-          const span = document.createElement('span');
-          span.style.fontSize = '48px';
-          span.style.fontFamily = 'inherit';
-          span.textContent = character;
-          document.body.appendChild(span);
-          const width = span.offsetWidth;
-          document.body.removeChild(span);
-          return width;
-        }, char);
-
-        results[char] = charWidth > 10; // Basic test - if it has reasonable width, it's rendered
+      const screenshots = [];
+      for (let i = 0; i < OKINA_CONFUSABLES.length; i++) {
+        const element = await page.$(`#okina-confusable-${i}`);
+        screenshots.push(await element.screenshot());
+      }
+
+      const comparisons = buildConfusableMatrix(
+        (i, j) => this.compareImages(screenshots[i], screenshots[j]),
+        this.pixelThreshold
+      );
+      const orientation = checkOkinaOrientation(measureInk(screenshots[0]));
+
+      return summarizeOkinaConfusables(comparisons, orientation);
+
+    } catch (error) {
+      console.error(`Error testing ʻokina confusables for ${fontFamily}:`, error.message);
+      return null;
+    }
+  }
+
+  // Ink boxes and advances from canvas measureText, at 100px so em fractions
+  // keep their precision. Canvas applies weight and style but not other
+  // variation axes, so axis samples are measured at their weight only.
+  async measureTypography(page, fontFamily, instance) {
+    const samples = getTypographySamples(this.testCharacters.uppercase, this.testCharacters.okina);
+
+    try {
+      const measurements = await page.evaluate((family, style, texts) => {
+        const fontSize = 100;
+        const context = document.createElement('canvas').getContext('2d');
+        context.font = `${style.fontStyle} ${style.fontWeight} ${fontSize}px "${family}"`;
+
+        const measure = text => {
+          const m = context.measureText(text);
+          return {
+            width: m.width,
+            left: m.actualBoundingBoxLeft,
+            right: m.actualBoundingBoxRight,
+            ascent: m.actualBoundingBoxAscent,
+            descent: m.actualBoundingBoxDescent
+          };
+        };
+        const fontMetrics = context.measureText('H');
+
+        return {
+          fontSize,
+          ascent: fontMetrics.fontBoundingBoxAscent,
+          descent: fontMetrics.fontBoundingBoxDescent,
+          glyphs: Object.fromEntries(texts.map(text => [text, measure(text)]))
+        };
+      }, fontFamily, getVariantStyle(instance), samples);
+
+      return evaluateTypography(measurements, {
+        uppercaseVowels: this.testCharacters.uppercase,
+        okina: this.testCharacters.okina,
+        thresholds: this.typographyThresholds
+      });
+
+    } catch (error) {
+      console.error(`Error measuring typography for ${fontFamily}:`, error.message);
+      return null;
+    }
+  }
+
+  // Side-by-side boxes for each vowel: precomposed (NFC) and base + U+0304 (NFD)
+  renderCombiningTests() {
+    const vowels = [...this.testCharacters.lowercase, ...this.testCharacters.uppercase];
+
+    return vowels.map((vowel, i) => `
+      <div id="nfc-test-${i}" class="character-test glyph-box">${vowel.normalize('NFC')}</div>
+      <div id="nfd-test-${i}" class="character-test glyph-box">${vowel.normalize('NFD')}</div>
+    `).join('');
+  }
+
+  // Decomposed text from older keyboards and copy-paste should render the
+  // same as the precomposed vowel; a missing or misplaced combining macron
+  // shows up as a pixel mismatch between the two boxes
+  async testCombiningMarks(page, fontFamily, diacriticalTest) {
+    const vowels = [...this.testCharacters.lowercase, ...this.testCharacters.uppercase];
+    const individual = {};
+
+    try {
+      for (let i = 0; i < vowels.length; i++) {
+        const nfcElement = await page.$(`#nfc-test-${i}`);
+        const nfdElement = await page.$(`#nfd-test-${i}`);
+
+        const comparison = this.compareImages(
+          await nfcElement.screenshot(),
+          await nfdElement.screenshot()
+        );
+
+        individual[vowels[i]] = {
+          nfd: Array.from(vowels[i].normalize('NFD'))
+            .map(c => formatCodePoint(c.codePointAt(0)))
+            .join(' '),
+          equivalent: comparison.mismatchRatio <= this.combiningMismatchThreshold,
+          mismatchRatio: comparison.mismatchRatio,
+          ssim: comparison.ssim
+        };
+      }
+
+      const equivalentCount = Object.values(individual).filter(result => result.equivalent).length;
+      const macronCoverage = diacriticalTest.coverage?.[this.testCharacters.combiningMacron];
+
+      return {
+        individual,
+        combiningMacronSupported: macronCoverage ? macronCoverage.supported : null,
+        equivalentCount,
+        totalCount: vowels.length,
+        allEquivalent: equivalentCount === vowels.length,
+        mismatchThreshold: this.combiningMismatchThreshold
+      };
+
+    } catch (error) {
+      console.error(`Error testing combining marks for ${fontFamily}:`, error.message);
+      return {
+        individual,
+        combiningMacronSupported: null,
+        equivalentCount: 0,
+        totalCount: vowels.length,
+        allEquivalent: false,
+        mismatchThreshold: this.combiningMismatchThreshold
+      };
+    }
+  }
+
+  async testDiacriticalCharacters(page, fontFamily, fontFile = null, instance = null, loadFont = createFontLoader()) {
+    const vowels = [...this.testCharacters.lowercase, ...this.testCharacters.uppercase];
+    const allCharacters = [...new Set([
+      this.testCharacters.okina,
+      this.testCharacters.apostrophe,
+      this.testCharacters.combiningMacron,
+      ...vowels,
+      ...this.testCharacters.profileCharacters
+    ])];
+
+    try {
+      let coverage = null;
+
+      // Exact answer from the font's cmap when we can get at the file
+      if (fontFile) {
+        try {
+          ({ coverage } = await getCodePointCoverage(fontFile, allCharacters, loadFont));
+        } catch (error) {
+          console.warn(`⚠️ Could not read cmap from ${fontFile}: ${error.message}`);
+        }
+      }
+
+      if (!coverage) {
+        coverage = await this.testRenderedCoverage(page, fontFamily, allCharacters, instance);
       }
 
-      const supportedCount = Object.values(results).filter(Boolean).length;
-      const totalCount = allCharacters.length;
+      const individual = {};
+      for (const char of vowels) {
+        individual[char] = coverage[char].supported;
+      }
+
+      const supportedCount = Object.values(individual).filter(Boolean).length;
+      const totalCount = vowels.length;
 
       return {
-        individual: results,
+        individual,
+        coverage,
+        okinaSupported: coverage[this.testCharacters.okina].supported,
+        method: coverage[vowels[0]].method,
         supportedCount,
         totalCount,
         allSupported: supportedCount === totalCount,
@@ -181,6 +511,9 @@ class HawaiianFontScanner {
       console.error('Error testing diacritical characters:', error.message);
       return {
         individual: {},
+        coverage: {},
+        okinaSupported: false,
+        method: null,
         supportedCount: 0,
         totalCount: 0,
         allSupported: false,
@@ -189,61 +522,231 @@ class HawaiianFontScanner {
     }
   }
 
-  compareImages(img1Buffer, img2Buffer) {
-    // Simple comparison - count different bytes
-    // In production, you might want a more sophisticated image comparison
-    if (img1Buffer.length !== img2Buffer.length) {
-      return Math.abs(img1Buffer.length - img2Buffer.length);
-    }
+  // Fallback when no font file is available. A glyph the font lacks is drawn
+  // by the fallback font, so its width follows the fallback: render each
+  // character with two different fallbacks and treat a width change as missing.
+  async testRenderedCoverage(page, fontFamily, characters, instance = null) {
+    const variantStyle = instance ? getVariantStyle(instance) : {};
+    const measurements = await page.evaluate((family, chars, style) => {
+      const measure = (char, fontFamilyCss) => {
+        const span = document.createElement('span');
+        Object.assign(span.style, style);
+        span.style.fontSize = '48px';
+        span.style.fontFamily = fontFamilyCss;
+        span.style.whiteSpace = 'pre';
+        span.textContent = char;
+        document.body.appendChild(span);
+        const width = span.getBoundingClientRect().width;
+        document.body.removeChild(span);
+        return width;
+      };
 
-    let differences = 0;
-    for (let i = 0; i < img1Buffer.length; i++) {
-      if (img1Buffer[i] !== img2Buffer[i]) {
-        differences++;
-      }
+      return chars.map(char => ({
+        char,
+        withSerifFallback: measure(char, `"${family}", serif`),
+        withMonoFallback: measure(char, `"${family}", monospace`),
+        serifOnly: measure(char, 'serif'),
+        monoOnly: measure(char, 'monospace')
+      }));
+    }, fontFamily, characters, variantStyle);
+
+    const coverage = {};
+    for (const m of measurements) {
+      const followsFallback = m.withSerifFallback === m.serifOnly && m.withMonoFallback === m.monoOnly;
+
+      coverage[m.char] = {
+        codePoint: Array.from(m.char).map(c => formatCodePoint(c.codePointAt(0))).join(' '),
+        supported: m.withSerifFallback === m.withMonoFallback && !followsFallback,
+        method: 'render-fallback-comparison',
+        widths: {
+          withSerifFallback: m.withSerifFallback,
+          withMonoFallback: m.withMonoFallback
+        }
+      };
     }
 
-    return differences;
+    return coverage;
+  }
+
+  compareImages(img1Buffer, img2Buffer, options = {}) {
+    return compareImages(img1Buffer, img2Buffer, options);
   }
 
-  async scanFontBatch(offset = 0, limit = null) {
+  // Write the okina vs apostrophe diff image for debugging
+  async saveDiffImage(fontFamily, diffImage) {
+    const filename = `${fontFamily.replace(/[^a-z0-9]+/gi, '-').toLowerCase()}-okina-vs-apostrophe.png`;
+    const filepath = path.join(this.diffImageDir, filename);
+
+    await fs.mkdir(this.diffImageDir, { recursive: true });
+    await fs.writeFile(filepath, diffImage);
+
+    return filepath;
+  }
+
+  // hooks.onFontScanned(result, { index, total }) runs after each font
+  async scanFontBatch(offset = 0, limit = null, hooks = {}) {
     console.log(`🔍 Starting font batch scan (offset: ${offset}, limit: ${limit || 'all'})`);
     
-    const fonts = await this.fetchGoogleFonts(offset, limit || this.batchSize);
-    const results = [];
+    const fonts = await this.fetchFonts(offset, limit || this.batchSize);
+    return this.scanFonts(fonts, `${offset}-${offset + (limit || this.batchSize)}`, hooks);
+  }
 
-    for (let i = 0; i < fonts.length; i++) {
-      const font = fonts[i];
-      console.log(`📝 Analyzing font ${i + 1}/${fonts.length}: ${font.family}`);
-      
-      const analysis = await this.analyzeFontCharacters(font.family);
-      
-      // Add Google Fonts metadata
-      const result = {
-        ...analysis,
-        googleFontData: {
+  // Rescan specific families only (used by incremental scans), in the order given
+  async scanFontFamilies(families, hooks = {}) {
+    console.log(`🔍 Starting targeted scan of ${families.length} font families`);
+
+    const catalog = await this.fetchFonts();
+    const byFamily = new Map(catalog.map(font => [font.family, font]));
+    const fonts = families.map(family => byFamily.get(family)).filter(Boolean);
+
+    const missing = families.filter(family => !byFamily.has(family));
+    if (missing.length > 0) {
+      console.warn(`⚠️ Not found in ${this.fontSource.name} font source: ${missing.join(', ')}`);
+    }
+
+    return this.scanFonts(fonts, 'incremental', hooks);
+  }
+
+  // Analyze fonts on a pool of reused pages. Results come back in input
+  // order, and hooks.onFontScanned runs in input order too, so a batch's
+  // processed fonts are always a prefix of its list (which resuming relies on).
+  async scanFonts(fonts, scanBatch, hooks = {}) {
+    const results = new Array(fonts.length);
+    const poolSize = Math.max(1, Math.min(this.concurrency, fonts.length));
+    const pages = await Promise.all(Array.from({ length: poolSize }, () => this.browser.newPage()));
+
+    let nextIndex = 0;
+    let flushedCount = 0;
+    let flushing = Promise.resolve();
+    let failed = false;
+
+    const flushInOrder = async () => {
+      while (flushedCount < fonts.length && results[flushedCount]) {
+        if (hooks.onFontScanned) {
+          await hooks.onFontScanned(results[flushedCount], { index: flushedCount, total: fonts.length });
+        }
+        flushedCount++;
+      }
+    };
+
+    const worker = async (page) => {
+      while (!this.cancelRequested && !failed && nextIndex < fonts.length) {
+        const i = nextIndex++;
+        const font = fonts[i];
+        console.log(`📝 Analyzing font ${i + 1}/${fonts.length}: ${font.family}`);
+
+        const analysis = await this.analyzeFontCharacters(font, page);
+        const fontData = {
           family: font.family,
           variants: font.variants,
           subsets: font.subsets,
           version: font.version,
           lastModified: font.lastModified,
           files: font.files,
-          category: font.category
-        },
-        scannedAt: new Date().toISOString(),
-        scanBatch: `${offset}-${offset + (limit || this.batchSize)}`
-      };
+          category: font.category,
+          ...(font.axes && { axes: font.axes })
+        };
+        
+        // Add source metadata (Google Fonts results keep their googleFontData key)
+        results[i] = {
+          ...analysis,
+          source: this.fontSource.name,
+          ...(this.fontSource.name === 'google' ? { googleFontData: fontData } : { fontData }),
+          scannedAt: new Date().toISOString(),
+          scanBatch,
+          ...(this.catalogSnapshotId && { catalogSnapshotId: this.catalogSnapshotId })
+        };
+
+        flushing = flushing.then(flushInOrder);
+        try {
+          await flushing;
+        } catch (error) {
+          failed = true;
+          throw error;
+        }
+      }
+    };
 
-      results.push(result);
+    try {
+      await Promise.all(pages.map(worker));
+    } finally {
+      await Promise.all(pages.map(page => page.close().catch(() => {})));
+    }
 
-      // Small delay to be nice to resources
-      await new Promise(resolve => setTimeout(resolve, 100));
+    if (this.cancelRequested) {
+      console.log(`🛑 Scan cancelled after ${flushedCount}/${fonts.length} fonts`);
     }
 
-    console.log(`✅ Batch scan complete. Analyzed ${results.length} fonts`);
-    console.log(`🎯 Auto-approved fonts: ${results.filter(r => r.autoApproved).length}`);
+    const scanned = results.slice(0, flushedCount);
+    console.log(`✅ Batch scan complete. Analyzed ${scanned.length} fonts`);
+    console.log(`🎯 Auto-approved fonts: ${scanned.filter(r => r.autoApproved).length}`);
     
-    return results;
+    return scanned;
+  }
+
+  // Scan the same sample at several concurrency levels and report throughput,
+  // to pick SCAN_CONCURRENCY for a container size
+  async benchmark(options = {}) {
+    const { concurrencyLevels = [1, 2, 4], sampleSize = 12, offset = 0 } = options;
+    const report = [];
+
+    try {
+      await this.initialize();
+      const fonts = await this.fetchFonts(offset, sampleSize);
+
+      for (const concurrency of concurrencyLevels) {
+        this.concurrency = concurrency;
+        console.log(`⏱️ Benchmarking concurrency ${concurrency} on ${fonts.length} fonts...`);
+
+        const startedAt = Date.now();
+        const results = await this.scanFonts(fonts, 'benchmark');
+        const seconds = (Date.now() - startedAt) / 1000;
+
+        report.push({
+          concurrency,
+          fonts: results.length,
+          errors: results.filter(r => r.error).length,
+          seconds: Math.round(seconds * 10) / 10,
+          fontsPerMinute: Math.round((results.length / seconds) * 60 * 10) / 10
+        });
+      }
+
+      return report;
+
+    } finally {
+      await this.cleanup();
+    }
+  }
+
+  // Compare the Google Fonts catalog against fonts we already have.
+  // knownFonts: [{ family, version, lastModified }]
+  diffCatalog(catalogFonts, knownFonts) {
+    const known = new Map(knownFonts.map(font => [font.family, font]));
+    const diff = { newFonts: [], updatedFonts: [], unchangedCount: 0 };
+
+    for (const font of catalogFonts) {
+      const existing = known.get(font.family);
+
+      if (!existing) {
+        diff.newFonts.push({
+          family: font.family,
+          version: font.version,
+          lastModified: font.lastModified
+        });
+      } else if (existing.version !== font.version || existing.lastModified !== font.lastModified) {
+        diff.updatedFonts.push({
+          family: font.family,
+          previousVersion: existing.version,
+          version: font.version,
+          previousLastModified: existing.lastModified,
+          lastModified: font.lastModified
+        });
+      } else {
+        diff.unchangedCount++;
+      }
+    }
+
+    return diff;
   }
 
   async saveResults(results, batchNumber = 0) {
@@ -272,12 +775,17 @@ class HawaiianFontScanner {
       offset = 0, 
       limit = this.batchSize, 
       saveToDisk = true,
-      batchNumber = 0 
+      batchNumber = 0,
+      families = null,
+      onFontScanned = null
     } = options;
+    const hooks = { onFontScanned };
 
     try {
       await this.initialize();
-      const results = await this.scanFontBatch(offset, limit);
+      const results = families
+        ? await this.scanFontFamilies(families, hooks)
+        : await this.scanFontBatch(offset, limit, hooks);
       
       if (saveToDisk) {
         await this.saveResults(results, batchNumber);
@@ -294,46 +802,16 @@ class HawaiianFontScanner {
   }
 }
 
-// CLI usage example
-async function main() {
-  const scanner = new HawaiianFontScanner({
-    batchSize: 50,
-    pixelThreshold: 50
-  });
-
-  try {
-    // Scan first batch of 50 most popular fonts
-    console.log('🎯 Scanning top 50 most popular Google Fonts...');
-    const results = await scanner.runScan({
-      offset: 0,
-      limit: 50,
-      batchNumber: 1
-    });
-
-    console.log('\n📊 SCAN SUMMARY:');
-    console.log(`Total fonts analyzed: ${results.length}`);
-    console.log(`Auto-approved fonts: ${results.filter(r => r.autoApproved).length}`);
-    console.log(`Fonts with visual distinction: ${results.filter(r => r.hasVisualDistinction).length}`);
-    console.log(`Fonts with full diacritical support: ${results.filter(r => r.diacriticalSupport?.allSupported).length}`);
-
-    // Show top approved fonts
-    const approved = results.filter(r => r.autoApproved);
-    if (approved.length > 0) {
-      console.log('\n🎉 AUTO-APPROVED FONTS:');
-      approved.forEach(font => {
-        console.log(`  ✅ ${font.fontFamily} (${font.okenVsApostropheDifference} pixel diff, ${font.diacriticalSupport?.percentageSupported}% diacritical support)`);
-      });
-    }
+module.exports = HawaiianFontScanner;
 
-  } catch (error) {
-    console.error('💥 Scan failed:', error);
-    process.exit(1);
-  }
-}
-
-// Run if called directly
+// Running this file directly is the same as `node scanner-cli.js scan`
+// (`--benchmark` runs the benchmark command)
 if (require.main === module) {
-  main();
-}
+  const { main } = require('./scanner-cli');
+  const args = process.argv.slice(2);
+  const argv = args[0] === '--benchmark' ? ['benchmark', ...args.slice(1)] : ['scan', ...args];
 
-module.exports = HawaiianFontScanner;
\ No newline at end of file
+  main(argv).then(code => {
+    process.exitCode = code;
+  });
+}
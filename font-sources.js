@@ -0,0 +1,302 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { parseFont } = require('./glyph-coverage');
+const { GoogleFontsCatalog } = require('./google-fonts-catalog');
+
+// A font source lists font families and tells the scanner how to load them
+// into a page. Every source returns font descriptors shaped like Google
+// Fonts API items: { family, variants, subsets, version, lastModified, files, category }
+class FontSource {
+  constructor(name) {
+    this.name = name;
+  }
+
+  // options.snapshotId pins sources with catalog snapshots to an earlier listing
+  async listFonts(options = {}) {
+    throw new Error(`${this.constructor.name} must implement listFonts()`);
+  }
+
+  // HTML for the page <head> that makes font.family available to CSS
+  async getFontFaceHtml(font) {
+    throw new Error(`${this.constructor.name} must implement getFontFaceHtml()`);
+  }
+}
+
+// Listings come from a cached, retried catalog snapshot (see google-fonts-catalog.js);
+// snapshotId is the snapshot the last listing used
+class GoogleFontsSource extends FontSource {
+  constructor(options = {}) {
+    super('google');
+    this.catalog = options.catalog || new GoogleFontsCatalog({
+      apiKey: options.apiKey,
+      fixturePath: options.catalogFixture,
+      cacheDir: options.catalogCacheDir
+    });
+    this.snapshotId = null;
+  }
+
+  async listFonts(options = {}) {
+    const snapshot = await this.catalog.getSnapshot(options.snapshotId);
+    this.snapshotId = snapshot.id;
+    return snapshot.items;
+  }
+
+  async getFontFaceHtml(font) {
+    return `<link href="${buildGoogleCss2Url(font)}" rel="stylesheet">`;
+  }
+}
+
+const LOCAL_FONT_FORMATS = {
+  '.ttf': { format: 'truetype', mime: 'font/ttf' },
+  '.otf': { format: 'opentype', mime: 'font/otf' },
+  '.woff': { format: 'woff', mime: 'font/woff' },
+  '.woff2': { format: 'woff2', mime: 'font/woff2' }
+};
+
+// Fonts from a directory of TTF/OTF/WOFF/WOFF2 files (foundry and licensed
+// fonts, or test fixtures). Files are grouped into families by their name
+// table and loaded into the page through @font-face data URLs, so scanning
+// needs no network access. The directory may also be a single font file.
+class LocalDirectorySource extends FontSource {
+  constructor(options = {}) {
+    super('local');
+    this.directory = path.resolve(options.directory || process.env.LOCAL_FONT_DIR || 'fonts');
+  }
+
+  async findFontFiles(directory = this.directory) {
+    if ((await fs.stat(directory)).isFile()) {
+      return LOCAL_FONT_FORMATS[path.extname(directory).toLowerCase()] ? [directory] : [];
+    }
+
+    const entries = await fs.readdir(directory, { withFileTypes: true });
+    const files = [];
+
+    for (const entry of entries) {
+      const fullPath = path.join(directory, entry.name);
+      if (entry.isDirectory()) {
+        files.push(...await this.findFontFiles(fullPath));
+      } else if (LOCAL_FONT_FORMATS[path.extname(entry.name).toLowerCase()]) {
+        files.push(fullPath);
+      }
+    }
+
+    return files.sort();
+  }
+
+  async describeFontFile(filepath) {
+    const [buffer, stats] = await Promise.all([fs.readFile(filepath), fs.stat(filepath)]);
+    const font = parseFont(buffer);
+
+    const weight = font['OS/2']?.usWeightClass || 400;
+    const italic = Boolean(font['OS/2']?.fsSelection?.italic) || font.italicAngle !== 0;
+
+    return {
+      family: font.getName('preferredFamily') || font.familyName,
+      variant: getVariantName(weight, italic),
+      version: font.getName('version') || null,
+      lastModified: stats.mtime.toISOString().slice(0, 10),
+      filepath
+    };
+  }
+
+  async listFonts() {
+    const filepaths = await this.findFontFiles();
+    const families = new Map();
+
+    for (const filepath of filepaths) {
+      let described;
+      try {
+        described = await this.describeFontFile(filepath);
+      } catch (error) {
+        console.warn(`⚠️ Skipping unreadable font file ${filepath}: ${error.message}`);
+        continue;
+      }
+
+      if (!families.has(described.family)) {
+        families.set(described.family, {
+          family: described.family,
+          variants: [],
+          subsets: [],
+          version: described.version,
+          lastModified: described.lastModified,
+          files: {},
+          category: null
+        });
+      }
+
+      const font = families.get(described.family);
+      if (!font.files[described.variant]) {
+        font.variants.push(described.variant);
+        font.files[described.variant] = filepath;
+      }
+      if (described.lastModified > font.lastModified) {
+        font.lastModified = described.lastModified;
+      }
+    }
+
+    console.log(`📁 Found ${families.size} font families in ${this.directory}`);
+    return [...families.values()];
+  }
+
+  async getFontFaceHtml(font) {
+    const rules = [];
+
+    for (const [variant, filepath] of Object.entries(font.files)) {
+      const { format, mime } = LOCAL_FONT_FORMATS[path.extname(filepath).toLowerCase()];
+      const data = await fs.readFile(filepath);
+      const { weight, italic } = parseVariantName(variant);
+
+      rules.push(`
+        @font-face {
+          font-family: ${escapeCssString(font.family)};
+          src: url(data:${mime};base64,${data.toString('base64')}) format("${format}");
+          font-weight: ${weight};
+          font-style: ${italic ? 'italic' : 'normal'};
+        }`);
+    }
+
+    return `<style>${rules.join('\n')}</style>`;
+  }
+}
+
+// Quote a family name as a CSS string. Quotes, backslashes, angle brackets and
+// control characters become hex escapes, so a name can't end the string, the
+// rule or the surrounding <style> element
+function escapeCssString(value) {
+  const escaped = String(value).replace(/["\\<>\u0000-\u001f\u007f]/g,
+    char => `\\${char.charCodeAt(0).toString(16)} `);
+  return `"${escaped}"`;
+}
+
+// Google Fonts variant names: "regular", "italic", "700", "700italic"
+function getVariantName(weight, italic) {
+  if (weight === 400) return italic ? 'italic' : 'regular';
+  return `${weight}${italic ? 'italic' : ''}`;
+}
+
+function parseVariantName(variant) {
+  const italic = variant.endsWith('italic');
+  const weight = parseInt(variant, 10) || 400;
+  return { weight, italic };
+}
+
+// Registered axis defaults; opsz follows the 48px test size
+const AXIS_DEFAULTS = { wght: 400, wdth: 100, slnt: 0, opsz: 48 };
+
+function getAxisDefault(axis) {
+  const value = AXIS_DEFAULTS[axis.tag] ?? axis.start;
+  return Math.min(Math.max(value, axis.start), axis.end);
+}
+
+// Google orders axes lowercase (registered) first, then uppercase (custom), each alphabetically
+function compareAxisTags(a, b) {
+  const aCustom = a !== a.toLowerCase();
+  const bCustom = b !== b.toLowerCase();
+  if (aCustom !== bCustom) return aCustom ? 1 : -1;
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+// css2 URL that loads every variant (static fonts) or the full axis ranges
+// (variable fonts); options.text asks Google for a subset with only those characters
+function buildGoogleCss2Url(font, options = {}) {
+  const { variants = font.variants || ['regular'], display = 'swap', text = null } = options;
+  const parsed = variants.map(parseVariantName);
+  const hasItalic = parsed.some(v => v.italic);
+  const axes = (font.axes || [])
+    .filter(axis => axis.tag !== 'ital')
+    .sort((a, b) => compareAxisTags(a.tag, b.tag));
+  let spec;
+
+  if (axes.length > 0) {
+    const ranges = axes.map(axis => `${axis.start}..${axis.end}`);
+    const tags = axes.map(axis => axis.tag);
+
+    if (hasItalic) {
+      const italValues = [...new Set(parsed.map(v => (v.italic ? 1 : 0)))].sort();
+      spec = `ital,${tags.join(',')}@${italValues.map(ital => [ital, ...ranges].join(',')).join(';')}`;
+    } else {
+      spec = `${tags.join(',')}@${ranges.join(',')}`;
+    }
+  } else if (hasItalic) {
+    const tuples = [...new Set(parsed.map(v => `${v.italic ? 1 : 0},${v.weight}`))]
+      .sort((a, b) => {
+        const [aItal, aWeight] = a.split(',').map(Number);
+        const [bItal, bWeight] = b.split(',').map(Number);
+        return aItal - bItal || aWeight - bWeight;
+      });
+    spec = `ital,wght@${tuples.join(';')}`;
+  } else {
+    const weights = [...new Set(parsed.map(v => v.weight))].sort((a, b) => a - b);
+    spec = `wght@${weights.join(';')}`;
+  }
+
+  const family = encodeURIComponent(font.family).replace(/%20/g, '+');
+  const textParam = text ? `&text=${encodeURIComponent(text)}` : '';
+  return `https://fonts.googleapis.com/css2?family=${family}:${spec}&display=${display}${textParam}`;
+}
+
+// Everything the scanner should render for a font: each named variant plus,
+// for variable fonts, every axis sampled at min/default/max. Samples that
+// render the same as a named variant are dropped.
+function getVariantInstances(font) {
+  const variants = font.variants && font.variants.length > 0 ? font.variants : ['regular'];
+  const instances = [];
+  const seen = new Set();
+
+  const addInstance = (instance) => {
+    const key = JSON.stringify([instance.weight, instance.italic, instance.axes]);
+    if (seen.has(key)) return;
+    seen.add(key);
+    instances.push(instance);
+  };
+
+  for (const variant of variants) {
+    const { weight, italic } = parseVariantName(variant);
+    addInstance({ name: variant, variant, weight, italic, axes: {} });
+  }
+
+  const defaultInstance = instances.find(instance => instance.name === 'regular') || instances[0];
+  defaultInstance.isDefault = true;
+
+  for (const axis of font.axes || []) {
+    if (axis.tag === 'ital') continue; // Covered by the italic variants
+
+    for (const value of [axis.start, getAxisDefault(axis), axis.end]) {
+      const axes = axis.tag === 'wght' ? {} : { [axis.tag]: value };
+      addInstance({
+        name: `${axis.tag}@${value}`,
+        variant: defaultInstance.variant,
+        weight: axis.tag === 'wght' ? value : defaultInstance.weight,
+        italic: defaultInstance.italic,
+        axes
+      });
+    }
+  }
+
+  return instances;
+}
+
+function createFontSource(options = {}) {
+  const type = options.source || process.env.FONT_SOURCE || 'google';
+
+  switch (type) {
+    case 'google':
+      return new GoogleFontsSource(options);
+    case 'local':
+      return new LocalDirectorySource({ directory: options.fontDirectory });
+    default:
+      throw new Error(`Unknown font source: ${type}`);
+  }
+}
+
+module.exports = {
+  FontSource,
+  GoogleFontsSource,
+  LocalDirectorySource,
+  getVariantName,
+  parseVariantName,
+  escapeCssString,
+  buildGoogleCss2Url,
+  getVariantInstances,
+  createFontSource
+};
@@ -0,0 +1,110 @@
+const multer = require('multer');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const { parseFont } = require('./glyph-coverage');
+
+const MIN_FONT_SIZE = 1024; // Anything smaller cannot hold a usable cmap
+const MAX_FONT_SIZE = parseInt(process.env.MAX_FONT_UPLOAD_BYTES) || 15 * 1024 * 1024;
+const UPLOAD_DIR = path.resolve(process.env.UPLOAD_DIR || 'uploads');
+
+// sfnt and WOFF signatures (first four bytes of the file)
+const FONT_SIGNATURES = {
+  '00010000': { format: 'truetype', extension: '.ttf' },
+  '74727565': { format: 'truetype', extension: '.ttf' }, // 'true' (legacy Mac TrueType)
+  '4f54544f': { format: 'opentype', extension: '.otf' }, // 'OTTO'
+  '774f4646': { format: 'woff', extension: '.woff' }, // 'wOFF'
+  '774f4632': { format: 'woff2', extension: '.woff2' } // 'wOF2'
+};
+
+// Family names end up in CSS and HTML rendered by the scanner's browser, so
+// anything that could close a string, rule or tag is refused
+const UNSAFE_FAMILY_CHARACTERS = /[<>"'`{};\\\u0000-\u001f\u007f]/;
+
+// Keep uploads in memory until validated; nothing touches disk for rejected files
+const uploadFontFile = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_FONT_SIZE, files: 1 }
+}).single('font');
+
+// Check that a buffer is a real sfnt/WOFF font of sane size.
+// Returns { format, extension, family } or throws with a user-facing message.
+function validateFontFile(buffer) {
+  if (!buffer || buffer.length < MIN_FONT_SIZE) {
+    throw new Error(`Font file must be at least ${MIN_FONT_SIZE} bytes`);
+  }
+  if (buffer.length > MAX_FONT_SIZE) {
+    throw new Error(`Font file must be at most ${MAX_FONT_SIZE} bytes`);
+  }
+
+  const signature = FONT_SIGNATURES[buffer.subarray(0, 4).toString('hex')];
+  if (!signature) {
+    throw new Error('Not a TrueType, OpenType, WOFF or WOFF2 font file');
+  }
+
+  let font;
+  try {
+    font = parseFont(buffer);
+  } catch (error) {
+    throw new Error(`Font file could not be parsed: ${error.message}`);
+  }
+
+  if (!font.familyName || font.numGlyphs === 0) {
+    throw new Error('Font file has no family name or no glyphs');
+  }
+
+  const family = font.getName('preferredFamily') || font.familyName;
+  if (UNSAFE_FAMILY_CHARACTERS.test(family)) {
+    throw new Error('Font family name must not contain < > " \' ` { } ; \\ or control characters');
+  }
+
+  return { ...signature, family };
+}
+
+// Uploaded files are recorded relative to UPLOAD_DIR, so no server path is
+// stored with the font or shown in its report
+function toUploadPath(filepath) {
+  return path.relative(UPLOAD_DIR, filepath);
+}
+
+function resolveUploadPath(uploadPath) {
+  const filepath = path.resolve(UPLOAD_DIR, uploadPath);
+
+  if (!filepath.startsWith(UPLOAD_DIR + path.sep)) {
+    throw new Error(`${uploadPath} is outside the upload directory`);
+  }
+
+  return filepath;
+}
+
+// Delete an upload's directory, given the directory or any file in it
+async function removeUploadedFont(uploadPath) {
+  const [uploadId] = toUploadPath(resolveUploadPath(uploadPath)).split(path.sep);
+  await fs.rm(path.join(UPLOAD_DIR, uploadId), { recursive: true, force: true });
+}
+
+// Each upload gets its own directory so it can be scanned as a local font source
+async function storeUploadedFont(buffer, originalName, extension) {
+  const id = crypto.randomUUID();
+  const directory = path.join(UPLOAD_DIR, id);
+  const basename = path.basename(originalName || 'font', path.extname(originalName || ''))
+    .replace(/[^a-z0-9_-]+/gi, '-') || 'font';
+
+  await fs.mkdir(directory, { recursive: true });
+  const filepath = path.join(directory, `${basename}${extension}`);
+  await fs.writeFile(filepath, buffer);
+
+  return { id, directory, filepath };
+}
+
+module.exports = {
+  MIN_FONT_SIZE,
+  MAX_FONT_SIZE,
+  UPLOAD_DIR,
+  uploadFontFile,
+  validateFontFile,
+  storeUploadedFont,
+  toUploadPath,
+  resolveUploadPath,
+  removeUploadedFont
+};
@@ -0,0 +1,81 @@
+const fontkit = require('fontkit');
+const axios = require('axios');
+const fs = require('fs').promises;
+const path = require('path');
+
+// Pick the file to read the cmap from: regular cut first, then whatever exists
+function pickFontFile(files = {}) {
+  if (!files || typeof files !== 'object') return null;
+  return files.regular || files['400'] || Object.values(files)[0] || null;
+}
+
+async function loadFontBuffer(source) {
+  if (/^https?:\/\//i.test(source)) {
+    // Google Fonts API lists files as http:// - fetch them over https
+    const url = source.replace(/^http:\/\//i, 'https://');
+    const response = await axios.get(url, { responseType: 'arraybuffer', timeout: 30000 });
+    return Buffer.from(response.data);
+  }
+
+  return fs.readFile(source);
+}
+
+// Parse a TTF/OTF/WOFF/WOFF2 buffer. Collections (.ttc) use their first face.
+function parseFont(buffer) {
+  const font = fontkit.create(buffer);
+  return font.fonts ? font.fonts[0] : font;
+}
+
+// Load and parse each source once. One cache per font scan: its static
+// variants and axis samples often point at the same file.
+function createFontLoader() {
+  const fonts = new Map();
+
+  return source => {
+    if (!fonts.has(source)) {
+      fonts.set(source, loadFontBuffer(source).then(parseFont));
+    }
+    return fonts.get(source);
+  };
+}
+
+function formatCodePoint(codePoint) {
+  return `U+${codePoint.toString(16).toUpperCase().padStart(4, '0')}`;
+}
+
+// Read the font's cmap and report exact coverage for each character.
+// loadFont (from createFontLoader) shares downloads between calls.
+async function getCodePointCoverage(source, characters, loadFont = createFontLoader()) {
+  const font = await loadFont(source);
+  const coverage = {};
+  // Coverage is stored and shown publicly: local files go by name, never by server path
+  const recordedSource = /^https?:\/\//i.test(source) ? source : path.basename(source);
+
+  for (const char of characters) {
+    const codePoints = Array.from(char).map(c => c.codePointAt(0));
+    const missing = codePoints.filter(cp => !font.hasGlyphForCodePoint(cp));
+
+    coverage[char] = {
+      codePoint: codePoints.map(formatCodePoint).join(' '),
+      supported: missing.length === 0,
+      method: 'cmap',
+      source: recordedSource,
+      ...(missing.length > 0 && { missingCodePoints: missing.map(formatCodePoint) })
+    };
+  }
+
+  return {
+    postscriptName: font.postscriptName,
+    numGlyphs: font.numGlyphs,
+    coverage
+  };
+}
+
+module.exports = {
+  pickFontFile,
+  loadFontBuffer,
+  parseFont,
+  createFontLoader,
+  formatCodePoint,
+  getCodePointCoverage
+};
@@ -0,0 +1,226 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+
+// Client for the Google Fonts webfonts list. Each download is kept on disk as
+// an immutable snapshot named by a hash of its font list:
+// - Conditional requests (ETag / If-Modified-Since) reuse the cached snapshot
+//   when the catalog has not changed.
+// - Failed requests are retried with exponential backoff. After that the
+//   client falls back to the cached snapshot.
+// - Scan batches pin a snapshot id, so an offset points at the same font in
+//   every batch and after restarts, however Google reorders the live list.
+// - A recorded fixture file replaces the network entirely.
+
+const GOOGLE_FONTS_API_URL = 'https://www.googleapis.com/webfonts/v1/webfonts';
+const RETRYABLE_STATUS_CODES = [408, 429, 500, 502, 503, 504];
+
+class CatalogSnapshotNotFoundError extends Error {
+  constructor(snapshotId, location) {
+    super(`Catalog snapshot ${snapshotId} not found in ${location}`);
+    this.snapshotId = snapshotId;
+  }
+}
+
+function getSnapshotId(items) {
+  return crypto.createHash('sha256').update(JSON.stringify(items)).digest('hex').slice(0, 16);
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+class GoogleFontsCatalog {
+  constructor(options = {}) {
+    this.apiKey = options.apiKey || process.env.GOOGLE_FONTS_API_KEY || null;
+    this.apiUrl = options.apiUrl || GOOGLE_FONTS_API_URL;
+    this.cacheDir = path.resolve(options.cacheDir || process.env.GOOGLE_FONTS_CACHE_DIR || 'catalog-cache');
+    this.fixturePath = options.fixturePath || process.env.GOOGLE_FONTS_FIXTURE || null; // Offline: never touch the network
+    this.maxRetries = options.maxRetries ?? 3;
+    this.retryBaseMs = options.retryBaseMs ?? 1000; // Doubles after each failed attempt
+    this.timeoutMs = options.timeoutMs ?? 30000;
+    this.keepSnapshots = options.keepSnapshots ?? 10; // Older snapshots are pruned after a download
+    this.fixtureSnapshot = null;
+  }
+
+  // { id, fetchedAt, etag, lastModified, items }: the snapshot with this id,
+  // or the current catalog when snapshotId is not given
+  async getSnapshot(snapshotId = null) {
+    if (this.fixturePath) {
+      const fixture = await this.loadFixture();
+      if (!snapshotId || fixture.id === snapshotId) {
+        return fixture;
+      }
+    }
+
+    if (snapshotId) {
+      const snapshot = await this.readSnapshot(snapshotId);
+      if (!snapshot) {
+        throw new CatalogSnapshotNotFoundError(snapshotId, this.fixturePath ? `${this.fixturePath} or ${this.cacheDir}` : this.cacheDir);
+      }
+      return snapshot;
+    }
+
+    return this.fetchLatest();
+  }
+
+  async fetchLatest() {
+    const cached = await this.readLatest();
+    const headers = {};
+
+    if (cached?.etag) headers['If-None-Match'] = cached.etag;
+    if (cached?.lastModified) headers['If-Modified-Since'] = cached.lastModified;
+
+    let response;
+    try {
+      response = await this.requestWithRetry(headers);
+    } catch (error) {
+      if (!cached) throw error;
+
+      console.warn(`⚠️ Google Fonts catalog unavailable (${error.message}), using cached snapshot ${cached.id} from ${cached.fetchedAt}`);
+      return cached;
+    }
+
+    if (response.status === 304 && cached) {
+      console.log(`📦 Google Fonts catalog unchanged, using snapshot ${cached.id}`);
+      return cached;
+    }
+
+    const items = response.data.items || [];
+    const snapshot = {
+      id: getSnapshotId(items),
+      fetchedAt: new Date().toISOString(),
+      etag: response.headers.etag || null,
+      lastModified: response.headers['last-modified'] || null,
+      items
+    };
+
+    await this.saveSnapshot(snapshot);
+    console.log(`📦 Google Fonts catalog snapshot ${snapshot.id}: ${items.length} fonts`);
+
+    return snapshot;
+  }
+
+  async requestWithRetry(headers) {
+    const params = {
+      sort: 'popularity', // Start with most popular fonts
+      capability: 'VF', // Include variable font axes
+      ...(this.apiKey && { key: this.apiKey })
+    };
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await axios.get(this.apiUrl, {
+          params,
+          headers,
+          timeout: this.timeoutMs,
+          validateStatus: status => status === 304 || (status >= 200 && status < 300)
+        });
+      } catch (error) {
+        const status = error.response?.status;
+        const retryable = !status || RETRYABLE_STATUS_CODES.includes(status);
+
+        if (!retryable || attempt >= this.maxRetries) {
+          throw error;
+        }
+
+        const delay = this.retryBaseMs * 2 ** attempt;
+        console.warn(`⚠️ Google Fonts catalog request failed (${status ? `HTTP ${status}` : error.message}), retry ${attempt + 1}/${this.maxRetries} in ${delay}ms`);
+        await sleep(delay);
+      }
+    }
+  }
+
+  // Accepts a recorded snapshot or a raw webfonts API response ({ items })
+  async loadFixture() {
+    if (this.fixtureSnapshot) return this.fixtureSnapshot;
+
+    const data = JSON.parse(await fs.readFile(this.fixturePath, 'utf8'));
+    const items = Array.isArray(data) ? data : data.items;
+
+    if (!Array.isArray(items)) {
+      throw new Error(`${this.fixturePath} is not a Google Fonts catalog fixture`);
+    }
+
+    this.fixtureSnapshot = {
+      id: data.id || getSnapshotId(items),
+      fetchedAt: data.fetchedAt || null,
+      etag: null,
+      lastModified: null,
+      items
+    };
+    console.log(`📼 Using Google Fonts catalog fixture ${this.fixturePath} (snapshot ${this.fixtureSnapshot.id})`);
+
+    return this.fixtureSnapshot;
+  }
+
+  // Write a snapshot (the current catalog by default) as a fixture file
+  async recordFixture(filepath, snapshotId = null) {
+    const snapshot = await this.getSnapshot(snapshotId);
+
+    await fs.mkdir(path.dirname(path.resolve(filepath)), { recursive: true });
+    await fs.writeFile(filepath, JSON.stringify(snapshot, null, 2));
+
+    return snapshot;
+  }
+
+  snapshotPath(snapshotId) {
+    return path.join(this.cacheDir, 'snapshots', `${path.basename(snapshotId)}.json`);
+  }
+
+  async readSnapshot(snapshotId) {
+    try {
+      return JSON.parse(await fs.readFile(this.snapshotPath(snapshotId), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async readLatest() {
+    try {
+      const { id } = JSON.parse(await fs.readFile(path.join(this.cacheDir, 'latest.json'), 'utf8'));
+      return await this.readSnapshot(id);
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async saveSnapshot(snapshot) {
+    await fs.mkdir(path.join(this.cacheDir, 'snapshots'), { recursive: true });
+
+    // Write then rename, so a crash never leaves a half-written snapshot behind
+    const snapshotFile = this.snapshotPath(snapshot.id);
+    await fs.writeFile(`${snapshotFile}.tmp`, JSON.stringify(snapshot));
+    await fs.rename(`${snapshotFile}.tmp`, snapshotFile);
+
+    const latestFile = path.join(this.cacheDir, 'latest.json');
+    await fs.writeFile(`${latestFile}.tmp`, JSON.stringify({ id: snapshot.id, fetchedAt: snapshot.fetchedAt }));
+    await fs.rename(`${latestFile}.tmp`, latestFile);
+
+    await this.pruneSnapshots(snapshot.id);
+  }
+
+  // Keep the newest keepSnapshots snapshots (always including the latest)
+  async pruneSnapshots(latestId) {
+    const directory = path.join(this.cacheDir, 'snapshots');
+    const files = (await fs.readdir(directory)).filter(file => file.endsWith('.json'));
+    const stats = await Promise.all(files.map(async file => ({
+      file,
+      mtime: (await fs.stat(path.join(directory, file))).mtimeMs
+    })));
+
+    const stale = stats
+      .sort((a, b) => b.mtime - a.mtime)
+      .slice(this.keepSnapshots)
+      .filter(({ file }) => file !== `${latestId}.json`);
+
+    await Promise.all(stale.map(({ file }) => fs.unlink(path.join(directory, file))));
+  }
+}
+
+module.exports = {
+  GoogleFontsCatalog,
+  CatalogSnapshotNotFoundError,
+  getSnapshotId
+};
@@ -0,0 +1,104 @@
+const { PNG } = require('pngjs');
+const pixelmatch = require('pixelmatch');
+const { ssim } = require('ssim.js');
+
+function decodePng(buffer) {
+  return PNG.sync.read(buffer);
+}
+
+// Place an image on a white canvas of the given size (top-left aligned)
+function padToSize(png, width, height) {
+  if (png.width === width && png.height === height) return png;
+
+  const padded = new PNG({ width, height });
+  padded.data.fill(255);
+  PNG.bitblt(png, padded, 0, 0, png.width, png.height, 0, 0);
+  return padded;
+}
+
+// Perceptual comparison of two PNG screenshots.
+// mismatchedPixels/mismatchRatio come from pixelmatch (anti-aliasing aware),
+// ssim is the mean structural similarity (1 = identical).
+function compareImages(img1Buffer, img2Buffer, options = {}) {
+  const { threshold = 0.1, includeDiffImage = false } = options;
+
+  let img1 = decodePng(img1Buffer);
+  let img2 = decodePng(img2Buffer);
+
+  const width = Math.max(img1.width, img2.width);
+  const height = Math.max(img1.height, img2.height);
+  img1 = padToSize(img1, width, height);
+  img2 = padToSize(img2, width, height);
+
+  const diff = includeDiffImage ? new PNG({ width, height }) : null;
+  const mismatchedPixels = pixelmatch(
+    img1.data,
+    img2.data,
+    diff ? diff.data : null,
+    width,
+    height,
+    { threshold }
+  );
+
+  const totalPixels = width * height;
+  const { mssim } = ssim(
+    { data: new Uint8ClampedArray(img1.data), width, height },
+    { data: new Uint8ClampedArray(img2.data), width, height }
+  );
+
+  return {
+    mismatchedPixels,
+    totalPixels,
+    mismatchRatio: totalPixels > 0 ? mismatchedPixels / totalPixels : 0,
+    ssim: mssim,
+    width,
+    height,
+    ...(diff && { diffImage: PNG.sync.write(diff) })
+  };
+}
+
+// Bounding box and darkness-weighted centroid of the ink in a screenshot of
+// dark text on white. Pixels lighter than inkThreshold (such as the light
+// grey test box border) are ignored. Returns null for a blank image.
+function measureInk(buffer, options = {}) {
+  const { inkThreshold = 128 } = options;
+  const png = decodePng(buffer);
+  let top = Infinity, bottom = -Infinity, left = Infinity, right = -Infinity;
+  let mass = 0, sumX = 0, sumY = 0;
+
+  for (let y = 0; y < png.height; y++) {
+    for (let x = 0; x < png.width; x++) {
+      const i = (y * png.width + x) * 4;
+      const alpha = png.data[i + 3] / 255;
+      const luminance = 255 - alpha * (255 - (0.299 * png.data[i] + 0.587 * png.data[i + 1] + 0.114 * png.data[i + 2]));
+      if (luminance >= inkThreshold) continue;
+
+      const weight = 255 - luminance;
+      mass += weight;
+      sumX += x * weight;
+      sumY += y * weight;
+      top = Math.min(top, y);
+      bottom = Math.max(bottom, y);
+      left = Math.min(left, x);
+      right = Math.max(right, x);
+    }
+  }
+
+  if (mass === 0) return null;
+
+  return {
+    top,
+    bottom,
+    left,
+    right,
+    centroidX: sumX / mass,
+    centroidY: sumY / mass
+  };
+}
+
+module.exports = {
+  decodePng,
+  padToSize,
+  compareImages,
+  measureInk
+};
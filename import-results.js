@@ -0,0 +1,58 @@
+require('dotenv').config();
+
+const fs = require('fs').promises;
+const path = require('path');
+const { createRepository } = require('./repository');
+const { createScanStore } = require('./scan-store');
+
+// Import scanner JSON result files into the catalog (Postgres by default, via insert_scan_result).
+// Usage: npm run import -- scan-results/*.json   (defaults to every file in scan-results/)
+async function main() {
+  let files = process.argv.slice(2);
+
+  if (files.length === 0) {
+    const directory = path.join(__dirname, 'scan-results');
+    const entries = await fs.readdir(directory).catch(() => []);
+    files = entries.filter(name => name.endsWith('.json')).sort().map(name => path.join(directory, name));
+  }
+
+  if (files.length === 0) {
+    console.log('No scan result files to import');
+    return;
+  }
+
+  const repository = createRepository();
+  const { importScanResults } = createScanStore(repository);
+  let failed = 0;
+
+  try {
+    for (const file of files) {
+      const results = JSON.parse(await fs.readFile(file, 'utf8'));
+
+      if (!Array.isArray(results)) {
+        console.error(`❌ ${file}: expected an array of scan results`);
+        failed++;
+        continue;
+      }
+
+      const summary = await importScanResults(results, path.basename(file));
+      failed += summary.failed;
+
+      console.log(`📥 ${path.basename(file)}: ${summary.imported} imported, ${summary.skipped} skipped, ${summary.failed} failed`);
+      summary.errors.forEach(({ fontFamily, error }) => {
+        console.log(`  ⚠️ ${fontFamily || '(unknown)'}: ${error}`);
+      });
+    }
+  } finally {
+    await repository.close();
+  }
+
+  if (failed > 0) {
+    process.exitCode = 1;
+  }
+}
+
+main().catch(error => {
+  console.error('💥 Import failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,157 @@
+const fs = require('fs');
+const path = require('path');
+
+// Language profiles describe what a font needs for one language:
+// - requiredCharacters: characters the font must cover
+// - confusablePairs: characters that must not render alike (ʻokina vs apostrophe)
+// - specimenPhrases: text to preview the language with
+// - requireCombiningMarks (default true): decomposed macron vowels must render
+//   like the precomposed ones
+// Profiles are read from language-profiles.json, or from LANGUAGE_PROFILES_FILE.
+// Every scanned font is evaluated against all of them.
+
+const DEFAULT_PROFILES_FILE = path.join(__dirname, 'language-profiles.json');
+
+// Hawaiian drives the catalog's own approval (auto_approved and the ʻokina/kahakō columns)
+const PRIMARY_LANGUAGE = 'haw';
+
+const COMBINING_MACRON = '̄';
+
+const loadedProfiles = new Map();
+
+const isSingleCharacter = value => typeof value === 'string' && Array.from(value.normalize('NFC')).length === 1;
+
+// Precomposed vowels with a macron (kahakō), e.g. ā and Ō
+function isMacronVowel(character) {
+  const decomposed = Array.from(character.normalize('NFD'));
+  return decomposed.length === 2 && decomposed[1] === COMBINING_MACRON;
+}
+
+function validateProfile(profile, index) {
+  const label = `Language profile ${profile?.code || `#${index + 1}`}`;
+  const {
+    code,
+    name,
+    requiredCharacters,
+    confusablePairs = [],
+    specimenPhrases,
+    requireCombiningMarks = true
+  } = profile || {};
+
+  if (typeof code !== 'string' || !/^[a-z]{2,3}$/.test(code)) {
+    throw new Error(`${label}: code must be a 2-3 letter lowercase language code`);
+  }
+  if (typeof name !== 'string' || name.trim() === '') {
+    throw new Error(`${label}: name is required`);
+  }
+  if (!Array.isArray(requiredCharacters) || requiredCharacters.length === 0 || !requiredCharacters.every(isSingleCharacter)) {
+    throw new Error(`${label}: requiredCharacters must be a non-empty list of single characters`);
+  }
+  if (!Array.isArray(confusablePairs) || !confusablePairs.every(pair =>
+    Array.isArray(pair) && pair.length === 2 && pair.every(isSingleCharacter) && pair[0] !== pair[1])) {
+    throw new Error(`${label}: confusablePairs must be a list of [character, character] pairs`);
+  }
+  if (!Array.isArray(specimenPhrases) || specimenPhrases.length === 0 || !specimenPhrases.every(phrase => typeof phrase === 'string' && phrase.trim() !== '')) {
+    throw new Error(`${label}: specimenPhrases must be a non-empty list of phrases`);
+  }
+  if (typeof requireCombiningMarks !== 'boolean') {
+    throw new Error(`${label}: requireCombiningMarks must be true or false`);
+  }
+
+  return {
+    code,
+    name,
+    requiredCharacters: [...new Set(requiredCharacters.map(character => character.normalize('NFC')))],
+    confusablePairs: confusablePairs.map(pair => pair.map(character => character.normalize('NFC'))),
+    specimenPhrases: specimenPhrases.map(phrase => phrase.normalize('NFC')),
+    requireCombiningMarks
+  };
+}
+
+// Profiles from a JSON file ({ profiles: [...] } or a bare list), validated
+// once per file
+function loadLanguageProfiles(file = process.env.LANGUAGE_PROFILES_FILE || DEFAULT_PROFILES_FILE) {
+  const filepath = path.resolve(file);
+
+  if (!loadedProfiles.has(filepath)) {
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(filepath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Cannot read language profiles from ${filepath}: ${error.message}`);
+    }
+
+    const profiles = (Array.isArray(data) ? data : data.profiles || []).map(validateProfile);
+    const codes = profiles.map(profile => profile.code);
+    const duplicate = codes.find((code, i) => codes.indexOf(code) !== i);
+
+    if (duplicate) {
+      throw new Error(`Language profile ${duplicate} is defined more than once in ${filepath}`);
+    }
+    if (!codes.includes(PRIMARY_LANGUAGE)) {
+      throw new Error(`${filepath} must define the ${PRIMARY_LANGUAGE} language profile`);
+    }
+
+    loadedProfiles.set(filepath, profiles);
+  }
+
+  return loadedProfiles.get(filepath);
+}
+
+function getLanguageProfile(code, profiles = loadLanguageProfiles()) {
+  return profiles.find(profile => profile.code === code) || null;
+}
+
+const getMacronVowels = profile => profile.requiredCharacters.filter(isMacronVowel);
+
+// Everything a scan renders to evaluate all profiles at once
+function getProfileTestSet(profiles) {
+  const characters = [...new Set(profiles.flatMap(profile => [
+    ...profile.requiredCharacters,
+    ...profile.confusablePairs.flat()
+  ]))];
+  const pairs = new Map(profiles.flatMap(profile => profile.confusablePairs).map(pair => [pair.join(''), pair]));
+
+  return {
+    characters,
+    confusablePairs: [...pairs.values()],
+    macronVowels: characters.filter(isMacronVowel)
+  };
+}
+
+// How one rendered variant measures up to a profile. variantResult carries the
+// scan's coverage, confusablePairs ({ characters, distinct }) and combiningMarkSupport.
+function evaluateLanguageProfile(profile, { coverage = {}, confusablePairs = [], combiningMarkSupport = null }) {
+  const missingCharacters = profile.requiredCharacters.filter(character => !coverage[character]?.supported);
+
+  const indistinctPairs = profile.confusablePairs
+    .filter(([first, second]) => !confusablePairs.find(result =>
+      result.characters[0] === first && result.characters[1] === second)?.distinct)
+    .map(pair => pair.join(' / '));
+
+  const nonEquivalentVowels = profile.requireCombiningMarks
+    ? getMacronVowels(profile).filter(vowel => !combiningMarkSupport?.individual?.[vowel]?.equivalent)
+    : [];
+
+  return {
+    supported: missingCharacters.length === 0 && indistinctPairs.length === 0 && nonEquivalentVowels.length === 0,
+    missingCharacters,
+    indistinctPairs,
+    nonEquivalentVowels
+  };
+}
+
+// { [code]: evaluation } for every profile
+function evaluateLanguageProfiles(profiles, variantResult) {
+  return Object.fromEntries(profiles.map(profile => [profile.code, evaluateLanguageProfile(profile, variantResult)]));
+}
+
+module.exports = {
+  PRIMARY_LANGUAGE,
+  isMacronVowel,
+  loadLanguageProfiles,
+  getLanguageProfile,
+  getProfileTestSet,
+  evaluateLanguageProfile,
+  evaluateLanguageProfiles
+};
@@ -0,0 +1,810 @@
+const { Readable } = require('stream');
+const { countFontFacets } = require('./font-filters');
+const { buildFontRow, buildLanguageColumns, buildVariantRows } = require('./scan-store');
+const { buildHistoryEntry, findRegressions, describeRegression, isRegressionReviewOpen } = require('./scan-history');
+const {
+  getScanMeasurements,
+  scoreApproval,
+  holdApproval,
+  policyFromRow,
+  evaluateCatalog,
+  buildApprovalColumns
+} = require('./approval-policy');
+
+// Repository that keeps every table in process memory (see repository.js for
+// the interface). Rows have the same columns and defaults as the Postgres
+// schema, so routes behave the same against either backend. Nothing is
+// persisted: use it for tests and local development without a database.
+
+const FONT_DEFAULTS = {
+  source: 'google',
+  google_font_category: null,
+  google_font_version: null,
+  google_font_last_modified: null,
+  font_metadata: null,
+  oken_vs_apostrophe_difference: null,
+  oken_vs_apostrophe_mismatch_ratio: null,
+  oken_vs_apostrophe_ssim: null,
+  has_visual_distinction: false,
+  all_diacriticals_supported: false,
+  diacritical_percentage: 0,
+  combining_mark_support: null,
+  phrase_preview: null,
+  default_variant: 'regular',
+  variant_count: 1,
+  all_variants_supported: false,
+  auto_approved: false,
+  manually_reviewed: false,
+  manually_approved: null,
+  review_notes: null,
+  reviewed_by: null,
+  reviewed_by_key_id: null,
+  reviewed_at: null,
+  needs_review: false,
+  review_requested_reason: null,
+  regression_detected_at: null,
+  language_support: null,
+  approved_languages: [],
+  typography_quality: null,
+  okina_confusables: null,
+  approval_score: null,
+  approval_reasons: null,
+  approval_policy_version: null,
+  scan_batch: null,
+  scanned_at: null,
+  is_active: true
+};
+
+const BATCH_DEFAULTS = {
+  scan_type: 'manual',
+  batch_offset: 0,
+  pixel_threshold: null,
+  families: null,
+  catalog_snapshot_id: null,
+  status: 'running',
+  fonts_scanned: 0,
+  fonts_processed: 0,
+  fonts_approved: 0,
+  fonts_total: null,
+  current_font: null,
+  estimated_completion_at: null,
+  progress_updated_at: null,
+  cancel_requested_at: null,
+  processing_notes: null,
+  error_message: null,
+  completed_at: null
+};
+
+// Rows leave the repository as copies, like rows read from a database
+const copy = row => (row ? structuredClone(row) : null);
+const sameId = (a, b) => String(a) === String(b);
+
+function compareValues(a, b) {
+  if (a === b) return 0;
+  if (a === null || a === undefined) return 1;
+  if (b === null || b === undefined) return -1;
+  if (typeof a === 'string' && typeof b === 'string') return a.localeCompare(b);
+  return a < b ? -1 : 1;
+}
+
+// Most recent first, ties broken by newest id (rows created in the same millisecond)
+const newestFirst = (a, b) => (b.started_at || b.created_at) - (a.started_at || a.created_at) || b.id - a.id;
+const latestScanFirst = (a, b) => b.scanned_at - a.scanned_at || b.id - a.id;
+
+// seed: optional { fonts, fontVariants, characterSupport, scanHistory, scanBatches, feedback, uploads, apiKeys,
+// webhooks, webhookDeliveries, approvalPolicies }
+// arrays of rows, e.g. fixtures for route tests
+function createMemoryRepository(seed = {}) {
+  const tables = {
+    fonts: [],
+    fontVariants: [],
+    characterSupport: [],
+    scanHistory: [],
+    scanBatches: [],
+    feedback: [],
+    uploads: [],
+    apiKeys: [],
+    webhooks: [],
+    webhookDeliveries: [],
+    approvalPolicies: []
+  };
+  const sequences = {};
+
+  function insert(table, row) {
+    const id = row.id ?? (sequences[table] = (sequences[table] || 0) + 1);
+    if (typeof id === 'number') {
+      sequences[table] = Math.max(sequences[table] || 0, id);
+    }
+
+    const stored = { ...row, id };
+    tables[table].push(stored);
+    return stored;
+  }
+
+  const findFont = id => tables.fonts.find(font => sameId(font.id, id));
+  const now = () => new Date();
+
+  for (const [table, rows] of Object.entries(seed)) {
+    if (!tables[table]) {
+      throw new Error(`Unknown memory repository table: ${table}`);
+    }
+    for (const row of rows) {
+      const defaults = table === 'fonts' ? { ...FONT_DEFAULTS, created_at: now(), last_updated: now() }
+        : table === 'scanBatches' ? { ...BATCH_DEFAULTS, started_at: now() }
+          : { created_at: now() };
+      insert(table, { ...defaults, ...structuredClone(row) });
+    }
+  }
+
+  const matchesAll = (font, filters) => filters.every(filter => filter.matches(font));
+
+  function getCharacterSupport(font, includeDetails) {
+    return tables.characterSupport
+      .filter(row => sameId(row.font_id, font.id) && row.variant === font.default_variant)
+      .map(row => ({
+        character: row.character,
+        unicode_code_point: row.unicode_code_point,
+        is_supported: row.is_supported,
+        character_type: row.character_type,
+        ...(includeDetails && { test_details: row.test_details })
+      }));
+  }
+
+  // ===================
+  // FONTS
+  // ===================
+
+  async function listFonts({ filters, sortColumn, order, limit, offset }) {
+    const direction = order === 'DESC' ? -1 : 1;
+    const matching = tables.fonts
+      .filter(font => matchesAll(font, filters))
+      .sort((a, b) => direction * compareValues(a[sortColumn], b[sortColumn]));
+    const start = Number(offset);
+
+    return {
+      fonts: matching.slice(start, start + Number(limit)).map(font => ({
+        ...copy(font),
+        character_support: getCharacterSupport(font, false)
+      })),
+      totalCount: matching.length
+    };
+  }
+
+  async function getFacets(filters) {
+    return countFontFacets(tables.fonts, filters);
+  }
+
+  async function getFontDetail(id) {
+    const font = findFont(id);
+    if (!font || !font.is_active) return null;
+
+    const characterSupport = getCharacterSupport(font, true);
+    const variantSupport = tables.fontVariants
+      .filter(variant => sameId(variant.font_id, font.id))
+      .sort((a, b) => compareValues(a.style, b.style) || a.weight - b.weight || compareValues(a.variant, b.variant))
+      .map(variant => ({
+        ...copy(variant),
+        characters: Object.fromEntries(tables.characterSupport
+          .filter(row => sameId(row.font_id, font.id) && row.variant === variant.variant)
+          .map(row => [row.character, row.is_supported]))
+      }));
+
+    return {
+      ...copy(font),
+      character_support: characterSupport.length > 0 ? characterSupport : null,
+      variant_support: variantSupport
+    };
+  }
+
+  async function getActiveFont(id) {
+    const font = findFont(id);
+    if (!font || !font.is_active) return null;
+
+    const { id: fontId, font_family, source, font_metadata, scanned_at } = font;
+    return copy({ id: fontId, font_family, source, font_metadata, scanned_at });
+  }
+
+  async function getStats() {
+    const fonts = tables.fonts.filter(font => font.is_active);
+    const approved = font => (font.auto_approved || font.manually_approved === true) && font.manually_approved !== false;
+    const percentages = fonts.map(font => Number(font.diacritical_percentage)).filter(Number.isFinite);
+    const scanDates = fonts.map(font => font.scanned_at).filter(Boolean);
+    const categories = {};
+
+    for (const font of fonts.filter(font => font.google_font_category !== null)) {
+      const entry = categories[font.google_font_category] ||= { category: font.google_font_category, total: 0, approved: 0 };
+      entry.total++;
+      if (approved(font)) entry.approved++;
+    }
+
+    return {
+      total_fonts: fonts.length,
+      approved_fonts: fonts.filter(approved).length,
+      auto_approved_fonts: fonts.filter(font => font.auto_approved).length,
+      manually_approved_fonts: fonts.filter(font => font.manually_approved === true).length,
+      fonts_with_distinction: fonts.filter(font => font.has_visual_distinction).length,
+      fonts_with_full_support: fonts.filter(font => font.all_diacriticals_supported).length,
+      categories: Object.values(categories).sort((a, b) => b.approved - a.approved),
+      avg_diacritical_support: percentages.length > 0
+        ? percentages.reduce((sum, value) => sum + value, 0) / percentages.length
+        : null,
+      last_scan_date: scanDates.length > 0 ? new Date(Math.max(...scanDates)) : null
+    };
+  }
+
+  async function streamFonts(filters, columns) {
+    const rows = tables.fonts
+      .filter(font => matchesAll(font, filters))
+      .sort((a, b) => compareValues(a.font_family, b.font_family))
+      .map(font => Object.fromEntries(columns.map(column => [column, copy({ value: font[column] }).value])));
+
+    return Readable.from(rows);
+  }
+
+  async function getKnownFonts() {
+    return tables.fonts.filter(font => font.source === 'google').map(font => ({
+      family: font.font_family,
+      version: font.google_font_version,
+      lastModified: font.google_font_last_modified
+    }));
+  }
+
+  async function getFontScannedAt(fontFamily, source) {
+    const font = tables.fonts.find(row => row.font_family === fontFamily && row.source === source);
+    return font ? font.scanned_at : null;
+  }
+
+  async function saveScanResult(result, batchInfo) {
+    const scored = scoreApproval(getScanMeasurements(result), policyFromRow(await getActiveApprovalPolicy()));
+    let font = tables.fonts.find(existing =>
+      existing.font_family === result.fontFamily && existing.source === (result.source || 'google'));
+    const entry = buildHistoryEntry({ ...result, autoApproved: scored.approved });
+    const regressionReasons = findRegressions(font && findPreviousScan(font.id, entry.scanned_at), entry);
+
+    // A regression, new or still under review, keeps the font out of auto-approval
+    const heldReason = regressionReasons.length > 0
+      ? describeRegression(regressionReasons)
+      : (isRegressionReviewOpen(font) ? font.review_requested_reason : null);
+    const approval = heldReason ? holdApproval(scored, heldReason) : scored;
+    const scanResult = { ...result, autoApproved: approval.approved, approval };
+    const row = buildFontRow(scanResult.googleFontData || scanResult.fontData, scanResult, batchInfo);
+
+    if (font) {
+      Object.assign(font, row, { is_active: true, last_updated: now() });
+    } else {
+      font = insert('fonts', { ...FONT_DEFAULTS, ...row, created_at: now(), last_updated: now() });
+    }
+
+    const { variants, characters, defaultVariant, allVariantsSupported } = buildVariantRows(scanResult);
+
+    // Replace the font's variant matrix with this scan's
+    tables.fontVariants = tables.fontVariants.filter(variant => !sameId(variant.font_id, font.id));
+    tables.characterSupport = tables.characterSupport.filter(character => !sameId(character.font_id, font.id));
+
+    for (const variant of variants) {
+      insert('fontVariants', { ...variant, font_id: font.id, scanned_at: now() });
+    }
+    for (const character of characters) {
+      insert('characterSupport', { ...character, font_id: font.id, created_at: now() });
+    }
+
+    Object.assign(font, {
+      default_variant: defaultVariant,
+      variant_count: variants.length,
+      all_variants_supported: allVariantsSupported,
+      typography_quality: scanResult.typographyQuality ?? null,
+      okina_confusables: scanResult.okinaConfusables ?? null,
+      ...buildLanguageColumns(scanResult),
+      ...buildApprovalColumns(approval)
+    });
+
+    insert('scanHistory', {
+      ...entry,
+      auto_approved: approval.approved,
+      font_id: font.id,
+      scan_batch: batchInfo,
+      is_regression: regressionReasons.length > 0,
+      regression_reasons: regressionReasons,
+      created_at: now()
+    });
+
+    if (regressionReasons.length > 0) {
+      Object.assign(font, {
+        needs_review: true,
+        review_requested_reason: heldReason,
+        regression_detected_at: now(),
+        last_updated: now()
+      });
+
+      console.log(`📉 Regression in ${font.font_family}: ${regressionReasons.map(r => r.code).join(', ')}`);
+    }
+
+    return font.id;
+  }
+
+  // The history row a new scan is compared with
+  function findPreviousScan(fontId, scannedAt) {
+    return tables.scanHistory
+      .filter(row => sameId(row.font_id, fontId) && row.scanned_at <= scannedAt)
+      .sort(latestScanFirst)[0];
+  }
+
+  async function getFontHistory(fontId, limit = 50) {
+    return tables.scanHistory
+      .filter(row => sameId(row.font_id, fontId))
+      .sort(latestScanFirst)
+      .slice(0, limit)
+      .map(copy);
+  }
+
+  async function listRegressions({ openOnly, limit, offset }) {
+    const matching = tables.scanHistory
+      .filter(row => {
+        const font = findFont(row.font_id);
+        return row.is_regression && font && font.is_active && (!openOnly || font.needs_review);
+      })
+      .sort(latestScanFirst);
+    const start = Number(offset);
+
+    return {
+      regressions: matching.slice(start, start + Number(limit)).map(row => {
+        const { font_family, source, needs_review } = findFont(row.font_id);
+        return { ...copy(row), font_family, source, needs_review };
+      }),
+      totalCount: matching.length
+    };
+  }
+
+  async function reviewFont(id, { approved, notes, reviewerName, reviewerKeyId }) {
+    const font = findFont(id);
+    if (!font) return null;
+
+    Object.assign(font, {
+      manually_reviewed: true,
+      manually_approved: approved,
+      review_notes: notes || null,
+      reviewed_by: reviewerName,
+      reviewed_by_key_id: reviewerKeyId,
+      reviewed_at: now(),
+      needs_review: false,
+      review_requested_reason: null,
+      regression_detected_at: null,
+      last_updated: now()
+    });
+
+    const { font_family, manually_approved, reviewed_by, reviewed_at } = font;
+    return copy({ id: font.id, font_family, manually_approved, reviewed_by, reviewed_at });
+  }
+
+  async function flagFontForReview(id, reason) {
+    const font = findFont(id);
+    if (!font || font.needs_review) return null;
+
+    Object.assign(font, { needs_review: true, review_requested_reason: reason, last_updated: now() });
+    return { id: font.id, font_family: font.font_family };
+  }
+
+  // ===================
+  // APPROVAL POLICIES
+  // ===================
+
+  async function getActiveApprovalPolicy() {
+    const policy = tables.approvalPolicies.find(row => row.is_active);
+    return policy ? copy(policy) : null;
+  }
+
+  async function listApprovalPolicies() {
+    return copy([...tables.approvalPolicies].sort((a, b) => b.version - a.version));
+  }
+
+  async function listFontsForApproval() {
+    return tables.fonts
+      .filter(font => font.is_active && font.scanned_at)
+      .sort((a, b) => a.id - b.id)
+      .map(font => {
+        const okina = tables.characterSupport.find(row =>
+          sameId(row.font_id, font.id) && row.variant === font.default_variant && row.character === 'ʻ');
+        return copy({ ...font, okina_supported: okina ? okina.is_supported : null });
+      });
+  }
+
+  async function activateApprovalPolicy({ policy, description, createdBy }) {
+    // Version 1 is the built-in policy
+    const version = Math.max(1, ...tables.approvalPolicies.map(row => row.version)) + 1;
+
+    for (const row of tables.approvalPolicies) {
+      row.is_active = false;
+    }
+    const stored = {
+      version,
+      policy: structuredClone(policy),
+      description: description || null,
+      is_active: true,
+      created_by: createdBy,
+      created_at: now()
+    };
+    tables.approvalPolicies.push(stored);
+
+    const { evaluations, summary, flips } = evaluateCatalog(await listFontsForApproval(), policyFromRow(stored));
+
+    for (const { font, approval, flipped } of evaluations) {
+      Object.assign(findFont(font.id), buildApprovalColumns(approval), flipped ? { last_updated: now() } : {});
+    }
+
+    return { policy: copy(stored), summary, flips };
+  }
+
+  // ===================
+  // SCAN BATCHES
+  // ===================
+
+  async function findRunningBatch() {
+    const batch = tables.scanBatches.find(row => row.status === 'running');
+    return batch ? { id: batch.id } : null;
+  }
+
+  async function createBatch({
+    scanType, offset = 0, limit, pixelThreshold, families = null, notes = null, catalogSnapshotId = null
+  }) {
+    const batchNumber = Math.max(0, ...tables.scanBatches.map(batch => batch.batch_number)) + 1;
+    const batch = insert('scanBatches', {
+      ...BATCH_DEFAULTS,
+      batch_number: batchNumber,
+      scan_type: scanType,
+      batch_offset: offset,
+      batch_limit: limit,
+      pixel_threshold: pixelThreshold,
+      families: copy(families),
+      catalog_snapshot_id: catalogSnapshotId,
+      processing_notes: notes,
+      started_at: now()
+    });
+
+    return { id: batch.id, batch_number: batch.batch_number };
+  }
+
+  async function getBatch(id) {
+    return copy(tables.scanBatches.find(batch => sameId(batch.id, id)));
+  }
+
+  async function listRecentBatches(limit = 10) {
+    return [...tables.scanBatches].sort(newestFirst).slice(0, limit).map(copy);
+  }
+
+  async function listRunningBatches() {
+    return tables.scanBatches.filter(batch => batch.status === 'running').sort(newestFirst).map(copy);
+  }
+
+  async function updateBatch(id, changes) {
+    const batch = tables.scanBatches.find(row => sameId(row.id, id));
+    if (!batch) return null;
+
+    Object.assign(batch, copy(changes));
+    return copy(batch);
+  }
+
+  async function getLastBatchStartedAt(scanType) {
+    const starts = tables.scanBatches.filter(batch => batch.scan_type === scanType).map(batch => batch.started_at);
+    return starts.length > 0 ? new Date(Math.max(...starts)) : null;
+  }
+
+  // ===================
+  // FEEDBACK
+  // ===================
+
+  async function createFeedback({ fontId, feedbackType, message, userEmail }) {
+    const feedback = insert('feedback', {
+      font_id: Number(fontId),
+      feedback_type: feedbackType,
+      message,
+      user_email: userEmail || null,
+      status: 'open',
+      moderation_notes: null,
+      moderated_by: null,
+      moderated_at: null,
+      created_at: now()
+    });
+
+    return { id: feedback.id };
+  }
+
+  async function countOpenReports(fontId) {
+    return tables.feedback.filter(feedback => sameId(feedback.font_id, fontId)
+      && feedback.feedback_type === 'incorrect_support'
+      && ['open', 'triaged'].includes(feedback.status)).length;
+  }
+
+  async function listFeedback({ fontId, feedbackType, status, limit, offset }) {
+    const matching = tables.feedback
+      .filter(feedback => (!fontId || sameId(feedback.font_id, fontId))
+        && (!feedbackType || feedback.feedback_type === feedbackType)
+        && (!status || feedback.status === status)
+        && findFont(feedback.font_id))
+      .sort(newestFirst);
+    const start = Number(offset);
+
+    return {
+      feedback: matching.slice(start, start + Number(limit)).map(feedback => ({
+        ...copy(feedback),
+        font_family: findFont(feedback.font_id).font_family
+      })),
+      totalCount: matching.length
+    };
+  }
+
+  async function moderateFeedback(id, { status, notes, moderatedBy }) {
+    const feedback = tables.feedback.find(row => sameId(row.id, id));
+    if (!feedback) return null;
+
+    Object.assign(feedback, {
+      status,
+      moderation_notes: notes || feedback.moderation_notes,
+      moderated_by: moderatedBy,
+      moderated_at: now()
+    });
+
+    return copy(feedback);
+  }
+
+  // ===================
+  // UPLOADS
+  // ===================
+
+  async function createUpload({ id, originalFilename, filePath, fileSize, fileFormat, fontFamily, submitterEmail }) {
+    insert('uploads', {
+      id,
+      original_filename: originalFilename,
+      file_path: filePath,
+      file_size: fileSize,
+      file_format: fileFormat,
+      font_family: fontFamily,
+      submitter_email: submitterEmail || null,
+      status: 'queued',
+      font_id: null,
+      report: null,
+      error_message: null,
+      created_at: now(),
+      started_at: null,
+      completed_at: null
+    });
+  }
+
+  const findUpload = id => tables.uploads.find(upload => upload.id === id);
+
+  async function getUpload(id) {
+    return copy(findUpload(id));
+  }
+
+  async function markUploadRunning(id) {
+    Object.assign(findUpload(id) || {}, { status: 'running', started_at: now() });
+  }
+
+  async function completeUpload(id, { fontId, report }) {
+    Object.assign(findUpload(id) || {}, {
+      status: 'completed',
+      completed_at: now(),
+      font_id: fontId,
+      report: copy(report)
+    });
+  }
+
+  async function failUpload(id, errorMessage) {
+    Object.assign(findUpload(id) || {}, { status: 'failed', completed_at: now(), error_message: errorMessage });
+  }
+
+  // ===================
+  // API KEYS
+  // ===================
+
+  const publicKeyFields = ({ key_hash, ...key }) => copy(key);
+
+  async function useApiKey(keyHash) {
+    const key = tables.apiKeys.find(row => row.key_hash === keyHash && !row.revoked_at);
+    if (!key) return null;
+
+    key.last_used_at = now();
+    return { id: key.id, name: key.name, role: key.role };
+  }
+
+  async function listApiKeys() {
+    return [...tables.apiKeys].sort(newestFirst).map(publicKeyFields);
+  }
+
+  async function createApiKey({ name, role, keyHash, keyPrefix, createdBy }) {
+    if (tables.apiKeys.some(key => key.key_hash === keyHash)) {
+      throw new Error('API key hash already exists');
+    }
+
+    const key = insert('apiKeys', {
+      name,
+      role,
+      key_hash: keyHash,
+      key_prefix: keyPrefix,
+      created_by: createdBy,
+      created_at: now(),
+      last_used_at: null,
+      revoked_at: null
+    });
+
+    const { id, key_prefix, created_at } = key;
+    return copy({ id, name, role, key_prefix, created_at });
+  }
+
+  async function revokeApiKey(id) {
+    const key = tables.apiKeys.find(row => sameId(row.id, id) && !row.revoked_at);
+    if (!key) return null;
+
+    key.revoked_at = now();
+    return copy({ id: key.id, name: key.name, role: key.role, revoked_at: key.revoked_at });
+  }
+
+  // ===================
+  // WEBHOOKS
+  // ===================
+
+  const publicWebhookFields = ({ secret, ...webhook }) => copy(webhook);
+  const findWebhook = id => tables.webhooks.find(row => sameId(row.id, id));
+  const findDelivery = id => tables.webhookDeliveries.find(row => sameId(row.id, id));
+
+  async function listWebhooks() {
+    return [...tables.webhooks].sort(newestFirst).map(publicWebhookFields);
+  }
+
+  async function getWebhook(id) {
+    return copy(findWebhook(id));
+  }
+
+  async function createWebhook({ url, secret, events, description, createdBy }) {
+    return copy(insert('webhooks', {
+      url,
+      secret,
+      events,
+      description: description || null,
+      is_active: true,
+      created_by: createdBy,
+      created_at: now(),
+      deactivated_at: null
+    }));
+  }
+
+  async function deactivateWebhook(id) {
+    const webhook = findWebhook(id);
+    if (!webhook || !webhook.is_active) return null;
+
+    Object.assign(webhook, { is_active: false, deactivated_at: now() });
+
+    for (const delivery of tables.webhookDeliveries) {
+      if (sameId(delivery.subscription_id, id) && delivery.status === 'pending') {
+        Object.assign(delivery, { status: 'failed', next_attempt_at: null, last_error: 'Subscription deactivated' });
+      }
+    }
+
+    return publicWebhookFields(webhook);
+  }
+
+  async function listWebhooksForEvent(eventType) {
+    return tables.webhooks
+      .filter(webhook => webhook.is_active && webhook.events.includes(eventType))
+      .map(copy);
+  }
+
+  async function createWebhookDelivery({ subscriptionId, eventType, payload }) {
+    return copy(insert('webhookDeliveries', {
+      subscription_id: subscriptionId,
+      event_type: eventType,
+      payload,
+      status: 'pending',
+      attempts: 0,
+      next_attempt_at: now(),
+      last_attempt_at: null,
+      last_status_code: null,
+      last_error: null,
+      delivered_at: null,
+      created_at: now()
+    }));
+  }
+
+  async function getWebhookDelivery(id) {
+    return copy(findDelivery(id));
+  }
+
+  async function updateWebhookDelivery(id, changes) {
+    const delivery = findDelivery(id);
+    if (!delivery) return null;
+
+    Object.assign(delivery, copy(changes));
+    return copy(delivery);
+  }
+
+  async function listDueWebhookDeliveries(limit) {
+    return tables.webhookDeliveries
+      .filter(delivery => delivery.status === 'pending'
+        && delivery.next_attempt_at <= now()
+        && findWebhook(delivery.subscription_id)?.is_active)
+      .sort((a, b) => a.next_attempt_at - b.next_attempt_at)
+      .slice(0, limit)
+      .map(delivery => {
+        const { url, secret } = findWebhook(delivery.subscription_id);
+        return { ...copy(delivery), url, secret };
+      });
+  }
+
+  async function listWebhookDeliveries({ subscriptionId, eventType, status, limit, offset }) {
+    const matching = tables.webhookDeliveries
+      .filter(delivery => (!subscriptionId || sameId(delivery.subscription_id, subscriptionId))
+        && (!eventType || delivery.event_type === eventType)
+        && (!status || delivery.status === status))
+      .sort(newestFirst);
+    const start = Number(offset);
+
+    return {
+      deliveries: matching.slice(start, start + Number(limit)).map(delivery => ({
+        ...copy(delivery),
+        url: findWebhook(delivery.subscription_id)?.url ?? null
+      })),
+      totalCount: matching.length
+    };
+  }
+
+  return {
+    backend: 'memory',
+    migrate: async () => [],
+    close: async () => {},
+
+    listFonts,
+    getFacets,
+    getFontDetail,
+    getActiveFont,
+    getStats,
+    streamFonts,
+    getKnownFonts,
+    getFontScannedAt,
+    saveScanResult,
+    reviewFont,
+    flagFontForReview,
+    getFontHistory,
+    listRegressions,
+
+    getActiveApprovalPolicy,
+    listApprovalPolicies,
+    listFontsForApproval,
+    activateApprovalPolicy,
+
+    findRunningBatch,
+    createBatch,
+    getBatch,
+    listRecentBatches,
+    listRunningBatches,
+    updateBatch,
+    getLastBatchStartedAt,
+
+    createFeedback,
+    countOpenReports,
+    listFeedback,
+    moderateFeedback,
+
+    createUpload,
+    getUpload,
+    markUploadRunning,
+    completeUpload,
+    failUpload,
+
+    useApiKey,
+    listApiKeys,
+    createApiKey,
+    revokeApiKey,
+
+    listWebhooks,
+    getWebhook,
+    createWebhook,
+    deactivateWebhook,
+    listWebhooksForEvent,
+    createWebhookDelivery,
+    getWebhookDelivery,
+    updateWebhookDelivery,
+    listDueWebhookDeliveries,
+    listWebhookDeliveries
+  };
+}
+
+module.exports = { createMemoryRepository };
@@ -0,0 +1,177 @@
+require('dotenv').config();
+
+const fs = require('fs');
+const path = require('path');
+
+// Versioned schema migrations. Each file in migrations/ exports { up, down }
+// SQL strings and is applied once, in filename order, inside a transaction.
+// Applied migrations are recorded in the migrations table.
+//
+// A database from before migrations (created by the old schema.sql) has the
+// fonts table but no applied migrations. There, migrations that also export
+// adopt SQL run it instead of up, upgrading the existing tables in place.
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+// Arbitrary constant so only one process migrates at a time (e.g. several replicas starting together)
+const MIGRATION_LOCK_ID = 8140127;
+
+function loadMigrations() {
+  return fs.readdirSync(MIGRATIONS_DIR)
+    .filter(file => /^\d+-.+\.js$/.test(file))
+    .sort()
+    .map(file => {
+      const migration = require(path.join(MIGRATIONS_DIR, file));
+
+      if (typeof migration.up !== 'string' || typeof migration.down !== 'string') {
+        throw new Error(`Migration ${file} must export up and down SQL strings`);
+      }
+      if (migration.adopt !== undefined && typeof migration.adopt !== 'string') {
+        throw new Error(`Migration ${file} must export adopt as an SQL string`);
+      }
+
+      return { name: path.basename(file, '.js'), ...migration };
+    });
+}
+
+async function withMigrationLock(pool, callback) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_ID]);
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS migrations (
+        name VARCHAR(255) PRIMARY KEY,
+        applied_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    return await callback(client);
+  } finally {
+    await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_ID]).catch(() => {});
+    client.release();
+  }
+}
+
+async function getAppliedNames(client) {
+  const result = await client.query('SELECT name FROM migrations ORDER BY name');
+  return result.rows.map(row => row.name);
+}
+
+async function isUnmigratedDatabase(client, applied) {
+  if (applied.size > 0) return false;
+
+  const result = await client.query("SELECT to_regclass('fonts') IS NOT NULL AS has_fonts");
+  return result.rows[0].has_fonts;
+}
+
+// Run a migration and update the migrations table atomically
+async function runInTransaction(client, sql, recordSql, recordParams) {
+  await client.query('BEGIN');
+  try {
+    await client.query(sql);
+    await client.query(recordSql, recordParams);
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  }
+}
+
+// Apply every pending migration; returns the names applied
+async function migrateUp(pool) {
+  const migrations = loadMigrations();
+
+  return withMigrationLock(pool, async (client) => {
+    const applied = new Set(await getAppliedNames(client));
+    const pending = migrations.filter(migration => !applied.has(migration.name));
+    const adopting = await isUnmigratedDatabase(client, applied);
+
+    for (const migration of pending) {
+      const adopt = adopting && migration.adopt;
+
+      console.log(adopt
+        ? `📥 Adopting existing tables with migration ${migration.name}`
+        : `⬆️ Applying migration ${migration.name}`);
+      await runInTransaction(client, adopt ? migration.adopt : migration.up, 'INSERT INTO migrations (name) VALUES ($1)', [migration.name]);
+    }
+
+    return pending.map(migration => migration.name);
+  });
+}
+
+// Roll back the most recently applied migrations; returns the names reverted
+async function migrateDown(pool, steps = 1) {
+  const migrations = new Map(loadMigrations().map(migration => [migration.name, migration]));
+
+  return withMigrationLock(pool, async (client) => {
+    const toRevert = (await getAppliedNames(client)).reverse().slice(0, steps);
+
+    for (const name of toRevert) {
+      const migration = migrations.get(name);
+      if (!migration) {
+        throw new Error(`Migration ${name} is applied but its file is missing`);
+      }
+
+      console.log(`⬇️ Reverting migration ${name}`);
+      await runInTransaction(client, migration.down, 'DELETE FROM migrations WHERE name = $1', [name]);
+    }
+
+    return toRevert;
+  });
+}
+
+async function getMigrationStatus(pool) {
+  const migrations = loadMigrations();
+
+  return withMigrationLock(pool, async (client) => {
+    const applied = new Set(await getAppliedNames(client));
+    return migrations.map(migration => ({ name: migration.name, applied: applied.has(migration.name) }));
+  });
+}
+
+// CLI: node migrate.js [up | down [steps] | status]
+async function main() {
+  const { Pool } = require('pg');
+  const [command = 'up', stepsArg] = process.argv.slice(2);
+  const pool = new Pool({
+    connectionString: process.env.DATABASE_URL,
+    ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+  });
+
+  try {
+    if (command === 'up') {
+      const applied = await migrateUp(pool);
+      console.log(applied.length > 0 ? `✅ Applied ${applied.length} migration(s)` : '✅ Database is up to date');
+    } else if (command === 'down') {
+      const steps = stepsArg === undefined ? 1 : parseInt(stepsArg);
+      if (!Number.isInteger(steps) || steps < 1) {
+        throw new Error('steps must be a positive integer');
+      }
+      const reverted = await migrateDown(pool, steps);
+      console.log(`✅ Reverted ${reverted.length} migration(s)`);
+    } else if (command === 'status') {
+      for (const { name, applied } of await getMigrationStatus(pool)) {
+        console.log(`${applied ? '✅' : '⏳'} ${name}`);
+      }
+    } else {
+      throw new Error(`Unknown command "${command}" (expected up, down or status)`);
+    }
+  } finally {
+    await pool.end();
+  }
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error('💥 Migration failed:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  loadMigrations,
+  migrateUp,
+  migrateDown,
+  getMigrationStatus
+};
@@ -0,0 +1,320 @@
+// Core catalog tables: fonts and their per-variant / per-character support,
+// scan batches, uploads, feedback and API keys.
+//
+// Needs the unaccent extension (accent-insensitive search). CREATE EXTENSION
+// needs a role allowed to create it; if the app's role is not, have a
+// superuser run CREATE EXTENSION unaccent first.
+
+exports.up = `
+  CREATE EXTENSION IF NOT EXISTS unaccent;
+
+  CREATE TABLE api_keys (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    role VARCHAR(20) NOT NULL CHECK (role IN ('reviewer', 'admin')),
+    key_hash CHAR(64) NOT NULL UNIQUE,
+    key_prefix VARCHAR(16) NOT NULL,
+    created_by VARCHAR(255),
+    created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    last_used_at TIMESTAMPTZ,
+    revoked_at TIMESTAMPTZ
+  );
+
+  CREATE TABLE fonts (
+    id SERIAL PRIMARY KEY,
+    font_family VARCHAR(255) NOT NULL,
+    source VARCHAR(20) NOT NULL DEFAULT 'google',
+    google_font_category VARCHAR(50),
+    google_font_version VARCHAR(50),
+    google_font_last_modified VARCHAR(50),
+    font_metadata JSONB,
+
+    -- Default variant measurements (okina vs apostrophe rendering)
+    oken_vs_apostrophe_difference INTEGER,
+    oken_vs_apostrophe_mismatch_ratio NUMERIC(8, 6),
+    oken_vs_apostrophe_ssim NUMERIC(8, 6),
+    has_visual_distinction BOOLEAN NOT NULL DEFAULT FALSE,
+    all_diacriticals_supported BOOLEAN NOT NULL DEFAULT FALSE,
+    diacritical_percentage NUMERIC(5, 2) NOT NULL DEFAULT 0,
+    combining_mark_support JSONB,
+    phrase_preview TEXT,
+
+    default_variant VARCHAR(50) NOT NULL DEFAULT 'regular',
+    variant_count INTEGER NOT NULL DEFAULT 1,
+    all_variants_supported BOOLEAN NOT NULL DEFAULT FALSE,
+
+    -- Approval workflow; manually_approved stays NULL until a reviewer decides
+    auto_approved BOOLEAN NOT NULL DEFAULT FALSE,
+    manually_reviewed BOOLEAN NOT NULL DEFAULT FALSE,
+    manually_approved BOOLEAN,
+    review_notes TEXT,
+    reviewed_by VARCHAR(255),
+    reviewed_by_key_id INTEGER REFERENCES api_keys(id) ON DELETE SET NULL,
+    reviewed_at TIMESTAMPTZ,
+    needs_review BOOLEAN NOT NULL DEFAULT FALSE,
+    review_requested_reason TEXT,
+
+    scan_batch VARCHAR(255),
+    scanned_at TIMESTAMPTZ,
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    last_updated TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    UNIQUE (font_family, source)
+  );
+
+  CREATE INDEX idx_fonts_category ON fonts (google_font_category);
+  CREATE INDEX idx_fonts_approval ON fonts (is_active, auto_approved, manually_approved, needs_review);
+  CREATE INDEX idx_fonts_metadata ON fonts USING GIN (font_metadata jsonb_path_ops);
+
+  CREATE TABLE font_variants (
+    id SERIAL PRIMARY KEY,
+    font_id INTEGER NOT NULL REFERENCES fonts(id) ON DELETE CASCADE,
+    variant VARCHAR(50) NOT NULL,
+    weight INTEGER NOT NULL DEFAULT 400,
+    style VARCHAR(20) NOT NULL DEFAULT 'normal',
+    axis_values JSONB NOT NULL DEFAULT '{}'::jsonb,
+    oken_vs_apostrophe_difference INTEGER,
+    has_visual_distinction BOOLEAN,
+    okina_supported BOOLEAN NOT NULL DEFAULT FALSE,
+    supported_count INTEGER NOT NULL DEFAULT 0,
+    total_count INTEGER NOT NULL DEFAULT 0,
+    combining_marks_equivalent BOOLEAN,
+    fully_supported BOOLEAN NOT NULL DEFAULT FALSE,
+    scanned_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (font_id, variant)
+  );
+
+  CREATE TABLE font_character_support (
+    id SERIAL PRIMARY KEY,
+    font_id INTEGER NOT NULL REFERENCES fonts(id) ON DELETE CASCADE,
+    variant VARCHAR(50) NOT NULL DEFAULT 'regular',
+    character VARCHAR(16) NOT NULL,
+    unicode_code_point VARCHAR(64),
+    is_supported BOOLEAN NOT NULL DEFAULT FALSE,
+    character_type VARCHAR(20) NOT NULL
+      CHECK (character_type IN ('okina', 'apostrophe', 'lowercase_kahako', 'uppercase_kahako', 'combining_mark')),
+    test_details JSONB,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (font_id, variant, character)
+  );
+
+  CREATE TABLE scan_batches (
+    id SERIAL PRIMARY KEY,
+    batch_number INTEGER NOT NULL,
+    scan_type VARCHAR(50) NOT NULL DEFAULT 'manual',
+    batch_offset INTEGER NOT NULL DEFAULT 0,
+    batch_limit INTEGER NOT NULL,
+    pixel_threshold INTEGER,
+    families JSONB,
+    status VARCHAR(20) NOT NULL DEFAULT 'running'
+      CHECK (status IN ('running', 'completed', 'failed', 'cancelled')),
+    fonts_scanned INTEGER NOT NULL DEFAULT 0,
+    fonts_processed INTEGER NOT NULL DEFAULT 0,
+    fonts_approved INTEGER NOT NULL DEFAULT 0,
+    fonts_total INTEGER,
+    current_font VARCHAR(255),
+    estimated_completion_at TIMESTAMPTZ,
+    progress_updated_at TIMESTAMPTZ,
+    cancel_requested_at TIMESTAMPTZ,
+    processing_notes TEXT,
+    error_message TEXT,
+    started_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    completed_at TIMESTAMPTZ
+  );
+
+  CREATE INDEX idx_scan_batches_status ON scan_batches (status, started_at DESC);
+
+  CREATE TABLE font_uploads (
+    id UUID PRIMARY KEY,
+    original_filename VARCHAR(255) NOT NULL,
+    file_path TEXT NOT NULL,
+    file_size INTEGER NOT NULL,
+    file_format VARCHAR(10) NOT NULL,
+    font_family VARCHAR(255),
+    submitter_email VARCHAR(255),
+    status VARCHAR(20) NOT NULL DEFAULT 'queued'
+      CHECK (status IN ('queued', 'running', 'completed', 'failed')),
+    font_id INTEGER REFERENCES fonts(id) ON DELETE SET NULL,
+    report JSONB,
+    error_message TEXT,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    started_at TIMESTAMPTZ,
+    completed_at TIMESTAMPTZ
+  );
+
+  CREATE TABLE font_feedback (
+    id SERIAL PRIMARY KEY,
+    font_id INTEGER NOT NULL REFERENCES fonts(id) ON DELETE CASCADE,
+    feedback_type VARCHAR(30) NOT NULL
+      CHECK (feedback_type IN ('incorrect_support', 'rendering_issue', 'confirmed_support', 'suggestion', 'other')),
+    message TEXT NOT NULL,
+    user_email VARCHAR(255),
+    status VARCHAR(20) NOT NULL DEFAULT 'open'
+      CHECK (status IN ('open', 'triaged', 'resolved', 'spam')),
+    moderation_notes TEXT,
+    moderated_by VARCHAR(255),
+    moderated_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP
+  );
+
+  CREATE INDEX idx_font_feedback_font ON font_feedback (font_id, feedback_type, status);
+`;
+
+// Databases created by the old schema.sql already have fonts,
+// font_character_support, scan_batches and font_feedback. migrate.js runs this
+// instead of up on them: missing tables are created, missing columns added
+// with their defaults, and the unique keys the upserts rely on put in place.
+exports.adopt = `
+  CREATE EXTENSION IF NOT EXISTS unaccent;
+
+  CREATE TABLE IF NOT EXISTS api_keys (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    role VARCHAR(20) NOT NULL CHECK (role IN ('reviewer', 'admin')),
+    key_hash CHAR(64) NOT NULL UNIQUE,
+    key_prefix VARCHAR(16) NOT NULL,
+    created_by VARCHAR(255),
+    created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    last_used_at TIMESTAMPTZ,
+    revoked_at TIMESTAMPTZ
+  );
+
+  ALTER TABLE fonts
+    ADD COLUMN IF NOT EXISTS source VARCHAR(20) NOT NULL DEFAULT 'google',
+    ADD COLUMN IF NOT EXISTS google_font_category VARCHAR(50),
+    ADD COLUMN IF NOT EXISTS google_font_version VARCHAR(50),
+    ADD COLUMN IF NOT EXISTS google_font_last_modified VARCHAR(50),
+    ADD COLUMN IF NOT EXISTS font_metadata JSONB,
+    ADD COLUMN IF NOT EXISTS oken_vs_apostrophe_difference INTEGER,
+    ADD COLUMN IF NOT EXISTS oken_vs_apostrophe_mismatch_ratio NUMERIC(8, 6),
+    ADD COLUMN IF NOT EXISTS oken_vs_apostrophe_ssim NUMERIC(8, 6),
+    ADD COLUMN IF NOT EXISTS has_visual_distinction BOOLEAN NOT NULL DEFAULT FALSE,
+    ADD COLUMN IF NOT EXISTS all_diacriticals_supported BOOLEAN NOT NULL DEFAULT FALSE,
+    ADD COLUMN IF NOT EXISTS diacritical_percentage NUMERIC(5, 2) NOT NULL DEFAULT 0,
+    ADD COLUMN IF NOT EXISTS combining_mark_support JSONB,
+    ADD COLUMN IF NOT EXISTS phrase_preview TEXT,
+    ADD COLUMN IF NOT EXISTS default_variant VARCHAR(50) NOT NULL DEFAULT 'regular',
+    ADD COLUMN IF NOT EXISTS variant_count INTEGER NOT NULL DEFAULT 1,
+    ADD COLUMN IF NOT EXISTS all_variants_supported BOOLEAN NOT NULL DEFAULT FALSE,
+    ADD COLUMN IF NOT EXISTS auto_approved BOOLEAN NOT NULL DEFAULT FALSE,
+    ADD COLUMN IF NOT EXISTS manually_reviewed BOOLEAN NOT NULL DEFAULT FALSE,
+    ADD COLUMN IF NOT EXISTS manually_approved BOOLEAN,
+    ADD COLUMN IF NOT EXISTS review_notes TEXT,
+    ADD COLUMN IF NOT EXISTS reviewed_by VARCHAR(255),
+    ADD COLUMN IF NOT EXISTS reviewed_by_key_id INTEGER REFERENCES api_keys(id) ON DELETE SET NULL,
+    ADD COLUMN IF NOT EXISTS reviewed_at TIMESTAMPTZ,
+    ADD COLUMN IF NOT EXISTS needs_review BOOLEAN NOT NULL DEFAULT FALSE,
+    ADD COLUMN IF NOT EXISTS review_requested_reason TEXT,
+    ADD COLUMN IF NOT EXISTS scan_batch VARCHAR(255),
+    ADD COLUMN IF NOT EXISTS scanned_at TIMESTAMPTZ,
+    ADD COLUMN IF NOT EXISTS is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    ADD COLUMN IF NOT EXISTS created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    ADD COLUMN IF NOT EXISTS last_updated TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP;
+
+  -- Font identity is now (font_family, source)
+  ALTER TABLE fonts DROP CONSTRAINT IF EXISTS fonts_font_family_key;
+  CREATE UNIQUE INDEX IF NOT EXISTS fonts_font_family_source_key ON fonts (font_family, source);
+
+  CREATE INDEX IF NOT EXISTS idx_fonts_category ON fonts (google_font_category);
+  CREATE INDEX IF NOT EXISTS idx_fonts_approval ON fonts (is_active, auto_approved, manually_approved, needs_review);
+  CREATE INDEX IF NOT EXISTS idx_fonts_metadata ON fonts USING GIN (font_metadata jsonb_path_ops);
+
+  CREATE TABLE IF NOT EXISTS font_variants (
+    id SERIAL PRIMARY KEY,
+    font_id INTEGER NOT NULL REFERENCES fonts(id) ON DELETE CASCADE,
+    variant VARCHAR(50) NOT NULL,
+    weight INTEGER NOT NULL DEFAULT 400,
+    style VARCHAR(20) NOT NULL DEFAULT 'normal',
+    axis_values JSONB NOT NULL DEFAULT '{}'::jsonb,
+    oken_vs_apostrophe_difference INTEGER,
+    has_visual_distinction BOOLEAN,
+    okina_supported BOOLEAN NOT NULL DEFAULT FALSE,
+    supported_count INTEGER NOT NULL DEFAULT 0,
+    total_count INTEGER NOT NULL DEFAULT 0,
+    combining_marks_equivalent BOOLEAN,
+    fully_supported BOOLEAN NOT NULL DEFAULT FALSE,
+    scanned_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (font_id, variant)
+  );
+
+  -- Character rows are now per variant; existing rows describe the regular one
+  ALTER TABLE font_character_support
+    ADD COLUMN IF NOT EXISTS variant VARCHAR(50) NOT NULL DEFAULT 'regular',
+    ADD COLUMN IF NOT EXISTS unicode_code_point VARCHAR(64),
+    ADD COLUMN IF NOT EXISTS is_supported BOOLEAN NOT NULL DEFAULT FALSE,
+    ADD COLUMN IF NOT EXISTS test_details JSONB,
+    ADD COLUMN IF NOT EXISTS created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP;
+  ALTER TABLE font_character_support DROP CONSTRAINT IF EXISTS font_character_support_font_id_character_key;
+  CREATE UNIQUE INDEX IF NOT EXISTS font_character_support_font_id_variant_character_key
+    ON font_character_support (font_id, variant, character);
+
+  ALTER TABLE scan_batches
+    ADD COLUMN IF NOT EXISTS scan_type VARCHAR(50) NOT NULL DEFAULT 'manual',
+    ADD COLUMN IF NOT EXISTS batch_offset INTEGER NOT NULL DEFAULT 0,
+    ADD COLUMN IF NOT EXISTS pixel_threshold INTEGER,
+    ADD COLUMN IF NOT EXISTS families JSONB,
+    ADD COLUMN IF NOT EXISTS status VARCHAR(20) NOT NULL DEFAULT 'running',
+    ADD COLUMN IF NOT EXISTS fonts_scanned INTEGER NOT NULL DEFAULT 0,
+    ADD COLUMN IF NOT EXISTS fonts_processed INTEGER NOT NULL DEFAULT 0,
+    ADD COLUMN IF NOT EXISTS fonts_approved INTEGER NOT NULL DEFAULT 0,
+    ADD COLUMN IF NOT EXISTS fonts_total INTEGER,
+    ADD COLUMN IF NOT EXISTS current_font VARCHAR(255),
+    ADD COLUMN IF NOT EXISTS estimated_completion_at TIMESTAMPTZ,
+    ADD COLUMN IF NOT EXISTS progress_updated_at TIMESTAMPTZ,
+    ADD COLUMN IF NOT EXISTS cancel_requested_at TIMESTAMPTZ,
+    ADD COLUMN IF NOT EXISTS processing_notes TEXT,
+    ADD COLUMN IF NOT EXISTS error_message TEXT,
+    ADD COLUMN IF NOT EXISTS started_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    ADD COLUMN IF NOT EXISTS completed_at TIMESTAMPTZ;
+
+  CREATE INDEX IF NOT EXISTS idx_scan_batches_status ON scan_batches (status, started_at DESC);
+
+  CREATE TABLE IF NOT EXISTS font_uploads (
+    id UUID PRIMARY KEY,
+    original_filename VARCHAR(255) NOT NULL,
+    file_path TEXT NOT NULL,
+    file_size INTEGER NOT NULL,
+    file_format VARCHAR(10) NOT NULL,
+    font_family VARCHAR(255),
+    submitter_email VARCHAR(255),
+    status VARCHAR(20) NOT NULL DEFAULT 'queued'
+      CHECK (status IN ('queued', 'running', 'completed', 'failed')),
+    font_id INTEGER REFERENCES fonts(id) ON DELETE SET NULL,
+    report JSONB,
+    error_message TEXT,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    started_at TIMESTAMPTZ,
+    completed_at TIMESTAMPTZ
+  );
+
+  ALTER TABLE font_feedback
+    ADD COLUMN IF NOT EXISTS user_email VARCHAR(255),
+    ADD COLUMN IF NOT EXISTS status VARCHAR(20) NOT NULL DEFAULT 'open',
+    ADD COLUMN IF NOT EXISTS moderation_notes TEXT,
+    ADD COLUMN IF NOT EXISTS moderated_by VARCHAR(255),
+    ADD COLUMN IF NOT EXISTS moderated_at TIMESTAMPTZ,
+    ADD COLUMN IF NOT EXISTS created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP;
+
+  CREATE INDEX IF NOT EXISTS idx_font_feedback_font ON font_feedback (font_id, feedback_type, status);
+
+  -- The old insert_scan_result may have other argument types; 002 recreates it
+  DO $$
+  DECLARE
+    old_function REGPROCEDURE;
+  BEGIN
+    FOR old_function IN SELECT oid::regprocedure FROM pg_proc WHERE proname = 'insert_scan_result' LOOP
+      EXECUTE 'DROP FUNCTION ' || old_function;
+    END LOOP;
+  END $$;
+`;
+
+exports.down = `
+  DROP TABLE IF EXISTS font_feedback;
+  DROP TABLE IF EXISTS font_uploads;
+  DROP TABLE IF EXISTS scan_batches;
+  DROP TABLE IF EXISTS font_character_support;
+  DROP TABLE IF EXISTS font_variants;
+  DROP TABLE IF EXISTS fonts;
+  DROP TABLE IF EXISTS api_keys;
+`;
@@ -0,0 +1,76 @@
+// insert_scan_result(font_family, font_data, scan_result, scan_batch) upserts
+// a font from one scanner result (see HawaiianFontScanner.scanFonts) and
+// returns its id. Font identity is (font_family, source). scanned_at comes
+// from the result, not the clock, so re-importing old files is detectable.
+// Per-variant and per-character rows are written by scan-store.js.
+
+exports.up = `
+  CREATE OR REPLACE FUNCTION insert_scan_result(
+    p_font_family TEXT,
+    p_font_data JSONB,
+    p_scan_result JSONB,
+    p_scan_batch TEXT
+  ) RETURNS INTEGER AS $$
+  DECLARE
+    v_font_id INTEGER;
+    v_support JSONB := COALESCE(p_scan_result->'diacriticalSupport', '{}'::jsonb);
+  BEGIN
+    INSERT INTO fonts (
+      font_family, source, google_font_category, google_font_version, google_font_last_modified,
+      font_metadata, oken_vs_apostrophe_difference, oken_vs_apostrophe_mismatch_ratio,
+      oken_vs_apostrophe_ssim, has_visual_distinction, all_diacriticals_supported,
+      diacritical_percentage, combining_mark_support, phrase_preview, default_variant,
+      variant_count, all_variants_supported, auto_approved, scan_batch, scanned_at
+    ) VALUES (
+      p_font_family,
+      COALESCE(p_scan_result->>'source', 'google'),
+      p_font_data->>'category',
+      p_font_data->>'version',
+      p_font_data->>'lastModified',
+      p_font_data,
+      ROUND((p_scan_result->>'okenVsApostropheDifference')::numeric)::integer,
+      (p_scan_result->>'okenVsApostropheMismatchRatio')::numeric,
+      (p_scan_result->>'okenVsApostropheSsim')::numeric,
+      COALESCE((p_scan_result->>'hasVisualDistinction')::boolean, FALSE),
+      COALESCE((v_support->>'allSupported')::boolean, FALSE),
+      ROUND(COALESCE((v_support->>'percentageSupported')::numeric, 0), 2),
+      p_scan_result->'combiningMarkSupport',
+      p_scan_result->>'phrasePreview',
+      COALESCE(p_scan_result->>'defaultVariant', 'regular'),
+      COALESCE((p_scan_result->>'variantCount')::integer, 1),
+      COALESCE((p_scan_result->>'allVariantsSupported')::boolean, FALSE),
+      COALESCE((p_scan_result->>'autoApproved')::boolean, FALSE),
+      p_scan_batch,
+      COALESCE((p_scan_result->>'scannedAt')::timestamptz, CURRENT_TIMESTAMP)
+    )
+    ON CONFLICT (font_family, source) DO UPDATE
+    SET google_font_category = EXCLUDED.google_font_category,
+        google_font_version = EXCLUDED.google_font_version,
+        google_font_last_modified = EXCLUDED.google_font_last_modified,
+        font_metadata = EXCLUDED.font_metadata,
+        oken_vs_apostrophe_difference = EXCLUDED.oken_vs_apostrophe_difference,
+        oken_vs_apostrophe_mismatch_ratio = EXCLUDED.oken_vs_apostrophe_mismatch_ratio,
+        oken_vs_apostrophe_ssim = EXCLUDED.oken_vs_apostrophe_ssim,
+        has_visual_distinction = EXCLUDED.has_visual_distinction,
+        all_diacriticals_supported = EXCLUDED.all_diacriticals_supported,
+        diacritical_percentage = EXCLUDED.diacritical_percentage,
+        combining_mark_support = EXCLUDED.combining_mark_support,
+        phrase_preview = EXCLUDED.phrase_preview,
+        default_variant = EXCLUDED.default_variant,
+        variant_count = EXCLUDED.variant_count,
+        all_variants_supported = EXCLUDED.all_variants_supported,
+        auto_approved = EXCLUDED.auto_approved,
+        scan_batch = EXCLUDED.scan_batch,
+        scanned_at = EXCLUDED.scanned_at,
+        is_active = TRUE,
+        last_updated = CURRENT_TIMESTAMP
+    RETURNING id INTO v_font_id;
+
+    RETURN v_font_id;
+  END;
+  $$ LANGUAGE plpgsql;
+`;
+
+exports.down = `
+  DROP FUNCTION IF EXISTS insert_scan_result(TEXT, JSONB, JSONB, TEXT);
+`;
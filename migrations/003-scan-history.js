@@ -0,0 +1,61 @@
+// One row per stored scan, tied to the font version it measured, so support
+// lost in a font update shows up as a regression (see scan-history.js).
+// Existing fonts get a history row from their current state as a baseline.
+
+exports.up = `
+  CREATE TABLE font_scan_history (
+    id SERIAL PRIMARY KEY,
+    font_id INTEGER NOT NULL REFERENCES fonts(id) ON DELETE CASCADE,
+    font_version VARCHAR(50),
+    font_last_modified VARCHAR(50),
+    scan_batch VARCHAR(255),
+    scanned_at TIMESTAMPTZ NOT NULL,
+    auto_approved BOOLEAN NOT NULL DEFAULT FALSE,
+    has_visual_distinction BOOLEAN NOT NULL DEFAULT FALSE,
+    oken_vs_apostrophe_difference INTEGER,
+    diacritical_percentage NUMERIC(5, 2) NOT NULL DEFAULT 0,
+    okina_supported BOOLEAN NOT NULL DEFAULT FALSE,
+    supported_characters JSONB NOT NULL DEFAULT '[]'::jsonb,
+    unsupported_variants JSONB NOT NULL DEFAULT '[]'::jsonb,
+    variant_count INTEGER NOT NULL DEFAULT 1,
+    combining_marks_equivalent BOOLEAN,
+    is_regression BOOLEAN NOT NULL DEFAULT FALSE,
+    regression_reasons JSONB NOT NULL DEFAULT '[]'::jsonb,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP
+  );
+
+  CREATE INDEX idx_font_scan_history_font ON font_scan_history (font_id, scanned_at DESC, id DESC);
+  CREATE INDEX idx_font_scan_history_regressions ON font_scan_history (scanned_at DESC) WHERE is_regression;
+
+  ALTER TABLE fonts ADD COLUMN regression_detected_at TIMESTAMPTZ;
+
+  INSERT INTO font_scan_history (
+    font_id, font_version, font_last_modified, scan_batch, scanned_at, auto_approved,
+    has_visual_distinction, oken_vs_apostrophe_difference, diacritical_percentage, okina_supported,
+    supported_characters, unsupported_variants, variant_count, combining_marks_equivalent
+  )
+  SELECT
+    f.id, f.google_font_version, f.google_font_last_modified, f.scan_batch, f.scanned_at, f.auto_approved,
+    f.has_visual_distinction, f.oken_vs_apostrophe_difference, f.diacritical_percentage,
+    COALESCE((
+      SELECT fcs.is_supported FROM font_character_support fcs
+      WHERE fcs.font_id = f.id AND fcs.variant = f.default_variant AND fcs.character_type = 'okina'
+    ), FALSE),
+    COALESCE((
+      SELECT jsonb_agg(fcs.character ORDER BY fcs.character) FROM font_character_support fcs
+      WHERE fcs.font_id = f.id AND fcs.variant = f.default_variant AND fcs.is_supported
+    ), '[]'::jsonb),
+    COALESCE((
+      SELECT jsonb_agg(fv.variant ORDER BY fv.variant) FROM font_variants fv
+      WHERE fv.font_id = f.id AND NOT fv.fully_supported
+    ), '[]'::jsonb),
+    f.variant_count,
+    (f.combining_mark_support->>'allEquivalent')::boolean
+  FROM fonts f
+  WHERE f.scanned_at IS NOT NULL;
+`;
+
+exports.down = `
+  ALTER TABLE fonts DROP COLUMN IF EXISTS regression_detected_at;
+  DROP TABLE IF EXISTS font_scan_history;
+`;
@@ -0,0 +1,9 @@
+// The Google Fonts catalog snapshot a scan batch is pinned to (see google-fonts-catalog.js)
+
+exports.up = `
+  ALTER TABLE scan_batches ADD COLUMN catalog_snapshot_id VARCHAR(64);
+`;
+
+exports.down = `
+  ALTER TABLE scan_batches DROP COLUMN IF EXISTS catalog_snapshot_id;
+`;
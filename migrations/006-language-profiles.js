@@ -0,0 +1,30 @@
+// Per-language support from the configurable language profiles
+// (language-profiles.json). Existing approvals were Hawaiian approvals.
+
+exports.up = `
+  ALTER TABLE fonts ADD COLUMN language_support JSONB;
+  ALTER TABLE fonts ADD COLUMN approved_languages TEXT[] NOT NULL DEFAULT '{}';
+  CREATE INDEX idx_fonts_approved_languages ON fonts USING GIN (approved_languages);
+
+  UPDATE fonts SET approved_languages = '{haw}' WHERE auto_approved = TRUE;
+
+  ALTER TABLE font_scan_history ADD COLUMN approved_languages TEXT[] NOT NULL DEFAULT '{}';
+  UPDATE font_scan_history SET approved_languages = '{haw}' WHERE auto_approved = TRUE;
+
+  -- Profiles may require characters beyond the Hawaiian set
+  ALTER TABLE font_character_support DROP CONSTRAINT IF EXISTS font_character_support_character_type_check;
+  ALTER TABLE font_character_support ADD CONSTRAINT font_character_support_character_type_check
+    CHECK (character_type IN ('okina', 'apostrophe', 'lowercase_kahako', 'uppercase_kahako', 'combining_mark', 'other'));
+`;
+
+exports.down = `
+  DELETE FROM font_character_support WHERE character_type = 'other';
+  ALTER TABLE font_character_support DROP CONSTRAINT IF EXISTS font_character_support_character_type_check;
+  ALTER TABLE font_character_support ADD CONSTRAINT font_character_support_character_type_check
+    CHECK (character_type IN ('okina', 'apostrophe', 'lowercase_kahako', 'uppercase_kahako', 'combining_mark'));
+
+  ALTER TABLE font_scan_history DROP COLUMN IF EXISTS approved_languages;
+  DROP INDEX IF EXISTS idx_fonts_approved_languages;
+  ALTER TABLE fonts DROP COLUMN IF EXISTS approved_languages;
+  ALTER TABLE fonts DROP COLUMN IF EXISTS language_support;
+`;
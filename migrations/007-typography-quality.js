@@ -0,0 +1,12 @@
+// Kahakō clipping/collision and ʻokina spacing measurements of the default
+// variant (see typography-quality.js)
+
+exports.up = `
+  ALTER TABLE fonts ADD COLUMN typography_quality JSONB;
+  CREATE INDEX idx_fonts_typography_status ON fonts ((typography_quality->>'status'));
+`;
+
+exports.down = `
+  DROP INDEX IF EXISTS idx_fonts_typography_status;
+  ALTER TABLE fonts DROP COLUMN IF EXISTS typography_quality;
+`;
@@ -0,0 +1,10 @@
+// Pairwise distinguishability of the ʻokina and its lookalike characters, and
+// the ʻokina's orientation (see okina-confusables.js)
+
+exports.up = `
+  ALTER TABLE fonts ADD COLUMN okina_confusables JSONB;
+`;
+
+exports.down = `
+  ALTER TABLE fonts DROP COLUMN IF EXISTS okina_confusables;
+`;
@@ -0,0 +1,27 @@
+// Versioned approval policies and the explainable approval score of each font
+// (see approval-policy.js). Version 1 is the built-in policy and is not stored;
+// at most one stored policy is active.
+
+exports.up = `
+  CREATE TABLE approval_policies (
+    version INTEGER PRIMARY KEY CHECK (version > 1),
+    policy JSONB NOT NULL,
+    description TEXT,
+    is_active BOOLEAN NOT NULL DEFAULT FALSE,
+    created_by VARCHAR(255),
+    created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP
+  );
+
+  CREATE UNIQUE INDEX idx_approval_policies_active ON approval_policies (is_active) WHERE is_active;
+
+  ALTER TABLE fonts ADD COLUMN approval_score NUMERIC(4, 1);
+  ALTER TABLE fonts ADD COLUMN approval_reasons JSONB;
+  ALTER TABLE fonts ADD COLUMN approval_policy_version INTEGER;
+`;
+
+exports.down = `
+  ALTER TABLE fonts DROP COLUMN IF EXISTS approval_policy_version;
+  ALTER TABLE fonts DROP COLUMN IF EXISTS approval_reasons;
+  ALTER TABLE fonts DROP COLUMN IF EXISTS approval_score;
+  DROP TABLE IF EXISTS approval_policies;
+`;
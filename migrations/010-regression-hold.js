@@ -0,0 +1,39 @@
+// Scan history records the variants each scan measured, so a variant added by
+// a font update is not reported as newly unsupported. Only each font's latest
+// row can be backfilled (from its current variant matrix).
+//
+// regression_detected_at now marks an open regression review and is cleared
+// when a reviewer decides. Fonts that a later scan put back into
+// auto-approval while their regression review was still open are pulled out
+// again, with a failing regressionReview reason (see approval-policy.js).
+
+exports.up = `
+  ALTER TABLE font_scan_history ADD COLUMN scanned_variants JSONB;
+
+  UPDATE font_scan_history h
+  SET scanned_variants = COALESCE((
+    SELECT jsonb_agg(fv.variant ORDER BY fv.variant) FROM font_variants fv WHERE fv.font_id = h.font_id
+  ), '[]'::jsonb)
+  WHERE h.id IN (
+    SELECT DISTINCT ON (font_id) id FROM font_scan_history ORDER BY font_id, scanned_at DESC, id DESC
+  );
+
+  UPDATE fonts SET regression_detected_at = NULL WHERE needs_review = FALSE;
+
+  UPDATE fonts
+  SET auto_approved = FALSE,
+      approval_reasons = COALESCE(approval_reasons, '[]'::jsonb) || jsonb_build_array(jsonb_build_object(
+        'criterion', 'regressionReview',
+        'passed', FALSE,
+        'required', TRUE,
+        'weight', 0,
+        'earned', 0,
+        'reason', review_requested_reason
+      )),
+      last_updated = CURRENT_TIMESTAMP
+  WHERE auto_approved = TRUE AND needs_review = TRUE AND regression_detected_at IS NOT NULL;
+`;
+
+exports.down = `
+  ALTER TABLE font_scan_history DROP COLUMN IF EXISTS scanned_variants;
+`;
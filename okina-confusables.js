@@ -0,0 +1,109 @@
+// Characters readers mistake for the ʻokina, and what a font has to do about
+// them. The scanner renders each in an identical box and compares every pair:
+// - the ʻokina must look different from the apostrophe, the right single
+//   quotation mark and the modifier apostrophe, which are all "9" shaped or
+//   straight
+// - matching the left single quotation mark is fine: both are "6" shaped
+// The ʻokina itself must also open the right way (a "6", heavy end at the
+// bottom), judged from where its ink is concentrated.
+
+const { formatCodePoint } = require('./glyph-coverage');
+
+const OKINA = 'ʻ';
+
+const OKINA_CONFUSABLES = [
+  { character: OKINA, name: 'modifier letter turned comma (ʻokina)' },
+  { character: "'", name: 'apostrophe' },
+  { character: '‘', name: 'left single quotation mark' },
+  { character: '’', name: 'right single quotation mark' },
+  { character: 'ʼ', name: 'modifier letter apostrophe' }
+];
+
+// Lookalikes that are acceptable renderings of the ʻokina
+const ACCEPTABLE_OKINA_MATCHES = ['‘'];
+
+// How far the ink centroid must sit from the middle of the glyph's height
+// (as a fraction of it) to count as a "6" or "9" rather than a straight tick
+const ORIENTATION_MARGIN = 0.05;
+
+const codePointOf = character => formatCodePoint(character.codePointAt(0));
+
+// comparePair(i, j) -> { mismatchedPixels, mismatchRatio, ssim } for the
+// rendered boxes of OKINA_CONFUSABLES[i] and [j]
+function buildConfusableMatrix(comparePair, pixelThreshold) {
+  const pairs = [];
+  const matrix = Object.fromEntries(OKINA_CONFUSABLES.map(({ character }) => [codePointOf(character), {}]));
+
+  for (let i = 0; i < OKINA_CONFUSABLES.length; i++) {
+    for (let j = i + 1; j < OKINA_CONFUSABLES.length; j++) {
+      const first = OKINA_CONFUSABLES[i].character;
+      const second = OKINA_CONFUSABLES[j].character;
+      const comparison = comparePair(i, j);
+      const distinct = comparison.mismatchedPixels > pixelThreshold;
+
+      pairs.push({
+        characters: [first, second],
+        codePoints: [codePointOf(first), codePointOf(second)],
+        mismatchedPixels: comparison.mismatchedPixels,
+        mismatchRatio: comparison.mismatchRatio,
+        ssim: comparison.ssim,
+        distinct
+      });
+      matrix[codePointOf(first)][codePointOf(second)] = distinct;
+      matrix[codePointOf(second)][codePointOf(first)] = distinct;
+    }
+  }
+
+  return { pairs, matrix };
+}
+
+// ink: measureInk of the ʻokina box. A "6" has its heavy end at the bottom,
+// pulling the centroid below the middle of the ink; a "9" pulls it above.
+function checkOkinaOrientation(ink) {
+  if (!ink || ink.bottom === ink.top) {
+    return { status: 'fail', shape: null, message: 'ʻokina rendered no measurable ink' };
+  }
+
+  const position = (ink.centroidY - ink.top) / (ink.bottom - ink.top); // 0 top, 1 bottom
+  const shape = position > 0.5 + ORIENTATION_MARGIN ? '6'
+    : position < 0.5 - ORIENTATION_MARGIN ? '9' : 'straight';
+  const messages = {
+    6: 'ʻokina opens correctly (a "6" shape)',
+    9: 'ʻokina is reversed (a "9" shape, like an apostrophe)',
+    straight: 'ʻokina is a straight tick with no clear orientation'
+  };
+
+  return {
+    status: shape === '6' ? 'pass' : shape === '9' ? 'fail' : 'warn',
+    shape,
+    centroidPosition: Math.round(position * 1000) / 1000,
+    message: messages[shape]
+  };
+}
+
+// The stored okinaConfusables section: matrix, orientation and the
+// characters the ʻokina cannot be told apart from
+function summarizeOkinaConfusables({ pairs, matrix }, orientation) {
+  const indistinctFromOkina = pairs
+    .filter(pair => pair.characters[0] === OKINA && !pair.distinct)
+    .map(pair => pair.characters[1]);
+  const problems = indistinctFromOkina.filter(character => !ACCEPTABLE_OKINA_MATCHES.includes(character));
+
+  return {
+    characters: OKINA_CONFUSABLES.map(({ character, name }) => ({ character, codePoint: codePointOf(character), name })),
+    matrix,
+    pairs,
+    orientation,
+    indistinctFromOkina,
+    distinguishable: problems.length === 0,
+    status: problems.length > 0 || orientation.status === 'fail' ? 'fail' : orientation.status
+  };
+}
+
+module.exports = {
+  OKINA_CONFUSABLES,
+  ACCEPTABLE_OKINA_MATCHES,
+  buildConfusableMatrix,
+  checkOkinaOrientation,
+  summarizeOkinaConfusables
+};
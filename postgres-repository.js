@@ -0,0 +1,999 @@
+const QueryStream = require('pg-query-stream');
+const { buildWhereClause, getFontFacets } = require('./font-filters');
+const { buildLanguageColumns, buildVariantRows } = require('./scan-store');
+const { buildHistoryEntry, findRegressions, describeRegression, isRegressionReviewOpen } = require('./scan-history');
+const {
+  getScanMeasurements,
+  scoreApproval,
+  holdApproval,
+  policyFromRow,
+  evaluateCatalog,
+  buildApprovalColumns
+} = require('./approval-policy');
+const { migrateUp } = require('./migrate');
+
+// Repository backed by Postgres (see repository.js for the interface)
+function createPostgresRepository(pool) {
+  // Run callback(client) inside BEGIN/COMMIT on one pooled connection
+  async function withTransaction(callback) {
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+      const result = await callback(client);
+      await client.query('COMMIT');
+      return result;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // ===================
+  // FONTS
+  // ===================
+
+  async function listFonts({ filters, sortColumn, order, limit, offset }) {
+    const { whereClause, params } = buildWhereClause(filters);
+
+    const result = await pool.query(`
+      SELECT
+        f.*,
+        COUNT(*) OVER() as total_count,
+        COALESCE(
+          json_agg(
+            json_build_object(
+              'character', fcs.character,
+              'unicode_code_point', fcs.unicode_code_point,
+              'is_supported', fcs.is_supported,
+              'character_type', fcs.character_type
+            )
+          ) FILTER (WHERE fcs.id IS NOT NULL),
+          '[]'::json
+        ) as character_support
+      FROM fonts f
+      LEFT JOIN font_character_support fcs ON f.id = fcs.font_id AND fcs.variant = f.default_variant
+      ${whereClause}
+      GROUP BY f.id
+      ORDER BY f.${sortColumn} ${order}
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `, [...params, limit, offset]);
+
+    return {
+      fonts: result.rows.map(row => {
+        const { total_count, ...font } = row;
+        return font;
+      }),
+      totalCount: result.rows.length > 0 ? parseInt(result.rows[0].total_count) : 0
+    };
+  }
+
+  function getFacets(filters) {
+    return getFontFacets(pool, filters);
+  }
+
+  // Full font detail with the default variant's character support and the
+  // per-variant support matrix (one row per variant, one column per character)
+  async function getFontDetail(id) {
+    const result = await pool.query(`
+      SELECT f.*,
+        json_agg(
+          json_build_object(
+            'character', fcs.character,
+            'unicode_code_point', fcs.unicode_code_point,
+            'is_supported', fcs.is_supported,
+            'character_type', fcs.character_type,
+            'test_details', fcs.test_details
+          )
+        ) FILTER (WHERE fcs.id IS NOT NULL) as character_support
+      FROM fonts f
+      LEFT JOIN font_character_support fcs ON f.id = fcs.font_id AND fcs.variant = f.default_variant
+      WHERE f.id = $1 AND f.is_active = TRUE
+      GROUP BY f.id
+    `, [id]);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    const variantResult = await pool.query(`
+      SELECT fv.*,
+        COALESCE(
+          json_object_agg(fcs.character, fcs.is_supported) FILTER (WHERE fcs.id IS NOT NULL),
+          '{}'::json
+        ) as characters
+      FROM font_variants fv
+      LEFT JOIN font_character_support fcs
+        ON fcs.font_id = fv.font_id AND fcs.variant = fv.variant
+      WHERE fv.font_id = $1
+      GROUP BY fv.id
+      ORDER BY fv.style, fv.weight, fv.variant
+    `, [id]);
+
+    return { ...result.rows[0], variant_support: variantResult.rows };
+  }
+
+  // The fields specimens, embed code and feedback need from an active font
+  async function getActiveFont(id) {
+    const result = await pool.query(`
+      SELECT id, font_family, source, font_metadata, scanned_at
+      FROM fonts
+      WHERE id = $1 AND is_active = TRUE
+    `, [id]);
+
+    return result.rows[0] || null;
+  }
+
+  async function getStats() {
+    const result = await pool.query(`
+      SELECT
+        COUNT(*) as total_fonts,
+        COUNT(*) FILTER (WHERE (auto_approved = TRUE OR manually_approved = TRUE) AND manually_approved IS DISTINCT FROM FALSE) as approved_fonts,
+        COUNT(*) FILTER (WHERE auto_approved = TRUE) as auto_approved_fonts,
+        COUNT(*) FILTER (WHERE manually_approved = TRUE) as manually_approved_fonts,
+        COUNT(*) FILTER (WHERE has_visual_distinction = TRUE) as fonts_with_distinction,
+        COUNT(*) FILTER (WHERE all_diacriticals_supported = TRUE) as fonts_with_full_support,
+        COUNT(DISTINCT google_font_category) as categories,
+        AVG(diacritical_percentage) as avg_diacritical_support,
+        MAX(scanned_at) as last_scan_date
+      FROM fonts
+      WHERE is_active = TRUE
+    `);
+
+    const categoryResult = await pool.query(`
+      SELECT
+        google_font_category as category,
+        COUNT(*) as total,
+        COUNT(*) FILTER (WHERE (auto_approved = TRUE OR manually_approved = TRUE) AND manually_approved IS DISTINCT FROM FALSE) as approved
+      FROM fonts
+      WHERE is_active = TRUE AND google_font_category IS NOT NULL
+      GROUP BY google_font_category
+      ORDER BY approved DESC
+    `);
+
+    return { ...result.rows[0], categories: categoryResult.rows };
+  }
+
+  // Object-mode stream of font rows read from a cursor, so large exports
+  // never sit in memory. The connection is released when the stream ends,
+  // fails or is destroyed.
+  async function streamFonts(filters, columns) {
+    const { whereClause, params } = buildWhereClause(filters);
+    const client = await pool.connect();
+
+    const stream = client.query(new QueryStream(`
+      SELECT ${columns.map(column => `f.${column}`).join(', ')}
+      FROM fonts f
+      ${whereClause}
+      ORDER BY f.font_family
+    `, params, { batchSize: 200 }));
+
+    let released = false;
+    const release = () => {
+      if (!released) {
+        released = true;
+        client.release();
+      }
+    };
+
+    stream.on('end', release);
+    stream.on('error', release);
+    stream.on('close', release);
+
+    return stream;
+  }
+
+  // Family, version and lastModified of every font, for incremental scans
+  // Google Fonts families only: an upload sharing a catalog family name must
+  // not hide the catalog font from the incremental diff
+  async function getKnownFonts() {
+    const result = await pool.query(`
+      SELECT font_family, google_font_version, google_font_last_modified
+      FROM fonts
+      WHERE source = 'google'
+    `);
+
+    return result.rows.map(row => ({
+      family: row.font_family,
+      version: row.google_font_version,
+      lastModified: row.google_font_last_modified
+    }));
+  }
+
+  async function getFontScannedAt(fontFamily, source) {
+    const result = await pool.query(
+      'SELECT scanned_at FROM fonts WHERE font_family = $1 AND source = $2',
+      [fontFamily, source]
+    );
+
+    return result.rows[0]?.scanned_at || null;
+  }
+
+  // Upsert a font through insert_scan_result, then store its variant matrix
+  // and a history row (pulling the font out of approval on a regression).
+  // Auto-approval is scored under the active approval policy. Everything is
+  // one transaction, so a failure never leaves a partial variant matrix or a
+  // font without its history row.
+  async function saveScanResult(scanResult, batchInfo) {
+    try {
+      const policy = policyFromRow(await getActiveApprovalPolicy());
+      const scored = scoreApproval(getScanMeasurements(scanResult), policy);
+
+      return await withTransaction(async (client) => {
+        // Locking the font row makes concurrent saves of one font compare
+        // against each other's history
+        const existing = await client.query(`
+          SELECT id, needs_review, regression_detected_at, review_requested_reason
+          FROM fonts
+          WHERE font_family = $1 AND source = $2
+          FOR UPDATE
+        `, [scanResult.fontFamily, scanResult.source || 'google']);
+
+        const font = existing.rows[0];
+        const entry = buildHistoryEntry({ ...scanResult, autoApproved: scored.approved });
+        const regressionReasons = findRegressions(font && await findPreviousScan(client, font.id, entry.scanned_at), entry);
+
+        // A regression, new or still under review, keeps the font out of auto-approval
+        const heldReason = regressionReasons.length > 0
+          ? describeRegression(regressionReasons)
+          : (isRegressionReviewOpen(font) ? font.review_requested_reason : null);
+        const approval = heldReason ? holdApproval(scored, heldReason) : scored;
+        const scoredResult = { ...scanResult, autoApproved: approval.approved, approval };
+
+        const result = await client.query(`
+          SELECT insert_scan_result($1, $2, $3, $4) as font_id
+        `, [
+          scoredResult.fontFamily,
+          JSON.stringify(scoredResult.googleFontData || scoredResult.fontData),
+          JSON.stringify(scoredResult),
+          batchInfo
+        ]);
+
+        const fontId = result.rows[0].font_id;
+        await saveVariantSupport(client, fontId, scoredResult);
+        await recordScanHistory(client, fontId, { ...entry, auto_approved: approval.approved }, regressionReasons, batchInfo);
+
+        if (regressionReasons.length > 0) {
+          await client.query(`
+            UPDATE fonts
+            SET needs_review = TRUE,
+                review_requested_reason = $1,
+                regression_detected_at = CURRENT_TIMESTAMP,
+                last_updated = CURRENT_TIMESTAMP
+            WHERE id = $2
+          `, [heldReason, fontId]);
+
+          console.log(`📉 Regression in ${scanResult.fontFamily}: ${regressionReasons.map(r => r.code).join(', ')}`);
+        }
+
+        return fontId;
+      });
+    } catch (error) {
+      console.error('Error inserting scan result:', error);
+      throw error;
+    }
+  }
+
+  // Variant and character rows are each written in one statement from a JSON array
+  async function saveVariantSupport(client, fontId, scanResult) {
+    const { variants, characters, defaultVariant, allVariantsSupported } = buildVariantRows(scanResult);
+
+    await client.query(`
+      INSERT INTO font_variants
+        (font_id, variant, weight, style, axis_values, oken_vs_apostrophe_difference,
+         has_visual_distinction, okina_supported, supported_count, total_count,
+         combining_marks_equivalent, fully_supported)
+      SELECT $1, v.variant, v.weight, v.style, v.axis_values, v.oken_vs_apostrophe_difference,
+             v.has_visual_distinction, v.okina_supported, v.supported_count, v.total_count,
+             v.combining_marks_equivalent, v.fully_supported
+      FROM jsonb_to_recordset($2::jsonb) AS v(
+        variant TEXT, weight INTEGER, style TEXT, axis_values JSONB, oken_vs_apostrophe_difference INTEGER,
+        has_visual_distinction BOOLEAN, okina_supported BOOLEAN, supported_count INTEGER, total_count INTEGER,
+        combining_marks_equivalent BOOLEAN, fully_supported BOOLEAN
+      )
+      ON CONFLICT (font_id, variant) DO UPDATE
+      SET weight = EXCLUDED.weight,
+          style = EXCLUDED.style,
+          axis_values = EXCLUDED.axis_values,
+          oken_vs_apostrophe_difference = EXCLUDED.oken_vs_apostrophe_difference,
+          has_visual_distinction = EXCLUDED.has_visual_distinction,
+          okina_supported = EXCLUDED.okina_supported,
+          supported_count = EXCLUDED.supported_count,
+          total_count = EXCLUDED.total_count,
+          combining_marks_equivalent = EXCLUDED.combining_marks_equivalent,
+          fully_supported = EXCLUDED.fully_supported,
+          scanned_at = CURRENT_TIMESTAMP
+    `, [fontId, JSON.stringify(variants)]);
+
+    if (characters.length > 0) {
+      await client.query(`
+        INSERT INTO font_character_support
+          (font_id, variant, character, unicode_code_point, is_supported, character_type, test_details)
+        SELECT $1, c.variant, c.character, c.unicode_code_point, c.is_supported, c.character_type, c.test_details
+        FROM jsonb_to_recordset($2::jsonb) AS c(
+          variant TEXT, character TEXT, unicode_code_point TEXT, is_supported BOOLEAN,
+          character_type TEXT, test_details JSONB
+        )
+        ON CONFLICT (font_id, variant, character) DO UPDATE
+        SET unicode_code_point = EXCLUDED.unicode_code_point,
+            is_supported = EXCLUDED.is_supported,
+            character_type = EXCLUDED.character_type,
+            test_details = EXCLUDED.test_details
+      `, [fontId, JSON.stringify(characters)]);
+    }
+
+    // Variants that no longer exist in the font should not linger in the matrix
+    const variantNames = variants.map(variant => variant.variant);
+    await client.query(
+      'DELETE FROM font_variants WHERE font_id = $1 AND NOT (variant = ANY($2))',
+      [fontId, variantNames]
+    );
+    await client.query(
+      'DELETE FROM font_character_support WHERE font_id = $1 AND NOT (variant = ANY($2))',
+      [fontId, variantNames]
+    );
+
+    const languages = buildLanguageColumns(scanResult);
+
+    await client.query(`
+      UPDATE fonts
+      SET default_variant = $1,
+          variant_count = $2,
+          all_variants_supported = $3,
+          language_support = $4,
+          approved_languages = $5,
+          typography_quality = $6,
+          okina_confusables = $7,
+          approval_score = $8,
+          approval_reasons = $9,
+          approval_policy_version = $10
+      WHERE id = $11
+    `, [
+      defaultVariant,
+      variants.length,
+      allVariantsSupported,
+      JSON.stringify(languages.language_support),
+      languages.approved_languages,
+      JSON.stringify(scanResult.typographyQuality ?? null),
+      JSON.stringify(scanResult.okinaConfusables ?? null),
+      scanResult.approval?.score ?? null,
+      JSON.stringify(scanResult.approval?.criteria ?? null),
+      scanResult.approval?.policyVersion ?? null,
+      fontId
+    ]);
+  }
+
+  // The history row a new scan is compared with
+  async function findPreviousScan(client, fontId, scannedAt) {
+    const result = await client.query(`
+      SELECT * FROM font_scan_history
+      WHERE font_id = $1 AND scanned_at <= $2
+      ORDER BY scanned_at DESC, id DESC
+      LIMIT 1
+    `, [fontId, scannedAt]);
+
+    return result.rows[0];
+  }
+
+  async function recordScanHistory(client, fontId, entry, regressionReasons, batchInfo) {
+    await client.query(`
+      INSERT INTO font_scan_history
+        (font_id, font_version, font_last_modified, scan_batch, scanned_at, auto_approved,
+         has_visual_distinction, oken_vs_apostrophe_difference, diacritical_percentage,
+         okina_supported, supported_characters, scanned_variants, unsupported_variants, variant_count,
+         combining_marks_equivalent, approved_languages, is_regression, regression_reasons)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18)
+    `, [
+      fontId,
+      entry.font_version,
+      entry.font_last_modified,
+      batchInfo,
+      entry.scanned_at,
+      entry.auto_approved,
+      entry.has_visual_distinction,
+      entry.oken_vs_apostrophe_difference,
+      entry.diacritical_percentage,
+      entry.okina_supported,
+      JSON.stringify(entry.supported_characters),
+      JSON.stringify(entry.scanned_variants),
+      JSON.stringify(entry.unsupported_variants),
+      entry.variant_count,
+      entry.combining_marks_equivalent,
+      entry.approved_languages,
+      regressionReasons.length > 0,
+      JSON.stringify(regressionReasons)
+    ]);
+  }
+
+  // Scan history of a font, newest first
+  async function getFontHistory(fontId, limit = 50) {
+    const result = await pool.query(`
+      SELECT * FROM font_scan_history
+      WHERE font_id = $1
+      ORDER BY scanned_at DESC, id DESC
+      LIMIT $2
+    `, [fontId, limit]);
+
+    return result.rows;
+  }
+
+  // Regression history rows, newest first. openOnly keeps fonts still
+  // waiting for review.
+  async function listRegressions({ openOnly, limit, offset }) {
+    const result = await pool.query(`
+      SELECT h.*, f.font_family, f.source, f.needs_review,
+        COUNT(*) OVER() as total_count
+      FROM font_scan_history h
+      JOIN fonts f ON f.id = h.font_id
+      WHERE h.is_regression = TRUE
+        AND f.is_active = TRUE
+        AND ($1::boolean IS NOT TRUE OR f.needs_review = TRUE)
+      ORDER BY h.scanned_at DESC, h.id DESC
+      LIMIT $2 OFFSET $3
+    `, [Boolean(openOnly), limit, offset]);
+
+    return {
+      regressions: result.rows.map(row => {
+        const { total_count, ...regression } = row;
+        return regression;
+      }),
+      totalCount: result.rows.length > 0 ? parseInt(result.rows[0].total_count) : 0
+    };
+  }
+
+  async function reviewFont(id, { approved, notes, reviewerName, reviewerKeyId }) {
+    const result = await pool.query(`
+      UPDATE fonts
+      SET manually_reviewed = TRUE,
+          manually_approved = $1,
+          review_notes = $2,
+          reviewed_by = $3,
+          reviewed_by_key_id = $4,
+          reviewed_at = CURRENT_TIMESTAMP,
+          needs_review = FALSE,
+          review_requested_reason = NULL,
+          regression_detected_at = NULL,
+          last_updated = CURRENT_TIMESTAMP
+      WHERE id = $5
+      RETURNING id, font_family, manually_approved, reviewed_by, reviewed_at
+    `, [approved, notes || null, reviewerName, reviewerKeyId, id]);
+
+    return result.rows[0] || null;
+  }
+
+  // Send a font back to the review queue; returns null if it is already there
+  async function flagFontForReview(id, reason) {
+    const result = await pool.query(`
+      UPDATE fonts
+      SET needs_review = TRUE,
+          review_requested_reason = $1,
+          last_updated = CURRENT_TIMESTAMP
+      WHERE id = $2 AND needs_review = FALSE
+      RETURNING id, font_family
+    `, [reason, id]);
+
+    return result.rows[0] || null;
+  }
+
+  // ===================
+  // APPROVAL POLICIES
+  // ===================
+
+  // The stored policy scans are approved under; null means the built-in one
+  async function getActiveApprovalPolicy() {
+    const result = await pool.query('SELECT * FROM approval_policies WHERE is_active = TRUE');
+    return result.rows[0] || null;
+  }
+
+  async function listApprovalPolicies() {
+    const result = await pool.query('SELECT * FROM approval_policies ORDER BY version DESC');
+    return result.rows;
+  }
+
+  // Every scanned active font with the stored measurements approval is scored
+  // from; okina_supported is the default variant's ʻokina coverage
+  const APPROVAL_FONTS_SQL = `
+    SELECT f.id, f.font_family, f.source, f.auto_approved, f.manually_reviewed,
+      f.needs_review, f.regression_detected_at, f.review_requested_reason,
+      f.oken_vs_apostrophe_difference, f.diacritical_percentage, f.combining_mark_support,
+      f.typography_quality, f.okina_confusables, f.approval_score, f.approval_policy_version,
+      fcs.is_supported as okina_supported
+    FROM fonts f
+    LEFT JOIN font_character_support fcs
+      ON fcs.font_id = f.id AND fcs.variant = f.default_variant AND fcs.character = 'ʻ'
+    WHERE f.is_active = TRUE AND f.scanned_at IS NOT NULL
+    ORDER BY f.id
+  `;
+
+  async function listFontsForApproval() {
+    const result = await pool.query(APPROVAL_FONTS_SQL);
+    return result.rows;
+  }
+
+  // Store a new policy version, make it the active one and re-score the whole
+  // catalog under it, all in one transaction. Returns { policy, summary, flips }.
+  async function activateApprovalPolicy({ policy, description, createdBy }) {
+    return withTransaction(async (client) => {
+      await client.query('LOCK TABLE approval_policies IN EXCLUSIVE MODE');
+
+      // Version 1 is the built-in policy
+      const versionResult = await client.query('SELECT GREATEST(COALESCE(MAX(version), 1), 1) + 1 as version FROM approval_policies');
+      const version = versionResult.rows[0].version;
+
+      await client.query('UPDATE approval_policies SET is_active = FALSE WHERE is_active = TRUE');
+      const policyResult = await client.query(`
+        INSERT INTO approval_policies (version, policy, description, is_active, created_by)
+        VALUES ($1, $2, $3, TRUE, $4)
+        RETURNING *
+      `, [version, JSON.stringify(policy), description || null, createdBy]);
+
+      const fonts = (await client.query(`${APPROVAL_FONTS_SQL} FOR UPDATE OF f`)).rows;
+      const { evaluations, summary, flips } = evaluateCatalog(fonts, policyFromRow(policyResult.rows[0]));
+      const rows = evaluations.map(({ font, approval }) => ({ id: font.id, ...buildApprovalColumns(approval) }));
+
+      await client.query(`
+        UPDATE fonts f
+        SET auto_approved = a.auto_approved,
+            approval_score = a.approval_score,
+            approval_reasons = a.approval_reasons,
+            approval_policy_version = a.approval_policy_version,
+            last_updated = CASE WHEN f.auto_approved = a.auto_approved THEN f.last_updated ELSE CURRENT_TIMESTAMP END
+        FROM jsonb_to_recordset($1::jsonb) AS a(
+          id INTEGER, auto_approved BOOLEAN, approval_score NUMERIC, approval_reasons JSONB, approval_policy_version INTEGER
+        )
+        WHERE f.id = a.id
+      `, [JSON.stringify(rows)]);
+
+      return { policy: policyResult.rows[0], summary, flips };
+    });
+  }
+
+  // ===================
+  // SCAN BATCHES
+  // ===================
+
+  async function findRunningBatch() {
+    const result = await pool.query(
+      'SELECT id FROM scan_batches WHERE status = $1',
+      ['running']
+    );
+
+    return result.rows[0] || null;
+  }
+
+  async function createBatch({
+    scanType, offset = 0, limit, pixelThreshold, families = null, notes = null, catalogSnapshotId = null
+  }) {
+    const result = await pool.query(`
+      INSERT INTO scan_batches
+        (batch_number, scan_type, batch_offset, batch_limit, pixel_threshold, families, processing_notes,
+         catalog_snapshot_id)
+      VALUES ((SELECT COALESCE(MAX(batch_number), 0) + 1 FROM scan_batches), $1, $2, $3, $4, $5, $6, $7)
+      RETURNING id, batch_number
+    `, [scanType, offset, limit, pixelThreshold, families ? JSON.stringify(families) : null, notes, catalogSnapshotId]);
+
+    return result.rows[0];
+  }
+
+  async function getBatch(id) {
+    const result = await pool.query('SELECT * FROM scan_batches WHERE id = $1', [id]);
+    return result.rows[0] || null;
+  }
+
+  async function listRecentBatches(limit = 10) {
+    const result = await pool.query(
+      'SELECT * FROM scan_batches ORDER BY started_at DESC LIMIT $1',
+      [limit]
+    );
+    return result.rows;
+  }
+
+  async function listRunningBatches() {
+    const result = await pool.query(
+      'SELECT * FROM scan_batches WHERE status = $1 ORDER BY started_at DESC',
+      ['running']
+    );
+    return result.rows;
+  }
+
+  // changes maps scan_batches columns to new values; returns the updated row
+  async function updateBatch(id, changes) {
+    const columns = Object.keys(changes);
+    const setClause = columns.map((column, i) => `${column} = $${i + 2}`).join(', ');
+
+    const result = await pool.query(
+      `UPDATE scan_batches SET ${setClause} WHERE id = $1 RETURNING *`,
+      [id, ...columns.map(column => changes[column])]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  async function getLastBatchStartedAt(scanType) {
+    const result = await pool.query(
+      'SELECT MAX(started_at) as last_scan FROM scan_batches WHERE scan_type = $1',
+      [scanType]
+    );
+
+    return result.rows[0]?.last_scan || null;
+  }
+
+  // ===================
+  // FEEDBACK
+  // ===================
+
+  async function createFeedback({ fontId, feedbackType, message, userEmail }) {
+    const result = await pool.query(`
+      INSERT INTO font_feedback (font_id, feedback_type, message, user_email)
+      VALUES ($1, $2, $3, $4)
+      RETURNING id
+    `, [fontId, feedbackType, message, userEmail || null]);
+
+    return result.rows[0];
+  }
+
+  async function countOpenReports(fontId) {
+    const result = await pool.query(`
+      SELECT COUNT(*) as open_reports
+      FROM font_feedback
+      WHERE font_id = $1 AND feedback_type = 'incorrect_support' AND status IN ('open', 'triaged')
+    `, [fontId]);
+
+    return parseInt(result.rows[0].open_reports);
+  }
+
+  async function listFeedback({ fontId, feedbackType, status, limit, offset }) {
+    let whereClause = 'WHERE TRUE';
+    const queryParams = [];
+
+    if (fontId) {
+      queryParams.push(fontId);
+      whereClause += ` AND ff.font_id = $${queryParams.length}`;
+    }
+
+    if (feedbackType) {
+      queryParams.push(feedbackType);
+      whereClause += ` AND ff.feedback_type = $${queryParams.length}`;
+    }
+
+    if (status) {
+      queryParams.push(status);
+      whereClause += ` AND ff.status = $${queryParams.length}`;
+    }
+
+    queryParams.push(limit, offset);
+
+    const result = await pool.query(`
+      SELECT ff.*, f.font_family, COUNT(*) OVER() as total_count
+      FROM font_feedback ff
+      JOIN fonts f ON f.id = ff.font_id
+      ${whereClause}
+      ORDER BY ff.created_at DESC
+      LIMIT $${queryParams.length - 1} OFFSET $${queryParams.length}
+    `, queryParams);
+
+    return {
+      feedback: result.rows.map(row => {
+        const { total_count, ...feedback } = row;
+        return feedback;
+      }),
+      totalCount: result.rows.length > 0 ? parseInt(result.rows[0].total_count) : 0
+    };
+  }
+
+  async function moderateFeedback(id, { status, notes, moderatedBy }) {
+    const result = await pool.query(`
+      UPDATE font_feedback
+      SET status = $1,
+          moderation_notes = COALESCE($2, moderation_notes),
+          moderated_by = $3,
+          moderated_at = CURRENT_TIMESTAMP
+      WHERE id = $4
+      RETURNING *
+    `, [status, notes || null, moderatedBy, id]);
+
+    return result.rows[0] || null;
+  }
+
+  // ===================
+  // UPLOADS
+  // ===================
+
+  async function createUpload({ id, originalFilename, filePath, fileSize, fileFormat, fontFamily, submitterEmail }) {
+    await pool.query(`
+      INSERT INTO font_uploads
+        (id, original_filename, file_path, file_size, file_format, font_family, submitter_email)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+    `, [id, originalFilename, filePath, fileSize, fileFormat, fontFamily, submitterEmail || null]);
+  }
+
+  async function getUpload(id) {
+    const result = await pool.query('SELECT * FROM font_uploads WHERE id = $1', [id]);
+    return result.rows[0] || null;
+  }
+
+  async function markUploadRunning(id) {
+    await pool.query(
+      'UPDATE font_uploads SET status = $1, started_at = CURRENT_TIMESTAMP WHERE id = $2',
+      ['running', id]
+    );
+  }
+
+  async function completeUpload(id, { fontId, report }) {
+    await pool.query(`
+      UPDATE font_uploads
+      SET status = 'completed',
+          completed_at = CURRENT_TIMESTAMP,
+          font_id = $1,
+          report = $2
+      WHERE id = $3
+    `, [fontId, JSON.stringify(report), id]);
+  }
+
+  async function failUpload(id, errorMessage) {
+    await pool.query(`
+      UPDATE font_uploads
+      SET status = 'failed',
+          completed_at = CURRENT_TIMESTAMP,
+          error_message = $1
+      WHERE id = $2
+    `, [errorMessage, id]);
+  }
+
+  // ===================
+  // API KEYS
+  // ===================
+
+  // Look up an unrevoked key by hash and record that it was used
+  async function useApiKey(keyHash) {
+    const result = await pool.query(`
+      UPDATE api_keys
+      SET last_used_at = CURRENT_TIMESTAMP
+      WHERE key_hash = $1 AND revoked_at IS NULL
+      RETURNING id, name, role
+    `, [keyHash]);
+
+    return result.rows[0] || null;
+  }
+
+  async function listApiKeys() {
+    const result = await pool.query(`
+      SELECT id, name, role, key_prefix, created_by, created_at, last_used_at, revoked_at
+      FROM api_keys
+      ORDER BY created_at DESC
+    `);
+
+    return result.rows;
+  }
+
+  async function createApiKey({ name, role, keyHash, keyPrefix, createdBy }) {
+    const result = await pool.query(`
+      INSERT INTO api_keys (name, role, key_hash, key_prefix, created_by)
+      VALUES ($1, $2, $3, $4, $5)
+      RETURNING id, name, role, key_prefix, created_at
+    `, [name, role, keyHash, keyPrefix, createdBy]);
+
+    return result.rows[0];
+  }
+
+  async function revokeApiKey(id) {
+    const result = await pool.query(`
+      UPDATE api_keys
+      SET revoked_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND revoked_at IS NULL
+      RETURNING id, name, role, revoked_at
+    `, [id]);
+
+    return result.rows[0] || null;
+  }
+
+  // ===================
+  // WEBHOOKS
+  // ===================
+
+  // Subscription columns safe to show; the signing secret is left out
+  const WEBHOOK_COLUMNS = 'id, url, events, description, is_active, created_by, created_at, deactivated_at';
+
+  async function listWebhooks() {
+    const result = await pool.query(
+      `SELECT ${WEBHOOK_COLUMNS} FROM webhook_subscriptions ORDER BY created_at DESC`
+    );
+
+    return result.rows;
+  }
+
+  // Includes the signing secret
+  async function getWebhook(id) {
+    const result = await pool.query('SELECT * FROM webhook_subscriptions WHERE id = $1', [id]);
+    return result.rows[0] || null;
+  }
+
+  async function createWebhook({ url, secret, events, description, createdBy }) {
+    const result = await pool.query(`
+      INSERT INTO webhook_subscriptions (url, secret, events, description, created_by)
+      VALUES ($1, $2, $3, $4, $5)
+      RETURNING *
+    `, [url, secret, events, description || null, createdBy]);
+
+    return result.rows[0];
+  }
+
+  // Stop sending to a subscription and give up on its pending deliveries
+  async function deactivateWebhook(id) {
+    const result = await pool.query(`
+      UPDATE webhook_subscriptions
+      SET is_active = FALSE,
+          deactivated_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND is_active = TRUE
+      RETURNING ${WEBHOOK_COLUMNS}
+    `, [id]);
+
+    if (result.rows.length > 0) {
+      await pool.query(`
+        UPDATE webhook_deliveries
+        SET status = 'failed',
+            next_attempt_at = NULL,
+            last_error = 'Subscription deactivated'
+        WHERE subscription_id = $1 AND status = 'pending'
+      `, [id]);
+    }
+
+    return result.rows[0] || null;
+  }
+
+  // Active subscriptions (with secrets) listening for eventType
+  async function listWebhooksForEvent(eventType) {
+    const result = await pool.query(
+      'SELECT * FROM webhook_subscriptions WHERE is_active = TRUE AND $1 = ANY(events)',
+      [eventType]
+    );
+
+    return result.rows;
+  }
+
+  async function createWebhookDelivery({ subscriptionId, eventType, payload }) {
+    const result = await pool.query(`
+      INSERT INTO webhook_deliveries (subscription_id, event_type, payload, next_attempt_at)
+      VALUES ($1, $2, $3, CURRENT_TIMESTAMP)
+      RETURNING *
+    `, [subscriptionId, eventType, JSON.stringify(payload)]);
+
+    return result.rows[0];
+  }
+
+  async function getWebhookDelivery(id) {
+    const result = await pool.query('SELECT * FROM webhook_deliveries WHERE id = $1', [id]);
+    return result.rows[0] || null;
+  }
+
+  async function updateWebhookDelivery(id, changes) {
+    const columns = Object.keys(changes);
+    const setClause = columns.map((column, i) => `${column} = $${i + 2}`).join(', ');
+
+    const result = await pool.query(
+      `UPDATE webhook_deliveries SET ${setClause} WHERE id = $1 RETURNING *`,
+      [id, ...columns.map(column => changes[column])]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  // Pending deliveries whose retry time has come, with their target url and secret
+  async function listDueWebhookDeliveries(limit) {
+    const result = await pool.query(`
+      SELECT wd.*, ws.url, ws.secret
+      FROM webhook_deliveries wd
+      JOIN webhook_subscriptions ws ON ws.id = wd.subscription_id
+      WHERE wd.status = 'pending'
+        AND wd.next_attempt_at <= CURRENT_TIMESTAMP
+        AND ws.is_active = TRUE
+      ORDER BY wd.next_attempt_at
+      LIMIT $1
+    `, [limit]);
+
+    return result.rows;
+  }
+
+  async function listWebhookDeliveries({ subscriptionId, eventType, status, limit, offset }) {
+    let whereClause = 'WHERE TRUE';
+    const queryParams = [];
+
+    if (subscriptionId) {
+      queryParams.push(subscriptionId);
+      whereClause += ` AND wd.subscription_id = $${queryParams.length}`;
+    }
+
+    if (eventType) {
+      queryParams.push(eventType);
+      whereClause += ` AND wd.event_type = $${queryParams.length}`;
+    }
+
+    if (status) {
+      queryParams.push(status);
+      whereClause += ` AND wd.status = $${queryParams.length}`;
+    }
+
+    queryParams.push(limit, offset);
+
+    const result = await pool.query(`
+      SELECT wd.*, ws.url, COUNT(*) OVER() as total_count
+      FROM webhook_deliveries wd
+      JOIN webhook_subscriptions ws ON ws.id = wd.subscription_id
+      ${whereClause}
+      ORDER BY wd.created_at DESC, wd.id DESC
+      LIMIT $${queryParams.length - 1} OFFSET $${queryParams.length}
+    `, queryParams);
+
+    return {
+      deliveries: result.rows.map(row => {
+        const { total_count, ...delivery } = row;
+        return delivery;
+      }),
+      totalCount: result.rows.length > 0 ? parseInt(result.rows[0].total_count) : 0
+    };
+  }
+
+  return {
+    backend: 'postgres',
+    migrate: () => migrateUp(pool),
+    close: () => pool.end(),
+
+    listFonts,
+    getFacets,
+    getFontDetail,
+    getActiveFont,
+    getStats,
+    streamFonts,
+    getKnownFonts,
+    getFontScannedAt,
+    saveScanResult,
+    reviewFont,
+    flagFontForReview,
+    getFontHistory,
+    listRegressions,
+
+    getActiveApprovalPolicy,
+    listApprovalPolicies,
+    listFontsForApproval,
+    activateApprovalPolicy,
+
+    findRunningBatch,
+    createBatch,
+    getBatch,
+    listRecentBatches,
+    listRunningBatches,
+    updateBatch,
+    getLastBatchStartedAt,
+
+    createFeedback,
+    countOpenReports,
+    listFeedback,
+    moderateFeedback,
+
+    createUpload,
+    getUpload,
+    markUploadRunning,
+    completeUpload,
+    failUpload,
+
+    useApiKey,
+    listApiKeys,
+    createApiKey,
+    revokeApiKey,
+
+    listWebhooks,
+    getWebhook,
+    createWebhook,
+    deactivateWebhook,
+    listWebhooksForEvent,
+    createWebhookDelivery,
+    getWebhookDelivery,
+    updateWebhookDelivery,
+    listDueWebhookDeliveries,
+    listWebhookDeliveries
+  };
+}
+
+module.exports = { createPostgresRepository };
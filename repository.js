@@ -0,0 +1,53 @@
+const { Pool } = require('pg');
+const { createPostgresRepository } = require('./postgres-repository');
+const { createMemoryRepository } = require('./memory-repository');
+
+// Data access for the API server and command-line tools. Routes talk to a
+// repository instead of running SQL, so the same app runs against Postgres
+// or, for tests and local development, entirely in memory.
+//
+// Both backends return the same rows (snake_case columns as in migrations/)
+// and expose:
+//   fonts:    listFonts, getFacets, getFontDetail, getActiveFont, getStats,
+//             streamFonts, getKnownFonts, getFontScannedAt, saveScanResult,
+//             reviewFont, flagFontForReview, getFontHistory, listRegressions
+//   approval: getActiveApprovalPolicy, listApprovalPolicies, listFontsForApproval,
+//             activateApprovalPolicy
+//   batches:  findRunningBatch, createBatch, getBatch, listRecentBatches,
+//             listRunningBatches, updateBatch, getLastBatchStartedAt
+//   feedback: createFeedback, countOpenReports, listFeedback, moderateFeedback
+//   uploads:  createUpload, getUpload, markUploadRunning, completeUpload, failUpload
+//   API keys: useApiKey, listApiKeys, createApiKey, revokeApiKey
+//   webhooks: listWebhooks, getWebhook, createWebhook, deactivateWebhook,
+//             listWebhooksForEvent, createWebhookDelivery, getWebhookDelivery,
+//             updateWebhookDelivery, listDueWebhookDeliveries, listWebhookDeliveries
+//   lifecycle: backend, migrate, close
+// Lookups resolve to null when nothing matches.
+
+const BACKENDS = ['postgres', 'memory'];
+
+// options.backend (or DATA_BACKEND) picks the implementation; defaults to postgres.
+// options.seed preloads the memory backend with fixture rows.
+function createRepository(options = {}) {
+  const backend = options.backend || process.env.DATA_BACKEND || 'postgres';
+
+  if (backend === 'memory') {
+    return createMemoryRepository(options.seed);
+  }
+
+  if (backend !== 'postgres') {
+    throw new Error(`DATA_BACKEND must be one of: ${BACKENDS.join(', ')}`);
+  }
+
+  const pool = options.pool || new Pool({
+    connectionString: process.env.DATABASE_URL,
+    ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+  });
+
+  return createPostgresRepository(pool);
+}
+
+module.exports = {
+  BACKENDS,
+  createRepository
+};
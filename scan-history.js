@@ -0,0 +1,108 @@
+// Every stored scan is also kept as a history row tied to the font version it
+// measured. Comparing a new row with the previous one finds regressions, such
+// as a Google Fonts update that drops the ʻokina glyph.
+
+const { buildLanguageColumns, buildVariantRows } = require('./scan-store');
+
+// History row (font_scan_history columns) for a scan result
+function buildHistoryEntry(scanResult) {
+  const fontData = scanResult.googleFontData || scanResult.fontData || {};
+  const support = scanResult.diacriticalSupport || {};
+  const difference = scanResult.okenVsApostropheDifference;
+  const { variants } = buildVariantRows(scanResult);
+
+  return {
+    font_version: fontData.version ?? null,
+    font_last_modified: fontData.lastModified ?? null,
+    scanned_at: scanResult.scannedAt ? new Date(scanResult.scannedAt) : new Date(),
+    auto_approved: Boolean(scanResult.autoApproved),
+    has_visual_distinction: Boolean(scanResult.hasVisualDistinction),
+    oken_vs_apostrophe_difference: difference === undefined || difference === null ? null : Math.round(difference),
+    diacritical_percentage: Math.round((support.percentageSupported || 0) * 100) / 100,
+    okina_supported: Boolean(support.okinaSupported),
+    supported_characters: Object.entries(support.coverage || {})
+      .filter(([, details]) => details.supported)
+      .map(([character]) => character),
+    scanned_variants: variants.map(variant => variant.variant),
+    unsupported_variants: variants
+      .filter(variant => !variant.fully_supported)
+      .map(variant => variant.variant),
+    variant_count: scanResult.variantCount || 1,
+    combining_marks_equivalent: scanResult.combiningMarkSupport
+      ? Boolean(scanResult.combiningMarkSupport.allEquivalent)
+      : null,
+    approved_languages: buildLanguageColumns(scanResult).approved_languages
+  };
+}
+
+// Ways the current scan supports Hawaiian (or another language profile) worse
+// than the previous one. Returns [{ code, message }]; empty when nothing got worse.
+function findRegressions(previous, current) {
+  if (!previous) return [];
+
+  const reasons = [];
+  const versionNote = previous.font_version !== current.font_version
+    ? ` (${previous.font_version || 'unknown'} → ${current.font_version || 'unknown'})`
+    : '';
+
+  if (previous.okina_supported && !current.okina_supported) {
+    reasons.push({ code: 'okina_missing', message: `ʻokina glyph no longer supported${versionNote}` });
+  }
+
+  const lost = previous.supported_characters.filter(c => !current.supported_characters.includes(c) && c !== 'ʻ');
+  if (lost.length > 0) {
+    reasons.push({ code: 'characters_missing', message: `Characters no longer supported: ${lost.join(' ')}` });
+  }
+
+  if (Number(current.diacritical_percentage) < Number(previous.diacritical_percentage)) {
+    reasons.push({
+      code: 'diacritical_support_dropped',
+      message: `Kahakō support dropped from ${Number(previous.diacritical_percentage)}% to ${Number(current.diacritical_percentage)}%`
+    });
+  }
+
+  if (previous.has_visual_distinction && !current.has_visual_distinction) {
+    reasons.push({ code: 'visual_distinction_lost', message: 'ʻokina is no longer visually distinct from the apostrophe' });
+  }
+
+  // A variant added since the previous scan has nothing to regress from.
+  // History rows from before scanned_variants was recorded are not compared.
+  const failingVariants = current.unsupported_variants.filter(v =>
+    (previous.scanned_variants || []).includes(v) && !previous.unsupported_variants.includes(v));
+  if (failingVariants.length > 0) {
+    reasons.push({ code: 'variants_unsupported', message: `Variants no longer fully supported: ${failingVariants.join(', ')}` });
+  }
+
+  if (previous.combining_marks_equivalent === true && current.combining_marks_equivalent === false) {
+    reasons.push({ code: 'combining_marks_changed', message: 'Decomposed kahakō no longer renders like precomposed vowels' });
+  }
+
+  const lostLanguages = (previous.approved_languages || []).filter(code => !current.approved_languages.includes(code));
+  if (lostLanguages.length > 0) {
+    reasons.push({ code: 'languages_lost', message: `No longer approved for: ${lostLanguages.join(', ')}` });
+  }
+
+  if (previous.auto_approved && !current.auto_approved) {
+    reasons.push({ code: 'approval_lost', message: 'Font no longer meets auto-approval criteria' });
+  }
+
+  return reasons;
+}
+
+// review_requested_reason for a font pulled out of auto-approval
+function describeRegression(reasons) {
+  return `Regression: ${reasons.map(reason => reason.message).join('; ')}`;
+}
+
+// A font pulled out by a regression stays out of auto-approval, whatever
+// later scans measure, until a reviewer clears the review
+function isRegressionReviewOpen(font) {
+  return Boolean(font && font.needs_review && font.regression_detected_at);
+}
+
+module.exports = {
+  buildHistoryEntry,
+  findRegressions,
+  describeRegression,
+  isRegressionReviewOpen
+};
@@ -0,0 +1,156 @@
+// Mapping from scanner results to catalog rows, shared by both repository
+// backends, plus the idempotent import of scanner result files.
+
+const { PRIMARY_LANGUAGE, isMacronVowel } = require('./language-profiles');
+
+function getCharacterType(character) {
+  if (character === 'ʻ') return 'okina';
+  if (character === "'") return 'apostrophe';
+  if (character === '\u0304') return 'combining_mark';
+  if (!isMacronVowel(character)) return 'other'; // Required by a language profile
+  return character === character.toUpperCase() ? 'uppercase_kahako' : 'lowercase_kahako';
+}
+
+// Font columns for a scan result. Mirrors the insert_scan_result SQL function
+// (migrations/002-insert-scan-result.js) for backends without it.
+function buildFontRow(fontData, scanResult, scanBatch) {
+  const support = scanResult.diacriticalSupport || {};
+  const difference = scanResult.okenVsApostropheDifference;
+
+  return {
+    font_family: scanResult.fontFamily,
+    source: scanResult.source || 'google',
+    google_font_category: fontData?.category ?? null,
+    google_font_version: fontData?.version ?? null,
+    google_font_last_modified: fontData?.lastModified ?? null,
+    font_metadata: fontData ?? null,
+    oken_vs_apostrophe_difference: difference === undefined || difference === null ? null : Math.round(difference),
+    oken_vs_apostrophe_mismatch_ratio: scanResult.okenVsApostropheMismatchRatio ?? null,
+    oken_vs_apostrophe_ssim: scanResult.okenVsApostropheSsim ?? null,
+    has_visual_distinction: Boolean(scanResult.hasVisualDistinction),
+    all_diacriticals_supported: Boolean(support.allSupported),
+    diacritical_percentage: Math.round((support.percentageSupported || 0) * 100) / 100,
+    combining_mark_support: scanResult.combiningMarkSupport ?? null,
+    phrase_preview: scanResult.phrasePreview ?? null,
+    default_variant: scanResult.defaultVariant || 'regular',
+    variant_count: scanResult.variantCount || 1,
+    all_variants_supported: Boolean(scanResult.allVariantsSupported),
+    auto_approved: Boolean(scanResult.autoApproved),
+    scan_batch: scanBatch,
+    scanned_at: scanResult.scannedAt ? new Date(scanResult.scannedAt) : new Date()
+  };
+}
+
+// Per-language columns for a scan result. Results from before language
+// profiles only measured Hawaiian.
+function buildLanguageColumns(scanResult) {
+  return {
+    language_support: scanResult.languageSupport ?? null,
+    approved_languages: scanResult.approvedLanguages || (scanResult.autoApproved ? [PRIMARY_LANGUAGE] : [])
+  };
+}
+
+// The per-variant support matrix and per-character coverage of a scan
+// result, including how each character result was determined
+function buildVariantRows(scanResult) {
+  const variantResults = scanResult.variantResults || {
+    [scanResult.defaultVariant || 'regular']: scanResult
+  };
+  const variants = [];
+  const characters = [];
+
+  for (const [variantName, variant] of Object.entries(variantResults)) {
+    const support = variant.diacriticalSupport || {};
+
+    variants.push({
+      variant: variantName,
+      weight: variant.weight || 400,
+      style: variant.style || 'normal',
+      axis_values: variant.axes || {},
+      oken_vs_apostrophe_difference: variant.okenVsApostropheDifference ?? null,
+      has_visual_distinction: variant.hasVisualDistinction ?? null,
+      okina_supported: Boolean(support.okinaSupported),
+      supported_count: support.supportedCount || 0,
+      total_count: support.totalCount || 0,
+      combining_marks_equivalent: variant.combiningMarkSupport ? variant.combiningMarkSupport.allEquivalent : null,
+      fully_supported: Boolean(variant.fullySupported ?? variant.autoApproved)
+    });
+
+    for (const [character, details] of Object.entries(support.coverage || {})) {
+      const { supported, codePoint, ...testDetails } = details;
+
+      characters.push({
+        variant: variantName,
+        character,
+        unicode_code_point: codePoint,
+        is_supported: supported,
+        character_type: getCharacterType(character),
+        test_details: { ...testDetails, scannedAt: scanResult.scannedAt }
+      });
+    }
+  }
+
+  return {
+    variants,
+    characters,
+    defaultVariant: scanResult.defaultVariant || variants[0].variant,
+    allVariantsSupported: variants.every(variant => variant.fully_supported)
+  };
+}
+
+function createScanStore(repository) {
+  // Load results from scanner JSON files (saveResults output). Safe to re-run:
+  // a result is skipped when the font already has a scan at least as recent,
+  // so importing the same or an older file never overwrites newer data.
+  // Results without a valid scannedAt can't be compared and are refused.
+  async function importScanResults(results, sourceName) {
+    const summary = { total: results.length, imported: 0, skipped: 0, failed: 0, errors: [] };
+
+    for (const result of results) {
+      if (!result || typeof result.fontFamily !== 'string') {
+        summary.failed++;
+        summary.errors.push({ fontFamily: null, error: 'Result has no fontFamily' });
+        continue;
+      }
+
+      // Failed analyses carry no measurements worth storing
+      if (result.error) {
+        summary.skipped++;
+        continue;
+      }
+
+      if (!result.scannedAt || Number.isNaN(new Date(result.scannedAt).getTime())) {
+        summary.failed++;
+        summary.errors.push({ fontFamily: result.fontFamily, error: 'Result has no valid scannedAt' });
+        continue;
+      }
+
+      try {
+        const existingScan = await repository.getFontScannedAt(result.fontFamily, result.source || 'google');
+
+        if (existingScan && new Date(existingScan) >= new Date(result.scannedAt)) {
+          summary.skipped++;
+          continue;
+        }
+
+        await repository.saveScanResult(result, `import-${sourceName}`);
+        summary.imported++;
+      } catch (error) {
+        summary.failed++;
+        summary.errors.push({ fontFamily: result.fontFamily, error: error.message });
+      }
+    }
+
+    return summary;
+  }
+
+  return { importScanResults };
+}
+
+module.exports = {
+  getCharacterType,
+  buildFontRow,
+  buildLanguageColumns,
+  buildVariantRows,
+  createScanStore
+};
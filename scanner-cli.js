@@ -0,0 +1,417 @@
+#!/usr/bin/env node
+require('dotenv').config();
+
+const fs = require('fs').promises;
+const path = require('path');
+const { parseArgs } = require('util');
+const HawaiianFontScanner = require('./font-scanner');
+const { GoogleFontsCatalog } = require('./google-fonts-catalog');
+
+// Command-line front end for HawaiianFontScanner. Exit codes reflect
+// approval so font release pipelines can gate on them.
+const EXIT_APPROVED = 0; // Every font approved (diff: no regressions)
+const EXIT_NOT_APPROVED = 1; // At least one font not approved, failed to analyze, or regressed
+const EXIT_ERROR = 2; // Bad usage or the command itself failed
+
+const USAGE = `Usage: node scanner-cli.js <command> [options]
+
+Commands:
+  scan                      Scan the Google Fonts catalog (or --source local)
+      --offset <n>          Catalog position to start at (default 0)
+      --limit <n>           Number of fonts to scan (default 50)
+      --concurrency <n>     Pages analyzing fonts in parallel
+  rescan <family...>        Scan the named families
+  check <path>              Scan a font file (or a directory of font files)
+  report <results.json>     Summary tables for a results file
+  diff <old.json> <new.json>
+                            Compare two results files; regressions exit 1
+  benchmark                 Measure fonts/minute at several concurrency levels
+  catalog                   Fetch (or look up) a Google Fonts catalog snapshot;
+                            with --output, record it as a fixture file
+
+Options:
+  --json                    Print machine-readable JSON on stdout
+  --output <file>           Write scan results to this file
+  --no-save                 Do not write scan results to scan-results/
+  --pixel-threshold <n>     Minimum ʻokina/apostrophe pixel difference (default 50)
+  --source <google|local>   Font source for scan and rescan (default FONT_SOURCE or google)
+  --font-dir <dir>          Font directory for --source local (default LOCAL_FONT_DIR)
+  --snapshot <id>           Use this cached Google Fonts catalog snapshot
+  --catalog-fixture <file>  Read the Google Fonts catalog from a fixture (no network)
+  -h, --help                Show this help
+
+Exit codes: 0 all approved, 1 not approved or regressed, 2 error`;
+
+const OPTIONS = {
+  offset: { type: 'string' },
+  limit: { type: 'string' },
+  concurrency: { type: 'string' },
+  'pixel-threshold': { type: 'string' },
+  source: { type: 'string' },
+  'font-dir': { type: 'string' },
+  snapshot: { type: 'string' },
+  'catalog-fixture': { type: 'string' },
+  output: { type: 'string' },
+  'no-save': { type: 'boolean', default: false },
+  json: { type: 'boolean', default: false },
+  help: { type: 'boolean', short: 'h', default: false }
+};
+
+class UsageError extends Error {}
+
+function parseInteger(values, name, fallback, min = 0) {
+  if (values[name] === undefined) return fallback;
+
+  const value = Number(values[name]);
+  if (!Number.isInteger(value) || value < min) {
+    throw new UsageError(`--${name} must be an integer of at least ${min}`);
+  }
+  return value;
+}
+
+function printJson(value) {
+  process.stdout.write(`${JSON.stringify(value, null, 2)}\n`);
+}
+
+async function readResults(file) {
+  let results;
+  try {
+    results = JSON.parse(await fs.readFile(file, 'utf8'));
+  } catch (error) {
+    throw new UsageError(`Cannot read results file ${file}: ${error.message}`);
+  }
+
+  if (!Array.isArray(results)) {
+    throw new UsageError(`${file} is not a scan results array`);
+  }
+  return results;
+}
+
+function getMissingCharacters(result) {
+  return Object.entries(result.diacriticalSupport?.coverage || {})
+    .filter(([, details]) => !details.supported)
+    .map(([character]) => (character === '\u0304' ? 'U+0304' : character));
+}
+
+// One row per font for tables, JSON output and diffs
+function summarizeResult(result) {
+  const variants = Object.entries(result.variantResults || {});
+
+  return {
+    family: result.fontFamily,
+    approved: Boolean(result.autoApproved),
+    score: result.approval?.score ?? null,
+    languages: result.approvedLanguages || [],
+    error: result.error || null,
+    pixelDifference: result.okenVsApostropheDifference ?? null,
+    visualDistinction: Boolean(result.hasVisualDistinction),
+    diacriticalPercentage: result.diacriticalSupport
+      ? Math.round(result.diacriticalSupport.percentageSupported * 10) / 10
+      : null,
+    okinaSupported: Boolean(result.diacriticalSupport?.okinaSupported),
+    missingCharacters: getMissingCharacters(result),
+    typography: result.typographyQuality?.status || null,
+    okinaConfusables: result.okinaConfusables?.status || null,
+    variantCount: result.variantCount || variants.length || 0,
+    unsupportedVariants: variants.filter(([, variant]) => !variant.fullySupported).map(([name]) => name)
+  };
+}
+
+function getExitCode(results) {
+  return results.length > 0 && results.every(result => result.autoApproved && !result.error)
+    ? EXIT_APPROVED
+    : EXIT_NOT_APPROVED;
+}
+
+function buildReport(results) {
+  const fonts = results.map(summarizeResult);
+
+  return {
+    totals: {
+      fonts: fonts.length,
+      approved: fonts.filter(font => font.approved).length,
+      notApproved: fonts.filter(font => !font.approved && !font.error).length,
+      errors: fonts.filter(font => font.error).length,
+      visualDistinction: fonts.filter(font => font.visualDistinction).length,
+      fullDiacriticalSupport: fonts.filter(font => font.diacriticalPercentage === 100).length,
+      allVariantsSupported: fonts.filter(font => !font.error && font.unsupportedVariants.length === 0).length,
+      typographyFailures: fonts.filter(font => font.typography === 'fail').length
+    },
+    fonts
+  };
+}
+
+function printReport(report) {
+  console.log('\n📊 SCAN SUMMARY:');
+  console.table(report.totals);
+
+  if (report.fonts.length === 0) return;
+
+  console.log('\n🔤 FONTS:');
+  console.table(report.fonts.map(font => ({
+    family: font.family,
+    approved: font.error ? 'error' : font.approved ? '✅' : '❌',
+    score: font.score,
+    languages: font.languages.join(' '),
+    'pixel diff': font.pixelDifference,
+    'kahakō %': font.diacriticalPercentage,
+    'ʻokina': font.okinaSupported ? '✅' : '❌',
+    missing: font.missingCharacters.join(' '),
+    typography: font.typography,
+    'ʻokina lookalikes': font.okinaConfusables,
+    variants: font.variantCount,
+    'unsupported variants': font.unsupportedVariants.join(', ')
+  })));
+
+  const errors = report.fonts.filter(font => font.error);
+  errors.forEach(font => console.log(`  ⚠️ ${font.family}: ${font.error}`));
+}
+
+// Fonts that changed between two results files, keyed by family
+function diffResults(oldResults, newResults) {
+  const before = new Map(oldResults.map(result => [result.fontFamily, summarizeResult(result)]));
+  const after = new Map(newResults.map(result => [result.fontFamily, summarizeResult(result)]));
+  const diff = { added: [], removed: [], regressed: [], improved: [], changed: [], unchangedCount: 0 };
+
+  for (const [family, font] of after) {
+    const previous = before.get(family);
+
+    if (!previous) {
+      diff.added.push(font);
+      continue;
+    }
+
+    const change = {
+      family,
+      approved: [previous.approved, font.approved],
+      pixelDifference: [previous.pixelDifference, font.pixelDifference],
+      diacriticalPercentage: [previous.diacriticalPercentage, font.diacriticalPercentage],
+      newlyMissing: font.missingCharacters.filter(c => !previous.missingCharacters.includes(c)),
+      newlySupported: previous.missingCharacters.filter(c => !font.missingCharacters.includes(c)),
+      newlyUnsupportedVariants: font.unsupportedVariants.filter(v => !previous.unsupportedVariants.includes(v))
+    };
+
+    if (previous.approved && !font.approved) {
+      diff.regressed.push(change);
+    } else if (!previous.approved && font.approved) {
+      diff.improved.push(change);
+    } else if (change.newlyMissing.length > 0 || change.newlySupported.length > 0
+      || change.newlyUnsupportedVariants.length > 0
+      || previous.diacriticalPercentage !== font.diacriticalPercentage
+      || previous.visualDistinction !== font.visualDistinction) {
+      diff.changed.push(change);
+    } else {
+      diff.unchangedCount++;
+    }
+  }
+
+  diff.removed = [...before.keys()].filter(family => !after.has(family));
+  return diff;
+}
+
+function printDiff(diff) {
+  const describe = change => [
+    `${change.family}:`,
+    `${change.diacriticalPercentage[0]}% → ${change.diacriticalPercentage[1]}% kahakō`,
+    `${change.pixelDifference[0]} → ${change.pixelDifference[1]} px`,
+    change.newlyMissing.length > 0 ? `now missing ${change.newlyMissing.join(' ')}` : '',
+    change.newlySupported.length > 0 ? `now has ${change.newlySupported.join(' ')}` : '',
+    change.newlyUnsupportedVariants.length > 0 ? `variants failing: ${change.newlyUnsupportedVariants.join(', ')}` : ''
+  ].filter(Boolean).join(' ');
+
+  console.log('\n🔀 RESULTS DIFF:');
+  diff.regressed.forEach(change => console.log(`  🔻 ${describe(change)}`));
+  diff.improved.forEach(change => console.log(`  🔺 ${describe(change)}`));
+  diff.changed.forEach(change => console.log(`  ✏️ ${describe(change)}`));
+  diff.added.forEach(font => console.log(`  ➕ ${font.family} (${font.approved ? 'approved' : 'not approved'})`));
+  diff.removed.forEach(family => console.log(`  ➖ ${family}`));
+  console.log(`\n${diff.regressed.length} regressed, ${diff.improved.length} improved, ${diff.changed.length} changed, ` +
+    `${diff.added.length} added, ${diff.removed.length} removed, ${diff.unchangedCount} unchanged`);
+}
+
+function createScanner(values, overrides = {}) {
+  return new HawaiianFontScanner({
+    pixelThreshold: parseInteger(values, 'pixel-threshold', undefined, 1),
+    concurrency: parseInteger(values, 'concurrency', undefined, 1),
+    source: values.source,
+    fontDirectory: values['font-dir'],
+    catalogSnapshotId: values.snapshot,
+    catalogFixture: values['catalog-fixture'],
+    ...overrides
+  });
+}
+
+// Run a scan and report it; saves to scan-results/ unless --no-save or --output
+async function runAndReport(scanner, values, scanOptions, saveByDefault) {
+  const results = await scanner.runScan({
+    ...scanOptions,
+    saveToDisk: saveByDefault && !values['no-save'] && !values.output
+  });
+
+  if (values.output) {
+    await fs.mkdir(path.dirname(path.resolve(values.output)), { recursive: true });
+    await fs.writeFile(values.output, JSON.stringify(results, null, 2));
+    console.log(`💾 Results saved to ${values.output}`);
+  }
+
+  if (values.json) {
+    printJson(results);
+  } else {
+    printReport(buildReport(results));
+  }
+
+  return getExitCode(results);
+}
+
+const COMMANDS = {
+  async scan(args, values) {
+    if (args.length > 0) throw new UsageError('scan takes no arguments');
+
+    const scanner = createScanner(values);
+    const offset = parseInteger(values, 'offset', 0);
+    const limit = parseInteger(values, 'limit', 50, 1);
+
+    console.log(`🎯 Scanning ${limit} fonts from offset ${offset}...`);
+    return runAndReport(scanner, values, { offset, limit, batchNumber: Math.floor(offset / limit) + 1 }, true);
+  },
+
+  async rescan(args, values) {
+    if (args.length === 0) throw new UsageError('rescan needs at least one family name');
+
+    return runAndReport(createScanner(values), values, { families: args }, true);
+  },
+
+  async check(args, values) {
+    if (args.length !== 1) throw new UsageError('check needs exactly one font file or directory');
+
+    const target = path.resolve(args[0]);
+    try {
+      await fs.access(target);
+    } catch (error) {
+      throw new UsageError(`No such font file: ${args[0]}`);
+    }
+
+    const scanner = createScanner(values, { source: 'local', fontDirectory: target });
+    return runAndReport(scanner, values, { limit: Number.MAX_SAFE_INTEGER }, false);
+  },
+
+  async report(args, values) {
+    if (args.length !== 1) throw new UsageError('report needs one results file');
+
+    const results = await readResults(args[0]);
+    const report = buildReport(results);
+
+    if (values.json) {
+      printJson(report);
+    } else {
+      printReport(report);
+    }
+
+    return getExitCode(results);
+  },
+
+  async diff(args, values) {
+    if (args.length !== 2) throw new UsageError('diff needs an old and a new results file');
+
+    const diff = diffResults(await readResults(args[0]), await readResults(args[1]));
+
+    if (values.json) {
+      printJson(diff);
+    } else {
+      printDiff(diff);
+    }
+
+    return diff.regressed.length > 0 ? EXIT_NOT_APPROVED : EXIT_APPROVED;
+  },
+
+  async benchmark(args, values) {
+    const levels = (process.env.BENCHMARK_CONCURRENCY || '1,2,4').split(',').map(Number);
+    const sampleSize = parseInt(process.env.BENCHMARK_SAMPLE_SIZE) || 12;
+    const report = await createScanner(values).benchmark({ concurrencyLevels: levels, sampleSize });
+
+    if (values.json) {
+      printJson(report);
+    } else {
+      console.log('\n📊 BENCHMARK RESULTS:');
+      console.table(report);
+    }
+
+    return EXIT_APPROVED;
+  },
+
+  async catalog(args, values) {
+    if (args.length > 0) throw new UsageError('catalog takes no arguments');
+
+    const catalog = new GoogleFontsCatalog({ fixturePath: values['catalog-fixture'] });
+    const snapshot = values.output
+      ? await catalog.recordFixture(values.output, values.snapshot)
+      : await catalog.getSnapshot(values.snapshot);
+    const summary = { id: snapshot.id, fetchedAt: snapshot.fetchedAt, fonts: snapshot.items.length };
+
+    if (values.output) {
+      console.log(`📼 Recorded snapshot ${snapshot.id} to ${values.output}`);
+    }
+
+    if (values.json) {
+      printJson(summary);
+    } else {
+      console.table([summary]);
+    }
+
+    return EXIT_APPROVED;
+  }
+};
+
+async function main(argv = process.argv.slice(2)) {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    return EXIT_ERROR;
+  }
+
+  const { values, positionals: [command, ...args] } = parsed;
+
+  if (values.help || !command) {
+    console.log(USAGE);
+    return values.help ? EXIT_APPROVED : EXIT_ERROR;
+  }
+
+  if (!COMMANDS[command]) {
+    console.error(`Unknown command "${command}"\n\n${USAGE}`);
+    return EXIT_ERROR;
+  }
+
+  // Keep stdout clean for --json: scanner progress goes to stderr
+  if (values.json) {
+    console.log = console.error;
+  }
+
+  try {
+    return await COMMANDS[command](args, values);
+  } catch (error) {
+    if (error instanceof UsageError) {
+      console.error(`${error.message}\n\n${USAGE}`);
+    } else {
+      console.error('💥 Command failed:', error);
+    }
+    return EXIT_ERROR;
+  }
+}
+
+if (require.main === module) {
+  main().then(code => {
+    process.exitCode = code;
+  });
+}
+
+module.exports = {
+  EXIT_APPROVED,
+  EXIT_NOT_APPROVED,
+  EXIT_ERROR,
+  summarizeResult,
+  buildReport,
+  diffResults,
+  main
+};
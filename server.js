@@ -4,9 +4,32 @@ const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
-const { Pool } = require('pg');
 const cron = require('node-cron');
+const { EventEmitter } = require('events');
 const HawaiianFontScanner = require('./font-scanner');
+const {
+  uploadFontFile,
+  validateFontFile,
+  storeUploadedFont,
+  toUploadPath,
+  removeUploadedFont
+} = require('./font-upload');
+const { ROLES, generateApiKey, hashApiKey, createAuth } = require('./auth');
+const { SpecimenRenderer, parseSpecimenOptions } = require('./specimen-renderer');
+const { buildFontFilters } = require('./font-filters');
+const { loadLanguageProfiles, getLanguageProfile } = require('./language-profiles');
+const { normalizeApprovalPolicy, policyFromRow, evaluateCatalog } = require('./approval-policy');
+const { selectVariants, buildEmbedCode } = require('./embed-code');
+const { createScanStore } = require('./scan-store');
+const { createRepository } = require('./repository');
+const { GoogleFontsCatalog, CatalogSnapshotNotFoundError } = require('./google-fonts-catalog');
+const {
+  WEBHOOK_EVENTS,
+  generateWebhookSecret,
+  validateWebhookUrl,
+  DeliveryInProgressError,
+  createWebhookDispatcher
+} = require('./webhooks');
 
 // GitHub token for API integrations (optional)
 const GITHUB_TOKEN = process.env.GITHUB_TOKEN || null;
@@ -14,11 +37,13 @@ const GITHUB_TOKEN = process.env.GITHUB_TOKEN || null;
 const app = express();
 const PORT = process.env.PORT || 3001;
 
-// Database connection
-const pool = new Pool({
-  connectionString: process.env.DATABASE_URL,
-  ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
-});
+// Data access: Postgres by default, DATA_BACKEND=memory for tests and local development
+const repository = createRepository();
+
+const { importScanResults } = createScanStore(repository);
+
+// Signed webhook deliveries for scan and review events, retried with backoff
+const webhooks = createWebhookDispatcher(repository);
 
 // Middleware
 app.use(helmet());
@@ -42,6 +67,12 @@ const scannerLimiter = rateLimit({
   max: 5 // limit scanner endpoints to 5 requests per hour
 });
 
+// Authentication: every /api/admin/* and /api/scan/* route needs at least a
+// reviewer key; routes that change catalog or scanner state require admin
+const { requireRole } = createAuth(repository);
+app.use('/api/admin', requireRole('reviewer'));
+app.use('/api/scan', requireRole('reviewer'));
+
 // Health check
 app.get('/health', (req, res) => {
   res.json({ status: 'healthy', timestamp: new Date().toISOString() });
@@ -51,95 +82,62 @@ app.get('/health', (req, res) => {
 // FONTS ENDPOINTS
 // ===================
 
-// Get all approved fonts with pagination and filtering
+// Loaded at startup so a broken language-profiles.json fails fast
+const languageProfiles = loadLanguageProfiles();
+
+// 400 message for a language parameter that names no profile, or null
+function getLanguageError(language) {
+  if (language === undefined || getLanguageProfile(language, languageProfiles)) return null;
+  return `language must be one of: ${languageProfiles.map(profile => profile.code).join(', ')}`;
+}
+
+// Language profiles fonts are evaluated against (language-profiles.json)
+app.get('/api/languages', (req, res) => {
+  res.json({ languages: languageProfiles });
+});
+
+// Get all approved fonts with pagination, filtering and facet counts
 app.get('/api/fonts', async (req, res) => {
   try {
     const {
       page = 1,
       limit = 20,
-      category,
-      search,
-      approvalStatus = 'approved',
       sortBy = 'font_family',
-      sortOrder = 'asc'
+      sortOrder = 'asc',
+      facets = 'true'
     } = req.query;
 
     const offset = (page - 1) * limit;
-    
-    let whereClause = 'WHERE f.is_active = TRUE';
-    const queryParams = [];
-    let paramCount = 0;
-
-    // Approval status filter
-    if (approvalStatus === 'approved') {
-      whereClause += ' AND (f.auto_approved = TRUE OR f.manually_approved = TRUE)';
-    } else if (approvalStatus === 'pending') {
-      whereClause += ' AND f.auto_approved = FALSE AND f.manually_reviewed = FALSE';
-    } else if (approvalStatus === 'rejected') {
-      whereClause += ' AND f.manually_approved = FALSE';
-    }
 
-    // Category filter
-    if (category) {
-      paramCount++;
-      whereClause += ` AND f.google_font_category = $${paramCount}`;
-      queryParams.push(category);
+    const languageError = getLanguageError(req.query.language);
+    if (languageError) {
+      return res.status(400).json({ error: languageError });
     }
 
-    // Search filter
-    if (search) {
-      paramCount++;
-      whereClause += ` AND f.font_family ILIKE $${paramCount}`;
-      queryParams.push(`%${search}%`);
-    }
+    const filters = buildFontFilters(req.query);
 
     // Validate sort column
     const validSortColumns = ['font_family', 'google_font_category', 'scanned_at', 'diacritical_percentage'];
     const sortColumn = validSortColumns.includes(sortBy) ? sortBy : 'font_family';
     const order = sortOrder.toLowerCase() === 'desc' ? 'DESC' : 'ASC';
 
-    const query = `
-      SELECT 
-        f.*,
-        COUNT(*) OVER() as total_count,
-        COALESCE(
-          json_agg(
-            json_build_object(
-              'character', fcs.character,
-              'unicode_code_point', fcs.unicode_code_point,
-              'is_supported', fcs.is_supported,
-              'character_type', fcs.character_type
-            )
-          ) FILTER (WHERE fcs.id IS NOT NULL), 
-          '[]'::json
-        ) as character_support
-      FROM fonts f
-      LEFT JOIN font_character_support fcs ON f.id = fcs.font_id
-      ${whereClause}
-      GROUP BY f.id
-      ORDER BY f.${sortColumn} ${order}
-      LIMIT $${paramCount + 1} OFFSET $${paramCount + 2}
-    `;
-
-    queryParams.push(limit, offset);
-    
-    const result = await pool.query(query, queryParams);
-    
-    const totalCount = result.rows.length > 0 ? parseInt(result.rows[0].total_count) : 0;
+    const [{ fonts, totalCount }, facetCounts] = await Promise.all([
+      repository.listFonts({ filters, sortColumn, order, limit, offset }),
+      facets === 'false' ? null : repository.getFacets(filters)
+    ]);
+
     const totalPages = Math.ceil(totalCount / limit);
 
     res.json({
-      fonts: result.rows.map(row => {
-        const { total_count, ...font } = row;
-        return font;
-      }),
+      fonts,
       pagination: {
         currentPage: parseInt(page),
         totalPages,
         totalCount,
         hasNext: page < totalPages,
         hasPrev: page > 1
-      }
+      },
+      ...(facetCounts && { facets: facetCounts })
     });
 
   } catch (error) {
@@ -153,30 +151,13 @@ app.get('/api/fonts/:id', async (req, res) => {
   try {
     const { id } = req.params;
     
-    const fontQuery = `
-      SELECT f.*,
-        json_agg(
-          json_build_object(
-            'character', fcs.character,
-            'unicode_code_point', fcs.unicode_code_point,
-            'is_supported', fcs.is_supported,
-            'character_type', fcs.character_type,
-            'test_details', fcs.test_details
-          )
-        ) FILTER (WHERE fcs.id IS NOT NULL) as character_support
-      FROM fonts f
-      LEFT JOIN font_character_support fcs ON f.id = fcs.font_id
-      WHERE f.id = $1 AND f.is_active = TRUE
-      GROUP BY f.id
-    `;
-
-    const result = await pool.query(fontQuery, [id]);
+    const font = await repository.getFontDetail(id);
     
-    if (result.rows.length === 0) {
+    if (!font) {
       return res.status(404).json({ error: 'Font not found' });
     }
 
-    res.json(result.rows[0]);
+    res.json(font);
 
   } catch (error) {
     console.error('Error fetching font:', error);
@@ -184,127 +165,449 @@ app.get('/api/fonts/:id', async (req, res) => {
   }
 });
 
-// Get font statistics
-app.get('/api/stats', async (req, res) => {
+// Every stored scan of a font, newest first, with the version it measured
+// and any regression against the scan before it
+app.get('/api/fonts/:id/history', async (req, res) => {
   try {
-    const statsQuery = `
-      SELECT 
-        COUNT(*) as total_fonts,
-        COUNT(*) FILTER (WHERE auto_approved = TRUE OR manually_approved = TRUE) as approved_fonts,
-        COUNT(*) FILTER (WHERE auto_approved = TRUE) as auto_approved_fonts,
-        COUNT(*) FILTER (WHERE manually_approved = TRUE) as manually_approved_fonts,
-        COUNT(*) FILTER (WHERE has_visual_distinction = TRUE) as fonts_with_distinction,
-        COUNT(*) FILTER (WHERE all_diacriticals_supported = TRUE) as fonts_with_full_support,
-        COUNT(DISTINCT google_font_category) as categories,
-        AVG(diacritical_percentage) as avg_diacritical_support,
-        MAX(scanned_at) as last_scan_date
-      FROM fonts 
-      WHERE is_active = TRUE
-    `;
-
-    const result = await pool.query(statsQuery);
-    
-    // Get category breakdown
-    const categoryQuery = `
-      SELECT 
-        google_font_category as category,
-        COUNT(*) as total,
-        COUNT(*) FILTER (WHERE auto_approved = TRUE OR manually_approved = TRUE) as approved
-      FROM fonts 
-      WHERE is_active = TRUE AND google_font_category IS NOT NULL
-      GROUP BY google_font_category
-      ORDER BY approved DESC
-    `;
-    
-    const categoryResult = await pool.query(categoryQuery);
+    const { id } = req.params;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+    const font = await repository.getActiveFont(id);
+
+    if (!font) {
+      return res.status(404).json({ error: 'Font not found' });
+    }
+
+    const history = await repository.getFontHistory(font.id, limit);
+
+    res.json({
+      fontId: font.id,
+      fontFamily: font.font_family,
+      source: font.source,
+      history
+    });
+
+  } catch (error) {
+    console.error('Error fetching font history:', error);
+    res.status(500).json({ error: 'Failed to fetch font history' });
+  }
+});
+
+// Shared renderer keeps one browser alive between specimen requests
+const specimenRenderer = new SpecimenRenderer();
+
+// Render arbitrary (NFC-normalized) text in a font as PNG or SVG
+app.get('/api/fonts/:id/specimen.:format(png|svg)', async (req, res) => {
+  try {
+    const { id, format } = req.params;
+
+    const font = await repository.getActiveFont(id);
+
+    if (!font) {
+      return res.status(404).json({ error: 'Font not found' });
+    }
+
+    const { options, error } = parseSpecimenOptions(req.query, font);
+
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const specimenOptions = { ...options, format };
+    const etag = `"${specimenRenderer.getCacheKey(font, specimenOptions)}"`;
+
+    // Specimens are embedded as images by the frontend on another origin
+    res.set({
+      ETag: etag,
+      'Cache-Control': 'public, max-age=86400',
+      'Cross-Origin-Resource-Policy': 'cross-origin'
+    });
+
+    if (req.get('if-none-match') === etag) {
+      return res.status(304).end();
+    }
+
+    const specimen = await specimenRenderer.render(font, specimenOptions);
+
+    res.set('X-Specimen-Cache', specimen.cached ? 'hit' : 'miss');
+    res.type(format === 'svg' ? 'image/svg+xml' : 'image/png');
+    res.sendFile(specimen.filepath, { etag: false, lastModified: false });
+
+  } catch (error) {
+    console.error('Error rendering specimen:', error);
+    res.status(500).json({ error: 'Failed to render specimen' });
+  }
+});
+
+// Ready-to-paste embed snippets, including a Hawaiian-subset link and unicode-range
+app.get('/api/fonts/:id/embed', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const font = await repository.getActiveFont(id);
+
+    if (!font) {
+      return res.status(404).json({ error: 'Font not found' });
+    }
+
+    if (font.source !== 'google' || !font.font_metadata) {
+      return res.status(422).json({ error: 'Embed code is only available for Google Fonts' });
+    }
+
+    const { variants, explicit, error } = selectVariants(font.font_metadata, req.query);
+
+    if (error) {
+      return res.status(400).json({ error });
+    }
 
     res.json({
-      ...result.rows[0],
-      categories: categoryResult.rows
+      fontId: font.id,
+      ...buildEmbedCode({ ...font.font_metadata, family: font.font_family }, variants, { explicit })
     });
 
+  } catch (error) {
+    console.error('Error building embed code:', error);
+    res.status(500).json({ error: 'Failed to build embed code' });
+  }
+});
+
+// Get font statistics
+app.get('/api/stats', async (req, res) => {
+  try {
+    const stats = await repository.getStats();
+
+    res.json(stats);
+
   } catch (error) {
     console.error('Error fetching stats:', error);
     res.status(500).json({ error: 'Failed to fetch statistics' });
   }
 });
 
+// Scans that supported Hawaiian worse than the scan before them.
+// status=open (default) keeps fonts still waiting for review; status=all lists every one.
+app.get('/api/regressions', async (req, res) => {
+  try {
+    const { page = 1, limit = 50, status = 'open' } = req.query;
+    const offset = (page - 1) * limit;
+
+    if (!['open', 'all'].includes(status)) {
+      return res.status(400).json({ error: 'status must be one of: open, all' });
+    }
+
+    const { regressions, totalCount } = await repository.listRegressions({
+      openOnly: status === 'open',
+      limit,
+      offset
+    });
+    const totalPages = Math.ceil(totalCount / limit);
+
+    res.json({
+      regressions,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages,
+        totalCount,
+        hasNext: page < totalPages,
+        hasPrev: page > 1
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching regressions:', error);
+    res.status(500).json({ error: 'Failed to fetch regressions' });
+  }
+});
+
+// ===================
+// EXPORT ENDPOINTS
+// ===================
+
+const EXPORT_COLUMNS = [
+  'id',
+  'font_family',
+  'source',
+  'google_font_category',
+  'google_font_version',
+  'google_font_last_modified',
+  'auto_approved',
+  'manually_approved',
+  'has_visual_distinction',
+  'all_diacriticals_supported',
+  'all_variants_supported',
+  'approved_languages',
+  'diacritical_percentage',
+  'variant_count',
+  'scanned_at'
+];
+
+function toCsvValue(value) {
+  if (value === null || value === undefined) return '';
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Export the catalog with the same filters as /api/fonts, streamed row by row
+// so large exports never sit in memory
+app.get('/api/export', async (req, res) => {
+  const { format = 'json' } = req.query;
+
+  if (!['csv', 'json', 'ndjson'].includes(format)) {
+    return res.status(400).json({ error: 'format must be csv, json or ndjson' });
+  }
+
+  const languageError = getLanguageError(req.query.language);
+  if (languageError) {
+    return res.status(400).json({ error: languageError });
+  }
+
+  let stream;
+  try {
+    stream = await repository.streamFonts(buildFontFilters(req.query), EXPORT_COLUMNS);
+  } catch (error) {
+    console.error('Error starting export:', error);
+    return res.status(500).json({ error: 'Failed to export fonts' });
+  }
+
+  const contentTypes = { csv: 'text/csv', json: 'application/json', ndjson: 'application/x-ndjson' };
+  res.set({
+    'Content-Type': `${contentTypes[format]}; charset=utf-8`,
+    'Content-Disposition': `attachment; filename="hawaiian-fonts.${format}"`
+  });
+
+  let rowCount = 0;
+  if (format === 'csv') res.write(`${EXPORT_COLUMNS.join(',')}\n`);
+  if (format === 'json') res.write('[');
+
+  stream.on('data', (row) => {
+    let chunk;
+    if (format === 'csv') {
+      chunk = `${EXPORT_COLUMNS.map(column => toCsvValue(row[column])).join(',')}\n`;
+    } else if (format === 'ndjson') {
+      chunk = `${JSON.stringify(row)}\n`;
+    } else {
+      chunk = `${rowCount > 0 ? ',' : ''}\n${JSON.stringify(row)}`;
+    }
+    rowCount++;
+
+    // Respect backpressure from slow clients
+    if (!res.write(chunk)) {
+      stream.pause();
+      res.once('drain', () => stream.resume());
+    }
+  });
+
+  stream.on('end', () => {
+    if (format === 'json') res.write('\n]\n');
+    res.end();
+  });
+
+  stream.on('error', (error) => {
+    console.error('Error streaming export:', error);
+    // Headers are already sent; cut the response short so clients see a failure
+    res.destroy(error);
+  });
+
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      stream.destroy();
+    }
+  });
+});
+
 // ===================
 // SCANNING ENDPOINTS
 // ===================
 
+// The ʻokina vs apostrophe threshold belongs to the approval policy, which
+// scores every stored scan, so a per-scan threshold would be ignored
+const PIXEL_THRESHOLD_ERROR = 'pixelThreshold is set by the active approval policy (criteria.visualDistinction.minPixelDifference)';
+
 // Start a new scan batch
-app.post('/api/scan/start', scannerLimiter, async (req, res) => {
+app.post('/api/scan/start', requireRole('admin'), scannerLimiter, async (req, res) => {
   try {
     const { 
       batchSize = 50, 
       offset = 0, 
       scanType = 'manual',
-      pixelThreshold = 50 
+      concurrency,
+      snapshotId
     } = req.body;
 
+    if (req.body.pixelThreshold !== undefined) {
+      return res.status(400).json({ error: PIXEL_THRESHOLD_ERROR });
+    }
+
     // Check if a scan is already running
-    const runningCheck = await pool.query(
-      'SELECT id FROM scan_batches WHERE status = $1',
-      ['running']
-    );
+    const runningBatch = await repository.findRunningBatch();
 
-    if (runningCheck.rows.length > 0) {
+    if (runningBatch) {
       return res.status(409).json({ 
         error: 'A scan is already running',
-        runningScanId: runningCheck.rows[0].id 
+        runningScanId: runningBatch.id 
       });
     }
 
+    const catalogSnapshotId = await resolveCatalogSnapshot(snapshotId, offset);
+    const pixelThreshold = await getScanPixelThreshold();
+
     // Create scan batch record
-    const batchResult = await pool.query(`
-      INSERT INTO scan_batches (batch_number, scan_type, batch_offset, batch_limit)
-      VALUES ((SELECT COALESCE(MAX(batch_number), 0) + 1 FROM scan_batches), $1, $2, $3)
-      RETURNING id, batch_number
-    `, [scanType, offset, batchSize]);
+    const batch = await repository.createBatch({ scanType, offset, limit: batchSize, pixelThreshold, catalogSnapshotId });
 
-    const batchId = batchResult.rows[0].id;
-    const batchNumber = batchResult.rows[0].batch_number;
+    const batchId = batch.id;
+    const batchNumber = batch.batch_number;
 
     // Start scanning asynchronously
-    scanFontsAsync(batchId, offset, batchSize, pixelThreshold);
+    scanFontsAsync(batchId, { offset, batchSize, pixelThreshold, concurrency, catalogSnapshotId });
 
     res.json({
       message: 'Scan started',
       batchId,
       batchNumber,
       offset,
-      limit: batchSize
+      limit: batchSize,
+      catalogSnapshotId
     });
 
   } catch (error) {
+    if (error instanceof CatalogSnapshotNotFoundError) {
+      return res.status(400).json({ error: error.message });
+    }
+
     console.error('Error starting scan:', error);
     res.status(500).json({ error: 'Failed to start scan' });
   }
 });
 
+// Scan only fonts that are new or changed in Google Fonts since our last scan
+app.post('/api/scan/incremental', requireRole('admin'), scannerLimiter, async (req, res) => {
+  try {
+    const dryRun = req.body.dryRun === true || req.query.dryRun === 'true';
+
+    if (req.body.pixelThreshold !== undefined) {
+      return res.status(400).json({ error: PIXEL_THRESHOLD_ERROR });
+    }
+
+    const incremental = await startIncrementalScan({ dryRun });
+
+    if (incremental.alreadyRunning) {
+      return res.status(409).json({
+        error: 'A scan is already running',
+        runningScanId: incremental.runningScanId
+      });
+    }
+
+    res.json(incremental);
+
+  } catch (error) {
+    console.error('Error starting incremental scan:', error);
+    res.status(500).json({ error: 'Failed to start incremental scan' });
+  }
+});
+
+// Cancel a running scan; the current font finishes first
+app.post('/api/scan/:batchId/cancel', requireRole('admin'), async (req, res) => {
+  try {
+    const { batchId } = req.params;
+
+    const runningBatch = await repository.getBatch(batchId);
+
+    if (!runningBatch) {
+      return res.status(404).json({ error: 'Scan batch not found' });
+    }
+
+    if (runningBatch.status !== 'running') {
+      return res.status(409).json({ error: `Scan is not running (status: ${runningBatch.status})` });
+    }
+
+    const scanner = activeScans.get(String(batchId));
+
+    if (scanner) {
+      scanner.cancel();
+      await updateBatch(batchId, { cancel_requested_at: new Date() });
+      return res.status(202).json({ message: 'Cancellation requested', batchId: runningBatch.id });
+    }
+
+    // Not running in this process (left over from a crash): close it out directly
+    const batch = await updateBatch(batchId, {
+      status: 'cancelled',
+      completed_at: new Date(),
+      current_font: null,
+      estimated_completion_at: null,
+      cancel_requested_at: new Date()
+    });
+
+    res.json({ message: 'Scan cancelled', batch });
+
+  } catch (error) {
+    console.error('Error cancelling scan:', error);
+    res.status(500).json({ error: 'Failed to cancel scan' });
+  }
+});
+
+// Stream scan progress as Server-Sent Events until the batch finishes
+app.get('/api/scan/status/:batchId/stream', async (req, res) => {
+  const { batchId } = req.params;
+  let batch;
+
+  try {
+    batch = await repository.getBatch(batchId);
+
+    if (!batch) {
+      return res.status(404).json({ error: 'Scan batch not found' });
+    }
+  } catch (error) {
+    console.error('Error opening scan stream:', error);
+    return res.status(500).json({ error: 'Failed to fetch scan status' });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const eventName = `batch:${batch.id}`;
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), 15000);
+
+  const close = () => {
+    clearInterval(heartbeat);
+    scanEvents.removeListener(eventName, send);
+  };
+
+  function send(row) {
+    res.write(`event: progress\ndata: ${JSON.stringify(row)}\n\n`);
+
+    if (TERMINAL_SCAN_STATUSES.includes(row.status)) {
+      res.write(`event: done\ndata: ${JSON.stringify({ status: row.status })}\n\n`);
+      close();
+      res.end();
+    }
+  }
+
+  scanEvents.on(eventName, send);
+  req.on('close', close);
+  send(batch);
+});
+
 // Get scan status
 app.get('/api/scan/status/:batchId?', async (req, res) => {
   try {
     const { batchId } = req.params;
     
-    let query = 'SELECT * FROM scan_batches ORDER BY started_at DESC';
-    let params = [];
-    
-    if (batchId) {
-      query = 'SELECT * FROM scan_batches WHERE id = $1';
-      params = [batchId];
-    } else {
-      query += ' LIMIT 10'; // Get recent scans
+    if (!batchId) {
+      return res.json(await repository.listRecentBatches(10)); // Get recent scans
     }
 
-    const result = await pool.query(query, params);
+    const batch = await repository.getBatch(batchId);
     
-    if (batchId && result.rows.length === 0) {
+    if (!batch) {
       return res.status(404).json({ error: 'Scan batch not found' });
     }
 
-    res.json(batchId ? result.rows[0] : result.rows);
+    res.json(batch);
 
   } catch (error) {
     console.error('Error fetching scan status:', error);
@@ -312,10 +615,109 @@ app.get('/api/scan/status/:batchId?', async (req, res) => {
   }
 });
 
+// ===================
+// UPLOAD ENDPOINTS
+// ===================
+
+// Upload a font file (multipart field "font") and queue it for scanning
+app.post('/api/fonts/upload', scannerLimiter, (req, res) => {
+  uploadFontFile(req, res, async (uploadError) => {
+    try {
+      if (uploadError) {
+        const status = uploadError.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+        return res.status(status).json({ error: uploadError.message });
+      }
+
+      if (!req.file) {
+        return res.status(400).json({ error: 'Missing font file (multipart field "font")' });
+      }
+
+      let fontInfo;
+      try {
+        fontInfo = validateFontFile(req.file.buffer);
+      } catch (validationError) {
+        return res.status(400).json({ error: validationError.message });
+      }
+
+      // Uploaded fonts are keyed by family name, so a second upload would replace the first
+      if (await repository.getFontScannedAt(fontInfo.family, 'upload')) {
+        return res.status(409).json({ error: `A font named "${fontInfo.family}" has already been uploaded` });
+      }
+
+      const stored = await storeUploadedFont(req.file.buffer, req.file.originalname, fontInfo.extension);
+
+      await repository.createUpload({
+        id: stored.id,
+        originalFilename: req.file.originalname,
+        filePath: stored.filepath,
+        fileSize: req.file.size,
+        fileFormat: fontInfo.format,
+        fontFamily: fontInfo.family,
+        submitterEmail: req.body.email
+      });
+
+      queueUploadScan(stored.id, stored.directory);
+
+      res.status(202).json({
+        message: 'Font uploaded and queued for scanning',
+        uploadId: stored.id,
+        fontFamily: fontInfo.family,
+        status: 'queued',
+        statusUrl: `/api/uploads/${stored.id}`
+      });
+
+    } catch (error) {
+      console.error('Error uploading font:', error);
+      res.status(500).json({ error: 'Failed to upload font' });
+    }
+  });
+});
+
+// Check upload scan progress; includes the full report once completed
+app.get('/api/uploads/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!/^[0-9a-f-]{36}$/i.test(id)) {
+      return res.status(404).json({ error: 'Upload not found' });
+    }
+
+    const upload = await repository.getUpload(id);
+
+    if (!upload) {
+      return res.status(404).json({ error: 'Upload not found' });
+    }
+
+    res.json({
+      id: upload.id,
+      status: upload.status,
+      fontFamily: upload.font_family,
+      originalFilename: upload.original_filename,
+      fileFormat: upload.file_format,
+      fileSize: upload.file_size,
+      fontId: upload.font_id,
+      uploadedAt: upload.created_at,
+      completedAt: upload.completed_at,
+      error: upload.error_message,
+      report: upload.status === 'completed' ? upload.report : undefined
+    });
+
+  } catch (error) {
+    console.error('Error fetching upload:', error);
+    res.status(500).json({ error: 'Failed to fetch upload status' });
+  }
+});
+
 // ===================
 // FEEDBACK ENDPOINTS
 // ===================
 
+const FEEDBACK_TYPES = ['incorrect_support', 'rendering_issue', 'confirmed_support', 'suggestion', 'other'];
+const FEEDBACK_STATUSES = ['open', 'triaged', 'resolved', 'spam'];
+
+// Open "incorrect support" reports needed to send a font back for manual review
+const FEEDBACK_REVIEW_THRESHOLD = parseInt(process.env.FEEDBACK_REVIEW_THRESHOLD) || 3;
+
 // Submit feedback
 app.post('/api/feedback', async (req, res) => {
   try {
@@ -325,15 +727,31 @@ app.post('/api/feedback', async (req, res) => {
       return res.status(400).json({ error: 'Missing required fields' });
     }
 
-    const result = await pool.query(`
-      INSERT INTO font_feedback (font_id, feedback_type, message, user_email)
-      VALUES ($1, $2, $3, $4)
-      RETURNING id
-    `, [fontId, feedbackType, message, userEmail || null]);
+    if (!FEEDBACK_TYPES.includes(feedbackType)) {
+      return res.status(400).json({ error: `feedbackType must be one of: ${FEEDBACK_TYPES.join(', ')}` });
+    }
+
+    if (!Number.isInteger(Number(fontId)) || Number(fontId) <= 0) {
+      return res.status(400).json({ error: 'fontId must be a positive integer' });
+    }
+
+    if (typeof message !== 'string' || message.length > 5000) {
+      return res.status(400).json({ error: 'message must be text of at most 5000 characters' });
+    }
+
+    if (!await repository.getActiveFont(fontId)) {
+      return res.status(404).json({ error: 'Font not found' });
+    }
+
+    const feedback = await repository.createFeedback({ fontId, feedbackType, message, userEmail });
+
+    if (feedbackType === 'incorrect_support') {
+      await flagFontForReviewIfReported(fontId);
+    }
 
     res.json({ 
       message: 'Feedback submitted successfully',
-      feedbackId: result.rows[0].id 
+      feedbackId: feedback.id 
     });
 
   } catch (error) {
@@ -343,7 +761,7 @@ app.post('/api/feedback', async (req, res) => {
 });
 
 // ===================
-// ADMIN ENDPOINTS (Basic)
+// ADMIN ENDPOINTS
 // ===================
 
 // Manual font approval/rejection
@@ -351,24 +769,46 @@ app.patch('/api/admin/fonts/:id/review', async (req, res) => {
   try {
     const { id } = req.params;
     const { approved, notes } = req.body;
-    
-    const result = await pool.query(`
-      UPDATE fonts 
-      SET manually_reviewed = TRUE, 
-          manually_approved = $1, 
-          review_notes = $2,
-          last_updated = CURRENT_TIMESTAMP
-      WHERE id = $3
-      RETURNING id, font_family, manually_approved
-    `, [approved, notes || null, id]);
-
-    if (result.rows.length === 0) {
+
+    if (typeof approved !== 'boolean') {
+      return res.status(400).json({ error: 'approved must be true or false' });
+    }
+
+    const font = await repository.reviewFont(id, {
+      approved,
+      notes,
+      reviewerName: req.apiKey.name,
+      reviewerKeyId: req.apiKey.id
+    });
+
+    if (!font) {
       return res.status(404).json({ error: 'Font not found' });
     }
 
+    // A rejected upload's file is deleted: it only backs specimens of a catalog font
+    if (font.manually_approved === false) {
+      const stored = await repository.getActiveFont(font.id);
+      const [uploadPath] = stored?.source === 'upload' ? Object.values(stored.font_metadata?.files || {}) : [];
+
+      if (uploadPath) {
+        await removeUploadedFont(uploadPath).catch(fsError => {
+          console.error(`Error removing uploaded files of font ${font.id}:`, fsError);
+        });
+      }
+    }
+
+    notifyWebhooks(font.manually_approved ? 'font.approved' : 'font.rejected', {
+      fontId: font.id,
+      fontFamily: font.font_family,
+      approvalType: 'manual',
+      reviewedBy: font.reviewed_by,
+      reviewedAt: font.reviewed_at,
+      notes: notes || null
+    });
+
     res.json({
       message: 'Font review updated',
-      font: result.rows[0]
+      font
     });
 
   } catch (error) {
@@ -377,99 +817,843 @@ app.patch('/api/admin/fonts/:id/review', async (req, res) => {
   }
 });
 
-// ===================
-// ASYNC SCANNING LOGIC
-// ===================
+// List feedback, filtered by font, type and status
+app.get('/api/admin/feedback', async (req, res) => {
+  try {
+    const { page = 1, limit = 50, fontId, feedbackType, status } = req.query;
+    const offset = (page - 1) * limit;
+
+    const { feedback, totalCount } = await repository.listFeedback({ fontId, feedbackType, status, limit, offset });
+    const totalPages = Math.ceil(totalCount / limit);
+
+    res.json({
+      feedback,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages,
+        totalCount,
+        hasNext: page < totalPages,
+        hasPrev: page > 1
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching feedback:', error);
+    res.status(500).json({ error: 'Failed to fetch feedback' });
+  }
+});
+
+// Mark feedback as triaged, resolved or spam
+app.patch('/api/admin/feedback/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { status, notes } = req.body;
+
+    if (!FEEDBACK_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${FEEDBACK_STATUSES.join(', ')}` });
+    }
+
+    const feedback = await repository.moderateFeedback(id, { status, notes, moderatedBy: req.apiKey.name });
+
+    if (!feedback) {
+      return res.status(404).json({ error: 'Feedback not found' });
+    }
+
+    res.json({
+      message: 'Feedback updated',
+      feedback
+    });
+
+  } catch (error) {
+    console.error('Error updating feedback:', error);
+    res.status(500).json({ error: 'Failed to update feedback' });
+  }
+});
+
+// Import scanner JSON result files (a results array, or { filename, results })
+app.post('/api/admin/import', requireRole('admin'), async (req, res) => {
+  try {
+    const results = Array.isArray(req.body) ? req.body : req.body.results;
+    const filename = (!Array.isArray(req.body) && req.body.filename) || 'api';
+
+    if (!Array.isArray(results)) {
+      return res.status(400).json({ error: 'Body must be a scan results array or { results: [...] }' });
+    }
+
+    const summary = await importScanResults(results, filename);
+
+    res.json({
+      message: `Imported ${summary.imported} of ${summary.total} results`,
+      ...summary
+    });
+
+  } catch (error) {
+    console.error('Error importing scan results:', error);
+    res.status(500).json({ error: 'Failed to import scan results' });
+  }
+});
+
+// List API keys (hashes are never returned)
+app.get('/api/admin/keys', requireRole('admin'), async (req, res) => {
+  try {
+    res.json(await repository.listApiKeys());
+
+  } catch (error) {
+    console.error('Error listing API keys:', error);
+    res.status(500).json({ error: 'Failed to list API keys' });
+  }
+});
+
+// Create an API key; the plaintext key is returned only in this response
+app.post('/api/admin/keys', requireRole('admin'), async (req, res) => {
+  try {
+    const { name, role = 'reviewer' } = req.body;
+
+    if (!name) {
+      return res.status(400).json({ error: 'Missing required fields' });
+    }
+
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({ error: `Role must be one of: ${ROLES.join(', ')}` });
+    }
+
+    const key = generateApiKey();
+
+    const apiKey = await repository.createApiKey({
+      name,
+      role,
+      keyHash: hashApiKey(key),
+      keyPrefix: key.slice(0, 8),
+      createdBy: req.apiKey.name
+    });
+
+    res.status(201).json({
+      message: 'API key created - store it now, it will not be shown again',
+      key,
+      apiKey
+    });
+
+  } catch (error) {
+    console.error('Error creating API key:', error);
+    res.status(500).json({ error: 'Failed to create API key' });
+  }
+});
+
+// Revoke an API key
+app.delete('/api/admin/keys/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const apiKey = await repository.revokeApiKey(id);
+
+    if (!apiKey) {
+      return res.status(404).json({ error: 'API key not found or already revoked' });
+    }
+
+    res.json({
+      message: 'API key revoked',
+      apiKey
+    });
+
+  } catch (error) {
+    console.error('Error revoking API key:', error);
+    res.status(500).json({ error: 'Failed to revoke API key' });
+  }
+});
+
+// ===================
+// APPROVAL POLICIES
+// ===================
+
+// Flipped fonts listed in preview and activation responses
+const MAX_LISTED_FLIPS = 500;
+
+// The active approval policy (the built-in version 1 until one is activated)
+// and every stored version
+app.get('/api/admin/approval-policies', requireRole('admin'), async (req, res) => {
+  try {
+    const [active, policies] = await Promise.all([
+      repository.getActiveApprovalPolicy(),
+      repository.listApprovalPolicies()
+    ]);
+
+    res.json({
+      active: policyFromRow(active),
+      policies
+    });
+
+  } catch (error) {
+    console.error('Error listing approval policies:', error);
+    res.status(500).json({ error: 'Failed to list approval policies' });
+  }
+});
+
+// Re-score the catalog from stored measurements under a proposed policy
+// without changing anything, to see how many fonts would flip
+app.post('/api/admin/approval-policies/preview', requireRole('admin'), async (req, res) => {
+  try {
+    const { policy, error } = normalizeApprovalPolicy(req.body.policy);
+
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const { summary, flips } = evaluateCatalog(await repository.listFontsForApproval(), { version: null, ...policy });
+
+    res.json({
+      policy,
+      summary,
+      flips: flips.slice(0, MAX_LISTED_FLIPS)
+    });
+
+  } catch (error) {
+    console.error('Error previewing approval policy:', error);
+    res.status(500).json({ error: 'Failed to preview approval policy' });
+  }
+});
+
+// Store a policy as the next version, make it active and re-score every font
+// under it. New scans are scored under it from then on.
+app.post('/api/admin/approval-policies', requireRole('admin'), async (req, res) => {
+  try {
+    const { description } = req.body;
+    const { policy, error } = normalizeApprovalPolicy(req.body.policy);
+
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const activation = await repository.activateApprovalPolicy({
+      policy,
+      description,
+      createdBy: req.apiKey.name
+    });
+
+    console.log(`⚖️ Approval policy v${activation.policy.version} activated by ${req.apiKey.name}: ${activation.summary.flipped} fonts flipped`);
+
+    res.status(201).json({
+      message: `Approval policy v${activation.policy.version} activated`,
+      policy: activation.policy,
+      summary: activation.summary,
+      flips: activation.flips.slice(0, MAX_LISTED_FLIPS)
+    });
+
+  } catch (error) {
+    console.error('Error activating approval policy:', error);
+    res.status(500).json({ error: 'Failed to activate approval policy' });
+  }
+});
+
+// ===================
+// WEBHOOKS
+// ===================
+
+const WEBHOOK_DELIVERY_STATUSES = ['pending', 'succeeded', 'failed'];
+
+// List webhook subscriptions (secrets are never returned)
+app.get('/api/admin/webhooks', requireRole('admin'), async (req, res) => {
+  try {
+    res.json(await repository.listWebhooks());
+
+  } catch (error) {
+    console.error('Error listing webhooks:', error);
+    res.status(500).json({ error: 'Failed to list webhooks' });
+  }
+});
+
+// Subscribe a URL to events (all of them by default). The signing secret is
+// generated unless one is supplied, and returned only in this response.
+app.post('/api/admin/webhooks', requireRole('admin'), async (req, res) => {
+  try {
+    const { url, events = WEBHOOK_EVENTS, description, secret } = req.body;
+
+    if (!url) {
+      return res.status(400).json({ error: 'Missing required fields' });
+    }
+
+    const urlError = validateWebhookUrl(url);
+    if (urlError) {
+      return res.status(400).json({ error: urlError });
+    }
+
+    if (!Array.isArray(events) || events.length === 0 || !events.every(event => WEBHOOK_EVENTS.includes(event))) {
+      return res.status(400).json({ error: `events must be a list of: ${WEBHOOK_EVENTS.join(', ')}` });
+    }
+
+    if (secret !== undefined && (typeof secret !== 'string' || secret.length < 16)) {
+      return res.status(400).json({ error: 'secret must be at least 16 characters' });
+    }
+
+    const webhook = await repository.createWebhook({
+      url,
+      secret: secret || generateWebhookSecret(),
+      events: [...new Set(events)],
+      description,
+      createdBy: req.apiKey.name
+    });
+
+    res.status(201).json({
+      message: 'Webhook created - store the secret now, it will not be shown again',
+      webhook
+    });
+
+  } catch (error) {
+    console.error('Error creating webhook:', error);
+    res.status(500).json({ error: 'Failed to create webhook' });
+  }
+});
+
+// Deactivate a webhook; its pending deliveries are given up
+app.delete('/api/admin/webhooks/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const webhook = await repository.deactivateWebhook(req.params.id);
+
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found or already deactivated' });
+    }
+
+    res.json({
+      message: 'Webhook deactivated',
+      webhook
+    });
+
+  } catch (error) {
+    console.error('Error deactivating webhook:', error);
+    res.status(500).json({ error: 'Failed to deactivate webhook' });
+  }
+});
+
+// Send a webhook.test event and report how the receiver answered
+app.post('/api/admin/webhooks/:id/test', requireRole('admin'), async (req, res) => {
+  try {
+    const webhook = await repository.getWebhook(req.params.id);
+
+    if (!webhook || !webhook.is_active) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    const delivery = await webhooks.sendTestEvent(webhook);
+
+    res.json({
+      message: delivery.status === 'succeeded' ? 'Test event delivered' : 'Test event delivery failed',
+      delivery
+    });
+
+  } catch (error) {
+    console.error('Error sending test webhook:', error);
+    res.status(500).json({ error: 'Failed to send test webhook' });
+  }
+});
+
+// Delivery log, newest first, filtered by subscription, event type and status
+app.get('/api/admin/webhooks/deliveries', requireRole('admin'), async (req, res) => {
+  try {
+    const { page = 1, limit = 50, subscriptionId, eventType, status } = req.query;
+    const offset = (page - 1) * limit;
+
+    if (status && !WEBHOOK_DELIVERY_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${WEBHOOK_DELIVERY_STATUSES.join(', ')}` });
+    }
+
+    const { deliveries, totalCount } = await repository.listWebhookDeliveries({
+      subscriptionId,
+      eventType,
+      status,
+      limit,
+      offset
+    });
+    const totalPages = Math.ceil(totalCount / limit);
+
+    res.json({
+      deliveries,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages,
+        totalCount,
+        hasNext: page < totalPages,
+        hasPrev: page > 1
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching webhook deliveries:', error);
+    res.status(500).json({ error: 'Failed to fetch webhook deliveries' });
+  }
+});
+
+// Retry a delivery now with a fresh set of attempts
+app.post('/api/admin/webhooks/deliveries/:id/redeliver', requireRole('admin'), async (req, res) => {
+  try {
+    const delivery = await webhooks.redeliver(req.params.id);
+
+    if (!delivery) {
+      return res.status(404).json({ error: 'Delivery not found' });
+    }
+
+    res.json({
+      message: delivery.status === 'succeeded' ? 'Delivery succeeded' : 'Delivery failed, will retry',
+      delivery
+    });
+
+  } catch (error) {
+    if (error instanceof DeliveryInProgressError) {
+      return res.status(409).json({ error: 'Delivery already in progress' });
+    }
+
+    console.error('Error redelivering webhook:', error);
+    res.status(500).json({ error: 'Failed to redeliver webhook' });
+  }
+});
+
+// Fire-and-forget: webhook problems never fail the request or scan that raised the event
+function notifyWebhooks(eventType, data) {
+  webhooks.emit(eventType, data).catch(error => {
+    console.error(`Error queueing ${eventType} webhooks:`, error);
+  });
+}
+
+// Scan batch fields sent with scan.completed and scan.failed
+function buildBatchEvent(batch) {
+  return {
+    batchId: batch.id,
+    scanType: batch.scan_type,
+    status: batch.status,
+    fontsScanned: batch.fonts_scanned,
+    fontsProcessed: batch.fonts_processed,
+    fontsApproved: batch.fonts_approved,
+    startedAt: batch.started_at,
+    completedAt: batch.completed_at,
+    notes: batch.processing_notes,
+    error: batch.error_message
+  };
+}
+
+// ===================
+// FEEDBACK MODERATION
+// ===================
+
+// Send a font back to the manual review queue once enough open
+// "incorrect support" reports have piled up against it
+async function flagFontForReviewIfReported(fontId) {
+  const openReports = await repository.countOpenReports(fontId);
+
+  if (openReports < FEEDBACK_REVIEW_THRESHOLD) {
+    return false;
+  }
+
+  const font = await repository.flagFontForReview(fontId, `${openReports} open incorrect support reports`);
+
+  if (font) {
+    console.log(`🚩 ${font.font_family} sent back for review after ${openReports} incorrect support reports`);
+  }
+
+  return Boolean(font);
+}
+
+// ===================
+// ASYNC SCANNING LOGIC
+// ===================
+
+// Scanners running in this process, by batch id
+const activeScans = new Map();
+
+// Cached Google Fonts catalog snapshots that scan batches are pinned to
+const googleFontsCatalog = new GoogleFontsCatalog();
+
+// How long after it started an offset batch can still be continued on its snapshot
+const SCAN_RUN_MAX_AGE_MS = (parseInt(process.env.SCAN_RUN_MAX_AGE_HOURS) || 24) * 60 * 60 * 1000;
+
+// The catalog snapshot a new offset batch scans: the requested one, else that
+// of the batch it continues (so consecutive offsets walk one ordered list),
+// else the current catalog. A batch continues a run when the latest offset
+// batch ended exactly at its offset and started less than
+// SCAN_RUN_MAX_AGE_HOURS ago. A continued run whose snapshot has been pruned
+// throws CatalogSnapshotNotFoundError rather than scanning a different list.
+// Local font sources have no snapshots.
+async function resolveCatalogSnapshot(snapshotId, offset) {
+  if ((process.env.FONT_SOURCE || 'google') !== 'google') {
+    return null;
+  }
+
+  if (snapshotId) {
+    return (await googleFontsCatalog.getSnapshot(snapshotId)).id;
+  }
+
+  if (offset > 0) {
+    const recentBatches = await repository.listRecentBatches(10);
+    const previous = recentBatches.find(batch => batch.scan_type !== 'incremental');
+    const continuesRun = previous &&
+      previous.catalog_snapshot_id &&
+      previous.batch_offset + previous.batch_limit === Number(offset) &&
+      Date.now() - new Date(previous.started_at) < SCAN_RUN_MAX_AGE_MS;
+
+    if (continuesRun) {
+      try {
+        return (await googleFontsCatalog.getSnapshot(previous.catalog_snapshot_id)).id;
+      } catch (error) {
+        if (error instanceof CatalogSnapshotNotFoundError) {
+          error.message = `Batch ${previous.batch_number} scanned catalog snapshot ${previous.catalog_snapshot_id}, ` +
+            'which is no longer cached. Start the run again at offset 0 or pass a snapshotId';
+        }
+        throw error;
+      }
+    }
+  }
+
+  return (await googleFontsCatalog.getSnapshot()).id;
+}
+
+// Scans measure ʻokina vs apostrophe distinction (hasVisualDistinction and
+// each language profile's confusable pairs) at the active policy's threshold,
+// so they agree with the approval the scan is stored with
+async function getScanPixelThreshold() {
+  const policy = policyFromRow(await repository.getActiveApprovalPolicy());
+  return policy.criteria.visualDistinction.minPixelDifference;
+}
+
+// Batch row updates for Server-Sent Events subscribers, emitted as `batch:<id>`
+const scanEvents = new EventEmitter();
+scanEvents.setMaxListeners(0);
+
+const TERMINAL_SCAN_STATUSES = ['completed', 'failed', 'cancelled'];
+
+// options.progress carries counters over when resuming a batch after a restart
+async function scanFontsAsync(batchId, options = {}) {
+  const {
+    offset = 0,
+    batchSize = 50,
+    pixelThreshold = 50,
+    concurrency,
+    families = null,
+    catalogSnapshotId = null,
+    progress = {}
+  } = options;
 
-async function scanFontsAsync(batchId, offset, batchSize, pixelThreshold) {
   const scanner = new HawaiianFontScanner({ 
     batchSize, 
-    pixelThreshold 
+    pixelThreshold,
+    concurrency,
+    catalogSnapshotId
   });
+  activeScans.set(String(batchId), scanner);
+
+  let scannedCount = progress.scanned || 0;
+  let processedCount = progress.processed || 0;
+  let approvedCount = progress.approved || 0;
+  const startedAt = Date.now();
 
   try {
     console.log(`🚀 Starting async scan for batch ${batchId}`);
-    
-    const results = await scanner.runScan({
-      offset,
-      limit: batchSize,
-      saveToDisk: false
-    });
 
-    let processedCount = 0;
-    let approvedCount = 0;
-
-    // Insert results into database
-    for (const result of results) {
+    // Insert each result as soon as it is ready so progress survives a restart
+    const onFontScanned = async (result, { index, total }) => {
       if (!result.error) {
-        const fontId = await insertScanResult(result, `batch-${batchId}`);
+        await storeScanResult(result, `batch-${batchId}`);
         processedCount++;
         if (result.autoApproved) approvedCount++;
       }
-    }
+      scannedCount++;
+
+      const done = index + 1;
+      const msPerFont = (Date.now() - startedAt) / done;
+
+      await updateBatch(batchId, {
+        fonts_scanned: scannedCount,
+        fonts_processed: processedCount,
+        fonts_approved: approvedCount,
+        fonts_total: (progress.scanned || 0) + total,
+        current_font: result.fontFamily,
+        estimated_completion_at: new Date(Date.now() + msPerFont * (total - done)),
+        progress_updated_at: new Date()
+      });
+    };
+    
+    await scanner.runScan({
+      offset,
+      limit: batchSize,
+      saveToDisk: false,
+      families,
+      onFontScanned
+    });
+
+    const status = scanner.cancelRequested ? 'cancelled' : 'completed';
 
     // Update batch status
-    await pool.query(`
-      UPDATE scan_batches 
-      SET status = 'completed',
-          completed_at = CURRENT_TIMESTAMP,
-          fonts_processed = $1,
-          fonts_approved = $2,
-          processing_notes = $3
-      WHERE id = $4
-    `, [
-      processedCount, 
-      approvedCount,
-      `Processed ${processedCount} fonts, ${approvedCount} auto-approved`,
-      batchId
-    ]);
+    await updateBatch(batchId, {
+      status,
+      completed_at: new Date(),
+      current_font: null,
+      estimated_completion_at: null,
+      processing_notes: `${status === 'cancelled' ? 'Cancelled after' : 'Processed'} ${processedCount} fonts, ${approvedCount} auto-approved`
+    });
 
-    console.log(`✅ Batch ${batchId} completed: ${processedCount} processed, ${approvedCount} approved`);
+    console.log(`✅ Batch ${batchId} ${status}: ${processedCount} processed, ${approvedCount} approved`);
 
   } catch (error) {
     console.error(`❌ Batch ${batchId} failed:`, error);
     
-    await pool.query(`
-      UPDATE scan_batches 
-      SET status = 'failed',
-          completed_at = CURRENT_TIMESTAMP,
-          error_message = $1
-      WHERE id = $2
-    `, [error.message, batchId]);
+    await updateBatch(batchId, {
+      status: 'failed',
+      completed_at: new Date(),
+      current_font: null,
+      estimated_completion_at: null,
+      error_message: error.message
+    });
+  } finally {
+    activeScans.delete(String(batchId));
   }
 }
 
-async function insertScanResult(scanResult, batchInfo) {
+// Update scan batch columns and notify stream subscribers, plus webhooks
+// when the batch completes or fails
+async function updateBatch(batchId, changes) {
+  const batch = await repository.updateBatch(batchId, changes);
+
+  if (batch) {
+    scanEvents.emit(`batch:${batchId}`, batch);
+
+    if (['completed', 'failed'].includes(changes.status)) {
+      notifyWebhooks(`scan.${changes.status}`, buildBatchEvent(batch));
+    }
+  }
+
+  return batch;
+}
+
+// Save a scan result and raise font.regressed or font.approved when it
+// changed the font's standing compared with its previous scan
+async function storeScanResult(result, batchInfo) {
+  const fontId = await repository.saveScanResult(result, batchInfo);
+  const [latest, previous] = await repository.getFontHistory(fontId, 2);
+
+  if (latest?.is_regression) {
+    notifyWebhooks('font.regressed', {
+      fontId,
+      fontFamily: result.fontFamily,
+      version: latest.font_version,
+      previousVersion: previous?.font_version ?? null,
+      reasons: latest.regression_reasons
+    });
+  } else if (latest?.auto_approved && !previous?.auto_approved) {
+    notifyWebhooks('font.approved', {
+      fontId,
+      fontFamily: result.fontFamily,
+      approvalType: 'auto',
+      version: latest.font_version,
+      scanBatch: batchInfo
+    });
+  }
+
+  return fontId;
+}
+
+// Batches still marked running at startup were interrupted by a restart.
+// SCAN_RECOVERY_MODE=resume (default) continues the most recent one from its
+// last processed offset; SCAN_RECOVERY_MODE=fail marks them all failed.
+async function recoverStaleScans() {
+  const recoveryMode = process.env.SCAN_RECOVERY_MODE || 'resume';
+  const stale = await repository.listRunningBatches();
+
+  for (const [index, batch] of stale.entries()) {
+    const scanned = batch.fonts_scanned || 0;
+    const families = batch.families ? batch.families.slice(scanned) : null;
+    const remaining = families ? families.length : batch.batch_limit - scanned;
+
+    if (recoveryMode !== 'resume' || index > 0) {
+      console.log(`⚠️ Marking stale batch ${batch.id} as failed`);
+      await updateBatch(batch.id, {
+        status: 'failed',
+        completed_at: new Date(),
+        current_font: null,
+        estimated_completion_at: null,
+        error_message: `Interrupted by server restart after ${scanned} fonts`
+      });
+      continue;
+    }
+
+    if (remaining <= 0) {
+      await updateBatch(batch.id, {
+        status: 'completed',
+        completed_at: new Date(),
+        current_font: null,
+        estimated_completion_at: null
+      });
+      continue;
+    }
+
+    // Offset batches resume in catalog order; incremental batches resume in family list order
+    const resumeOffset = batch.batch_offset + scanned;
+    console.log(`🔁 Resuming batch ${batch.id} after ${scanned} fonts (${remaining} remaining)`);
+
+    await updateBatch(batch.id, {
+      processing_notes: `Resumed after server restart at ${families ? `family ${scanned + 1}` : `offset ${resumeOffset}`}`
+    });
+
+    scanFontsAsync(batch.id, {
+      offset: resumeOffset,
+      batchSize: remaining,
+      pixelThreshold: batch.pixel_threshold || 50,
+      families,
+      catalogSnapshotId: batch.catalog_snapshot_id,
+      progress: {
+        scanned,
+        processed: batch.fonts_processed || 0,
+        approved: batch.fonts_approved || 0
+      }
+    });
+  }
+}
+
+// Uploads scan one at a time so submissions never run several browsers at once
+let uploadScanQueue = Promise.resolve();
+
+function queueUploadScan(uploadId, directory) {
+  uploadScanQueue = uploadScanQueue.then(() => scanUploadAsync(uploadId, directory));
+  return uploadScanQueue;
+}
+
+async function scanUploadAsync(uploadId, directory) {
   try {
-    const result = await pool.query(`
-      SELECT insert_scan_result($1, $2, $3, $4) as font_id
-    `, [
-      scanResult.fontFamily,
-      JSON.stringify(scanResult.googleFontData),
-      JSON.stringify(scanResult),
-      batchInfo
-    ]);
-    
-    return result.rows[0].font_id;
+    console.log(`🚀 Starting scan for upload ${uploadId}`);
+
+    await repository.markUploadRunning(uploadId);
+
+    const scanner = new HawaiianFontScanner({
+      source: 'local',
+      fontDirectory: directory,
+      pixelThreshold: await getScanPixelThreshold()
+    });
+
+    const [result] = await scanner.runScan({ saveToDisk: false });
+
+    if (!result) {
+      throw new Error('No readable font found in uploaded file');
+    }
+    if (result.error) {
+      throw new Error(result.error);
+    }
+
+    // Checked again here: another upload of the family may have been scanned since this one was queued
+    if (await repository.getFontScannedAt(result.fontFamily, 'upload')) {
+      throw new Error(`A font named "${result.fontFamily}" has already been uploaded`);
+    }
+
+    // Server file paths stay out of the stored font: files are kept relative to
+    // the upload directory, and left out of the report the submitter sees
+    const { files = {}, ...reportFontData } = result.fontData;
+    const fontData = {
+      ...reportFontData,
+      files: Object.fromEntries(Object.entries(files).map(([variant, filepath]) => [variant, toUploadPath(filepath)]))
+    };
+
+    const fontId = await storeScanResult({ ...result, source: 'upload', fontData }, `upload-${uploadId}`);
+    const report = { ...result, source: 'upload', fontData: reportFontData };
+
+    await repository.completeUpload(uploadId, { fontId, report });
+
+    console.log(`✅ Upload ${uploadId} scanned: ${result.fontFamily} ${result.autoApproved ? 'auto-approved' : 'needs review'}`);
+
   } catch (error) {
-    console.error('Error inserting scan result:', error);
-    throw error;
+    console.error(`❌ Upload ${uploadId} scan failed:`, error);
+
+    await repository.failUpload(uploadId, error.message).catch(dbError => {
+      console.error('Error recording upload failure:', dbError);
+    });
+
+    // Failed uploads never reach the catalog, so their files are not kept
+    await removeUploadedFont(directory).catch(fsError => {
+      console.error(`Error removing files of upload ${uploadId}:`, fsError);
+    });
+  }
+}
+
+// Diff the Google Fonts catalog against the fonts table and, unless dryRun
+// is set, queue an incremental batch that rescans new or changed families
+async function startIncrementalScan({ dryRun = false } = {}) {
+  const runningBatch = await repository.findRunningBatch();
+
+  if (!dryRun && runningBatch) {
+    return { alreadyRunning: true, runningScanId: runningBatch.id };
+  }
+
+  const pixelThreshold = await getScanPixelThreshold();
+
+  const scanner = new HawaiianFontScanner({ pixelThreshold });
+  const catalogFonts = await scanner.fetchFonts();
+
+  const diff = scanner.diffCatalog(catalogFonts, await repository.getKnownFonts());
+
+  const families = [
+    ...diff.newFonts.map(font => font.family),
+    ...diff.updatedFonts.map(font => font.family)
+  ];
+
+  const summary = {
+    dryRun,
+    catalogSize: catalogFonts.length,
+    newFonts: diff.newFonts,
+    updatedFonts: diff.updatedFonts,
+    unchangedCount: diff.unchangedCount,
+    familiesToScan: families.length,
+    catalogSnapshotId: scanner.catalogSnapshotId
+  };
+
+  if (dryRun) {
+    return { ...summary, message: 'Dry run - no scan started' };
+  }
+
+  // An empty run is still recorded so the 14-day schedule sees it
+  if (families.length === 0) {
+    const batch = await repository.createBatch({
+      scanType: 'incremental',
+      limit: 0,
+      pixelThreshold,
+      families,
+      notes: `Incremental: no new or updated fonts in ${catalogFonts.length} catalog families`,
+      catalogSnapshotId: scanner.catalogSnapshotId
+    });
+
+    await updateBatch(batch.id, { status: 'completed', completed_at: new Date(), fonts_total: 0 });
+
+    return { ...summary, message: 'No new or updated fonts', batchId: batch.id, batchNumber: batch.batch_number };
   }
+
+  const batch = await repository.createBatch({
+    scanType: 'incremental',
+    limit: families.length,
+    pixelThreshold,
+    families,
+    notes: `Incremental: ${diff.newFonts.length} new, ${diff.updatedFonts.length} updated`,
+    catalogSnapshotId: scanner.catalogSnapshotId
+  });
+
+  const batchId = batch.id;
+
+  scanFontsAsync(batchId, {
+    batchSize: families.length,
+    pixelThreshold,
+    families,
+    catalogSnapshotId: scanner.catalogSnapshotId
+  });
+
+  return {
+    ...summary,
+    message: 'Incremental scan started',
+    batchId,
+    batchNumber: batch.batch_number
+  };
 }
 
 // ===================
 // SCHEDULED SCANNING
 // ===================
 
-// Schedule bi-weekly incremental scans (every other Sunday at 2 AM)
-cron.schedule('0 2 * * 0', async () => {
-  const lastScan = await pool.query(
-    'SELECT MAX(started_at) as last_scan FROM scan_batches WHERE scan_type = $1',
-    ['incremental']
-  );
+// Schedule bi-weekly incremental scans (every other Sunday at 2 AM); started by startServer
+const incrementalScanJob = cron.schedule('0 2 * * 0', async () => {
+  const lastScan = await repository.getLastBatchStartedAt('incremental');
   
-  const daysSinceLastScan = lastScan.rows[0]?.last_scan 
-    ? Math.floor((Date.now() - new Date(lastScan.rows[0].last_scan)) / (1000 * 60 * 60 * 24))
+  const daysSinceLastScan = lastScan 
+    ? Math.floor((Date.now() - new Date(lastScan)) / (1000 * 60 * 60 * 24))
     : 999;
 
   // Only run if it's been 14+ days since last incremental scan
@@ -477,24 +1661,19 @@ cron.schedule('0 2 * * 0', async () => {
     console.log('🕒 Starting scheduled incremental scan...');
     
     try {
-      // Check for running scans
-      const runningCheck = await pool.query(
-        'SELECT id FROM scan_batches WHERE status = $1',
-        ['running']
-      );
-
-      if (runningCheck.rows.length === 0) {
-        // Start incremental scan - this would scan for new fonts only
-        // Implementation would compare current Google Fonts API against our database
-        console.log('Starting incremental scan for new fonts...');
-        // Implementation details would go here
+      const incremental = await startIncrementalScan();
+
+      if (incremental.alreadyRunning) {
+        console.log(`⏭️ Skipping incremental scan, batch ${incremental.runningScanId} is still running`);
+      } else {
+        console.log(`📋 ${incremental.message} (${incremental.newFonts.length} new, ${incremental.updatedFonts.length} updated)`);
       }
     } catch (error) {
       console.error('Scheduled scan failed:', error);
     }
   }
 }, {
-  scheduled: true,
+  scheduled: false,
   timezone: "America/Los_Angeles" // PST/PDT
 });
 
@@ -513,13 +1692,38 @@ app.use((req, res) => {
 });
 
 // Start server
-app.listen(PORT, () => {
-  console.log(`🌺 Hawaiian Font API server running on port ${PORT}`);
-  console.log(`📊 Health check available at http://localhost:${PORT}/health`);
-  
-  if (process.env.NODE_ENV !== 'production') {
-    console.log(`🔍 API docs available at http://localhost:${PORT}/api/`);
+// Bring the schema up to date before serving; MIGRATE_ON_START=false leaves
+// migrations to a separate `npm run migrate` step
+async function startServer() {
+  if (process.env.MIGRATE_ON_START !== 'false') {
+    const applied = await repository.migrate();
+    if (applied.length > 0) {
+      console.log(`🗄️ Applied ${applied.length} database migration(s)`);
+    }
   }
-});
 
-module.exports = { app, GITHUB_TOKEN };
\ No newline at end of file
+  app.listen(PORT, () => {
+    console.log(`🌺 Hawaiian Font API server running on port ${PORT} (${repository.backend} data)`);
+    console.log(`📊 Health check available at http://localhost:${PORT}/health`);
+    
+    if (process.env.NODE_ENV !== 'production') {
+      console.log(`🔍 API docs available at http://localhost:${PORT}/api/`);
+    }
+
+    incrementalScanJob.start();
+    webhooks.start();
+    recoverStaleScans().catch(error => {
+      console.error('Error recovering stale scans:', error);
+    });
+  });
+}
+
+// Requiring server.js (e.g. from route tests) gets the app without listening
+if (require.main === module) {
+  startServer().catch(error => {
+    console.error('💥 Failed to start server:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { app, repository, webhooks, GITHUB_TOKEN };
\ No newline at end of file
@@ -0,0 +1,359 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const HawaiianFontScanner = require('./font-scanner');
+const { createFontSource, parseVariantName, escapeCssString } = require('./font-sources');
+const { pickFontFile, loadFontBuffer, parseFont } = require('./glyph-coverage');
+const { PRIMARY_LANGUAGE, loadLanguageProfiles, getLanguageProfile } = require('./language-profiles');
+const { resolveUploadPath } = require('./font-upload');
+
+const MAX_TEXT_LENGTH = 200;
+const MAX_LINES = 10;
+const MIN_SIZE = 8;
+const MAX_SIZE = 300;
+const MAX_WIDTH = 1600; // Longer lines wrap
+const LINE_HEIGHT = 1.4;
+const IDLE_TIMEOUT = 5 * 60 * 1000; // Close the browser after 5 idle minutes
+const DEFAULT_CACHE_MAX_BYTES = 200 * 1024 * 1024;
+
+// Validate specimen query parameters against a font row.
+// Returns { options } or { error } with a user-facing message.
+// Without text, the specimen shows the first phrase of the language profile
+// (Hawaiian unless language is given).
+function parseSpecimenOptions(query, fontRow) {
+  const profiles = loadLanguageProfiles();
+  const profile = getLanguageProfile(query.language || PRIMARY_LANGUAGE, profiles);
+
+  if (!profile) {
+    return { error: `language must be one of: ${profiles.map(p => p.code).join(', ')}` };
+  }
+
+  const text = (typeof query.text === 'string' && query.text.length > 0 ? query.text : profile.specimenPhrases[0])
+    .normalize('NFC');
+  const size = query.size === undefined ? 64 : Number(query.size);
+  const color = (query.color || '000000').replace(/^#/, '');
+  const variants = fontRow.font_metadata?.variants || ['regular'];
+  const variant = query.variant || (variants.includes('regular') ? 'regular' : variants[0]);
+
+  if (text.length > MAX_TEXT_LENGTH) {
+    return { error: `text must be at most ${MAX_TEXT_LENGTH} characters` };
+  }
+  if (text.split('\n').length > MAX_LINES) {
+    return { error: `text must be at most ${MAX_LINES} lines` };
+  }
+  if (!Number.isInteger(size) || size < MIN_SIZE || size > MAX_SIZE) {
+    return { error: `size must be an integer from ${MIN_SIZE} to ${MAX_SIZE}` };
+  }
+  if (!/^([0-9a-f]{3}|[0-9a-f]{6}|[0-9a-f]{8})$/i.test(color)) {
+    return { error: 'color must be a hex color such as 000000 or #1a4d2e' };
+  }
+  if (!variants.includes(variant)) {
+    return { error: `variant must be one of: ${variants.join(', ')}` };
+  }
+
+  return { options: { text, size, color: `#${color.toLowerCase()}`, variant } };
+}
+
+// Break a line the way the PNG's CSS does (white-space: pre-wrap,
+// overflow-wrap: break-word): at spaces, or inside a word too long for a line.
+// measure(text) returns its width in pixels.
+function wrapLine(line, measure, maxWidth) {
+  const lines = [];
+  let current = '';
+
+  const breakLine = () => {
+    lines.push(current.trimEnd());
+    current = '';
+  };
+
+  for (const word of line.match(/\S+\s*|\s+/g) || []) {
+    if (current && measure((current + word).trimEnd()) > maxWidth) {
+      breakLine();
+    }
+
+    if (measure(word.trimEnd()) <= maxWidth) {
+      current += word;
+      continue;
+    }
+
+    for (const character of Array.from(word)) {
+      if (current && measure((current + character).trimEnd()) > maxWidth) {
+        breakLine();
+      }
+      current += character;
+    }
+  }
+
+  lines.push(current);
+  return lines;
+}
+
+// Uploaded fonts record their files relative to the upload directory
+function resolveFontFile(fontRow, file) {
+  if (!file) return null;
+  return fontRow.source === 'upload' ? resolveUploadPath(file) : file;
+}
+
+// Renders specimens of stored fonts with the scanner's Puppeteer setup (PNG)
+// or from the font's glyph outlines (SVG). Output is cached on disk by a key
+// that covers the font's last scan, so repeat requests never touch the browser.
+// The cache is bounded by SPECIMEN_CACHE_MAX_BYTES; the least recently used
+// files are evicted first.
+class SpecimenRenderer {
+  constructor(options = {}) {
+    this.cacheDir = path.resolve(options.cacheDir || process.env.SPECIMEN_CACHE_DIR || 'specimen-cache');
+    this.cacheMaxBytes = options.cacheMaxBytes || parseInt(process.env.SPECIMEN_CACHE_MAX_BYTES) || DEFAULT_CACHE_MAX_BYTES;
+    this.cacheBytes = null; // Counted from disk on the first write
+    this.scanner = null;
+    this.launching = null;
+    this.idleTimer = null;
+  }
+
+  getCacheKey(fontRow, options) {
+    return crypto.createHash('sha256')
+      .update(JSON.stringify([
+        fontRow.id,
+        fontRow.scanned_at,
+        options.format,
+        options.text,
+        options.size,
+        options.color,
+        options.variant
+      ]))
+      .digest('hex')
+      .slice(0, 32);
+  }
+
+  // Returns { key, filepath, cached }
+  async render(fontRow, options) {
+    const key = this.getCacheKey(fontRow, options);
+    const filepath = path.join(this.cacheDir, `${key}.${options.format}`);
+
+    try {
+      // Touching a hit keeps it from being evicted
+      const time = new Date();
+      await fs.utimes(filepath, time, time);
+      return { key, filepath, cached: true };
+    } catch (error) {
+      // Not cached yet
+    }
+
+    const output = options.format === 'svg'
+      ? await this.renderSvg(fontRow, options)
+      : await this.renderPng(fontRow, options);
+
+    // Write then rename so concurrent requests never read a partial file
+    await fs.mkdir(this.cacheDir, { recursive: true });
+    const tempPath = `${filepath}.${process.pid}.${Date.now()}.tmp`;
+    await fs.writeFile(tempPath, output);
+    await fs.rename(tempPath, filepath);
+    await this.trackCacheSize(Buffer.byteLength(output));
+
+    return { key, filepath, cached: false };
+  }
+
+  async trackCacheSize(addedBytes) {
+    if (this.cacheBytes === null) {
+      this.cacheBytes = (await this.listCacheFiles()).reduce((sum, file) => sum + file.size, 0);
+    } else {
+      this.cacheBytes += addedBytes;
+    }
+
+    if (this.cacheBytes > this.cacheMaxBytes) {
+      await this.evictCacheFiles();
+    }
+  }
+
+  async listCacheFiles() {
+    const names = (await fs.readdir(this.cacheDir)).filter(name => !name.endsWith('.tmp'));
+    const files = await Promise.all(names.map(async name => {
+      try {
+        const stats = await fs.stat(path.join(this.cacheDir, name));
+        return { name, size: stats.size, mtime: stats.mtimeMs };
+      } catch (error) {
+        return null; // Evicted by a concurrent request
+      }
+    }));
+
+    return files.filter(Boolean);
+  }
+
+  // Delete least recently used files until the cache is back to 90% of its limit
+  async evictCacheFiles() {
+    const files = (await this.listCacheFiles()).sort((a, b) => a.mtime - b.mtime);
+    const target = this.cacheMaxBytes * 0.9;
+    let total = files.reduce((sum, file) => sum + file.size, 0);
+    let evicted = 0;
+
+    for (const file of files) {
+      if (total <= target) break;
+      await fs.rm(path.join(this.cacheDir, file.name), { force: true });
+      total -= file.size;
+      evicted++;
+    }
+
+    this.cacheBytes = total;
+    console.log(`🧹 Evicted ${evicted} specimen cache files (${Math.round(total / 1024 / 1024)} MB left)`);
+  }
+
+  async getScanner() {
+    clearTimeout(this.idleTimer);
+
+    if (!this.scanner) {
+      if (!this.launching) {
+        const scanner = new HawaiianFontScanner();
+        this.launching = scanner.initialize().then(() => {
+          this.scanner = scanner;
+          this.launching = null;
+        }, error => {
+          this.launching = null;
+          throw error;
+        });
+      }
+      await this.launching;
+    }
+
+    return this.scanner;
+  }
+
+  scheduleIdleClose() {
+    clearTimeout(this.idleTimer);
+    this.idleTimer = setTimeout(() => this.close(), IDLE_TIMEOUT);
+    this.idleTimer.unref();
+  }
+
+  async renderPng(fontRow, options) {
+    const scanner = await this.getScanner();
+    const page = await scanner.browser.newPage();
+    const family = fontRow.font_family;
+    const fontSource = createFontSource({ source: fontRow.source === 'google' ? 'google' : 'local' });
+    const { weight, italic } = parseVariantName(options.variant);
+    const padding = Math.round(options.size / 4);
+
+    try {
+      await page.setViewport({ width: MAX_WIDTH + padding * 2, height: 600 });
+
+      const fontFaceHtml = await fontSource.getFontFaceHtml({
+        ...fontRow.font_metadata,
+        family,
+        variants: [options.variant],
+        files: { [options.variant]: resolveFontFile(fontRow, fontRow.font_metadata?.files?.[options.variant]) }
+      });
+
+      await page.setContent(`
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <meta charset="utf-8">
+          ${fontFaceHtml}
+          <style>
+            body { margin: 0; background: white; }
+            #specimen {
+              display: inline-block;
+              max-width: ${MAX_WIDTH}px;
+              padding: ${padding}px;
+              font-family: ${escapeCssString(family)}, sans-serif;
+              font-size: ${options.size}px;
+              font-weight: ${weight};
+              font-style: ${italic ? 'italic' : 'normal'};
+              line-height: ${LINE_HEIGHT};
+              color: ${options.color};
+              white-space: pre-wrap;
+              overflow-wrap: break-word;
+            }
+          </style>
+        </head>
+        <body><div id="specimen"></div></body>
+        </html>
+      `, { waitUntil: 'load' });
+
+      // textContent keeps user text out of the markup
+      await page.evaluate((text) => {
+        document.getElementById('specimen').textContent = text;
+      }, options.text);
+
+      await scanner.waitForFontLoad(page, family, {
+        fontWeight: String(weight),
+        fontStyle: italic ? 'italic' : 'normal'
+      });
+
+      const element = await page.$('#specimen');
+      return await element.screenshot({ type: 'png' });
+
+    } finally {
+      await page.close();
+      this.scheduleIdleClose();
+    }
+  }
+
+  // Vector specimen laid out by fontkit from the font file's glyph outlines
+  async renderSvg(fontRow, options) {
+    const files = fontRow.font_metadata?.files;
+    const source = resolveFontFile(fontRow, files?.[options.variant] || pickFontFile(files));
+
+    if (!source) {
+      throw new Error(`No font file available for ${fontRow.font_family}`);
+    }
+
+    const font = parseFont(await loadFontBuffer(source));
+    const scale = options.size / font.unitsPerEm;
+    const lineHeight = options.size * LINE_HEIGHT;
+    const padding = Math.round(options.size / 4);
+    const baselineOffset = (lineHeight - (font.ascent - font.descent) * scale) / 2 + font.ascent * scale;
+
+    const paths = [];
+    let width = 0;
+    const measure = text => font.layout(text).advanceWidth * scale;
+    const lines = options.text.split('\n').flatMap(line => wrapLine(line, measure, MAX_WIDTH));
+
+    lines.forEach((line, lineIndex) => {
+      const run = font.layout(line);
+      const baseline = padding + lineIndex * lineHeight + baselineOffset;
+      let x = 0;
+
+      run.glyphs.forEach((glyph, i) => {
+        const position = run.positions[i];
+        const d = glyph.path.toSVG();
+
+        if (d) {
+          const tx = padding + (x + position.xOffset) * scale;
+          const ty = baseline - position.yOffset * scale;
+          paths.push(`<path transform="translate(${tx.toFixed(2)} ${ty.toFixed(2)}) scale(${scale.toFixed(5)} ${(-scale).toFixed(5)})" d="${d}"/>`);
+        }
+
+        x += position.xAdvance;
+      });
+
+      width = Math.max(width, x * scale);
+    });
+
+    const svgWidth = Math.ceil(width + padding * 2);
+    const svgHeight = Math.ceil(lines.length * lineHeight + padding * 2);
+    const title = options.text.replace(/[<>&"]/g, c => `&#${c.charCodeAt(0)};`);
+
+    return [
+      `<svg xmlns="http://www.w3.org/2000/svg" width="${svgWidth}" height="${svgHeight}" viewBox="0 0 ${svgWidth} ${svgHeight}">`,
+      `<title>${title}</title>`,
+      `<rect width="100%" height="100%" fill="white"/>`,
+      `<g fill="${options.color}">`,
+      ...paths,
+      '</g>',
+      '</svg>'
+    ].join('\n');
+  }
+
+  async close() {
+    clearTimeout(this.idleTimer);
+    const scanner = this.scanner;
+    this.scanner = null;
+
+    if (scanner) {
+      await scanner.cleanup();
+    }
+  }
+}
+
+module.exports = {
+  SpecimenRenderer,
+  parseSpecimenOptions
+};
@@ -0,0 +1,71 @@
+// Approval policies: the built-in rule, previews and activations of fonts
+// under regression review, and the per-scan threshold the policy replaces
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildScanResult, startServer } = require('./helpers');
+
+let api;
+let regressedId;
+
+before(async () => {
+  api = await startServer();
+
+  await api.repository.saveScanResult(buildScanResult('Steady Sans'), 'test');
+
+  // Pulled out by a regression; the latest scan measures full support again
+  // but the review is still open
+  const scan = (day, options) => api.repository.saveScanResult(
+    buildScanResult('Regressed Sans', { scannedAt: `2024-01-${day}T00:00:00Z`, ...options }), `scan-${day}`);
+  regressedId = await scan('01');
+  await scan('02', { supported: false });
+  await scan('03');
+});
+
+after(() => api.close());
+
+test('the built-in policy requires decomposed kahakō', async () => {
+  const id = await api.repository.saveScanResult(buildScanResult('Precomposed Sans', { combiningMarkSupport: null }), 'test');
+  const { body } = await api.request('GET', `/api/fonts/${id}`);
+
+  assert.equal(body.auto_approved, false);
+  assert.equal(Number(body.approval_score), 85);
+  const combining = body.approval_reasons.find(reason => reason.criterion === 'combiningMarks');
+  assert.equal(combining.passed, false);
+  assert.equal(combining.required, true);
+});
+
+test('previewing the active policy flips nothing', async () => {
+  const { status, body } = await api.request('POST', '/api/admin/approval-policies/preview', { body: { policy: {} }, admin: true });
+
+  assert.equal(status, 200);
+  assert.equal(body.summary.flipped, 0);
+  assert.equal(body.summary.newlyApproved, 0);
+});
+
+test('activating a policy keeps a font under regression review out of auto-approval', async () => {
+  const { status, body } = await api.request('POST', '/api/admin/approval-policies', {
+    body: { policy: { criteria: { kahakoCoverage: { minPercentage: 90 } } }, description: 'Looser kahakō coverage' },
+    admin: true
+  });
+  assert.equal(status, 201);
+  assert.ok(!body.flips.some(flip => flip.id === regressedId));
+
+  const font = await api.request('GET', `/api/fonts/${regressedId}`);
+  assert.equal(font.body.auto_approved, false);
+  assert.equal(font.body.needs_review, true);
+  assert.equal(font.body.approval_policy_version, body.policy.version);
+  const held = font.body.approval_reasons.find(reason => reason.criterion === 'regressionReview');
+  assert.equal(held.passed, false);
+  assert.match(held.reason, /^Regression: /);
+});
+
+test('scans reject a per-request pixelThreshold', async () => {
+  for (const path of ['/api/scan/start', '/api/scan/incremental']) {
+    const { status, body } = await api.request('POST', path, { body: { pixelThreshold: 80 }, admin: true });
+    assert.equal(status, 400);
+    assert.match(body.error, /minPixelDifference/);
+  }
+
+  assert.equal(await api.repository.findRunningBatch(), null);
+});
@@ -0,0 +1,33 @@
+// Embed snippets from GET /api/fonts/:id/embed
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildScanResult, startServer } = require('./helpers');
+
+let api;
+let fontId;
+
+before(async () => {
+  api = await startServer();
+
+  const family = 'Odd "Sans"';
+  fontId = await api.repository.saveScanResult(buildScanResult(family, {
+    googleFontData: {
+      family,
+      category: 'sans-serif',
+      version: 'v1',
+      lastModified: '2024-01-01',
+      variants: ['regular'],
+      files: { regular: 'https://fonts.gstatic.com/s/odd/v1/regular.ttf' }
+    }
+  }), 'test');
+});
+
+after(() => api.close());
+
+test('escapes quotes in the family name of CSS snippets', async () => {
+  const { status, body } = await api.request('GET', `/api/fonts/${fontId}/embed`);
+  assert.equal(status, 200);
+  assert.match(body.snippets.fontFace, /font-family: "Odd \\22 Sans\\22 ";/);
+  assert.equal(body.snippets.cssFontFamily, 'font-family: "Odd \\22 Sans\\22 ", sans-serif;');
+});
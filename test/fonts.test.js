@@ -0,0 +1,88 @@
+// GET /api/fonts: pagination, filters and facet counts against the memory backend
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildScanResult, startServer } = require('./helpers');
+
+let api;
+
+before(async () => {
+  api = await startServer();
+
+  // 23 approved sans-serif fonts, two approved serif fonts and one without kahakō
+  for (let i = 1; i <= 23; i++) {
+    await api.repository.saveScanResult(buildScanResult(`Sans ${String(i).padStart(2, '0')}`), 'test');
+  }
+  for (const family of ['Hawaiʻi Serif', 'Āina Serif']) {
+    await api.repository.saveScanResult(buildScanResult(family, {
+      googleFontData: { family, category: 'serif', version: 'v1', lastModified: '2024-01-01' }
+    }), 'test');
+  }
+  await api.repository.saveScanResult(buildScanResult('Plain Mono', { supported: false }), 'test');
+  await api.repository.saveScanResult(buildScanResult('100% Grotesk'), 'test');
+});
+
+after(() => api.close());
+
+test('lists approved fonts a page at a time', async () => {
+  const first = await api.request('GET', '/api/fonts?limit=10');
+  assert.equal(first.status, 200);
+  assert.equal(first.body.fonts.length, 10);
+  assert.deepEqual(first.body.pagination, {
+    currentPage: 1,
+    totalPages: 3,
+    totalCount: 26,
+    hasNext: true,
+    hasPrev: false
+  });
+
+  const last = await api.request('GET', '/api/fonts?limit=10&page=3');
+  assert.equal(last.body.fonts.length, 6);
+  assert.equal(last.body.pagination.hasNext, false);
+  assert.equal(last.body.pagination.hasPrev, true);
+
+  const pages = [first, await api.request('GET', '/api/fonts?limit=10&page=2'), last];
+  const families = pages.flatMap(page => page.body.fonts.map(font => font.font_family));
+  assert.equal(new Set(families).size, 26);
+  assert.ok(!families.includes('Plain Mono'));
+});
+
+test('sorts by the requested column', async () => {
+  const { body } = await api.request('GET', '/api/fonts?search=sans&limit=3&sortBy=font_family&sortOrder=desc');
+  assert.deepEqual(body.fonts.map(font => font.font_family), ['Sans 23', 'Sans 22', 'Sans 21']);
+});
+
+test('filters by category and counts facets', async () => {
+  const { status, body } = await api.request('GET', '/api/fonts?category=serif');
+  assert.equal(status, 200);
+  assert.deepEqual(body.fonts.map(font => font.font_family).sort(), ['Hawaiʻi Serif', 'Āina Serif']);
+  assert.equal(body.pagination.totalCount, 2);
+  assert.ok(body.facets);
+});
+
+test('search ignores kahakō and the ʻokina', async () => {
+  const { body } = await api.request('GET', '/api/fonts?search=aina');
+  assert.deepEqual(body.fonts.map(font => font.font_family), ['Āina Serif']);
+
+  const hawaii = await api.request('GET', '/api/fonts?search=Hawaii');
+  assert.deepEqual(hawaii.body.fonts.map(font => font.font_family), ['Hawaiʻi Serif']);
+});
+
+test('search matches % and _ literally', async () => {
+  const percent = await api.request('GET', '/api/fonts?search=%25');
+  assert.deepEqual(percent.body.fonts.map(font => font.font_family), ['100% Grotesk']);
+
+  const underscore = await api.request('GET', '/api/fonts?search=_');
+  assert.deepEqual(underscore.body.fonts, []);
+});
+
+test('lists fonts that are not auto-approved as pending', async () => {
+  const { body } = await api.request('GET', '/api/fonts?approvalStatus=pending');
+  assert.deepEqual(body.fonts.map(font => font.font_family), ['Plain Mono']);
+});
+
+test('rejects an unknown language', async () => {
+  const { status, body } = await api.request('GET', '/api/fonts?language=xx');
+  assert.equal(status, 400);
+  assert.ok(body.error);
+});
@@ -0,0 +1,82 @@
+// Shared helpers for the route tests: an in-memory server and scanner-shaped
+// results to seed it with.
+
+const ADMIN_API_KEY = 'test-admin-key';
+
+process.env.DATA_BACKEND = 'memory';
+process.env.ADMIN_API_KEY = ADMIN_API_KEY;
+process.env.NODE_ENV = 'test';
+
+// Server logs go to stderr: Node 20's test runner reports over the test
+// file's stdout, and interleaved log lines can break that report stream
+console.log = console.error;
+
+const KAHAKO = ['Ā', 'ā', 'Ē', 'ē', 'Ī', 'ī', 'Ō', 'ō', 'Ū', 'ū'];
+
+// A scanner result for one font. Options: supported (Hawaiian characters
+// present), pixelDifference (ʻokina vs apostrophe), scannedAt and anything
+// to merge into the result.
+function buildScanResult(fontFamily, options = {}) {
+  const { supported = true, pixelDifference = 120, scannedAt = new Date().toISOString(), ...overrides } = options;
+  const coverage = { 'ʻ': { supported, codePoint: 'U+02BB' } };
+
+  for (const character of KAHAKO) {
+    coverage[character] = { supported, codePoint: `U+${character.codePointAt(0).toString(16).toUpperCase().padStart(4, '0')}` };
+  }
+
+  const supportedCount = supported ? KAHAKO.length + 1 : 0;
+
+  return {
+    fontFamily,
+    googleFontData: { family: fontFamily, category: 'sans-serif', version: 'v1', lastModified: '2024-01-01' },
+    okenVsApostropheDifference: pixelDifference,
+    hasVisualDistinction: pixelDifference >= 50,
+    fullySupported: supported,
+    diacriticalSupport: {
+      okinaSupported: supported,
+      allSupported: supported,
+      supportedCount,
+      totalCount: KAHAKO.length + 1,
+      percentageSupported: supported ? 100 : 0,
+      coverage
+    },
+    combiningMarkSupport: {
+      allEquivalent: supported,
+      individual: Object.fromEntries(KAHAKO.map(character => [character, { mismatchRatio: supported ? 0 : 0.5 }]))
+    },
+    scannedAt,
+    ...overrides
+  };
+}
+
+// Start the API on a random port; returns { baseUrl, repository, request, close }
+async function startServer() {
+  const { app, repository } = require('../server');
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  async function request(method, path, { body, admin = false } = {}) {
+    const headers = {};
+    if (body !== undefined) headers['Content-Type'] = 'application/json';
+    if (admin) headers['X-API-Key'] = ADMIN_API_KEY;
+
+    const response = await fetch(baseUrl + path, {
+      method,
+      headers,
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+
+    return { status: response.status, body: await response.json().catch(() => null) };
+  }
+
+  return {
+    baseUrl,
+    repository,
+    request,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+module.exports = { ADMIN_API_KEY, buildScanResult, startServer };
@@ -0,0 +1,46 @@
+// Importing scanner results through POST /api/admin/import
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildScanResult, startServer } = require('./helpers');
+
+let api;
+
+before(async () => {
+  api = await startServer();
+});
+
+after(() => api.close());
+
+const importResults = (results, filename) =>
+  api.request('POST', '/api/admin/import', { body: { filename, results }, admin: true });
+
+async function getHistory(family) {
+  const { body } = await api.request('GET', `/api/fonts?search=${encodeURIComponent(family)}`);
+  const history = await api.request('GET', `/api/fonts/${body.fonts[0].id}/history`);
+  return history.body.history;
+}
+
+test('importing the same file twice adds no scan history', async () => {
+  const results = [buildScanResult('Imported Sans', { scannedAt: '2024-01-01T00:00:00Z' })];
+
+  const first = await importResults(results, 'results.json');
+  assert.equal(first.status, 200);
+  assert.equal(first.body.imported, 1);
+
+  const second = await importResults(results, 'results.json');
+  assert.equal(second.body.imported, 0);
+  assert.equal(second.body.skipped, 1);
+  assert.equal((await getHistory('Imported Sans')).length, 1);
+});
+
+test('refuses results without a valid scannedAt', async () => {
+  const { body } = await importResults([
+    { ...buildScanResult('Undated Sans'), scannedAt: undefined },
+    buildScanResult('Misdated Sans', { scannedAt: 'yesterday' })
+  ], 'undated.json');
+
+  assert.equal(body.imported, 0);
+  assert.equal(body.failed, 2);
+  assert.deepEqual(body.errors.map(error => error.error), ['Result has no valid scannedAt', 'Result has no valid scannedAt']);
+});
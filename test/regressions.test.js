@@ -0,0 +1,78 @@
+// Regressions between scans: a font pulled out of auto-approval stays out
+// until a reviewer clears it
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildScanResult, startServer } = require('./helpers');
+
+let api;
+
+before(async () => {
+  api = await startServer();
+});
+
+after(() => api.close());
+
+const scan = (family, day, options = {}) =>
+  api.repository.saveScanResult(buildScanResult(family, { scannedAt: `2024-01-${day}T00:00:00Z`, ...options }), `scan-${day}`);
+
+async function getStanding(id) {
+  const { body } = await api.request('GET', `/api/fonts/${id}`);
+  return { autoApproved: body.auto_approved, needsReview: body.needs_review };
+}
+
+test('a regressed font stays pulled out across later scans until reviewed', async () => {
+  const id = await scan('Regressing Sans', '01');
+  assert.deepEqual(await getStanding(id), { autoApproved: true, needsReview: false });
+
+  await scan('Regressing Sans', '02', { supported: false });
+  assert.deepEqual(await getStanding(id), { autoApproved: false, needsReview: true });
+
+  await scan('Regressing Sans', '03', { supported: false });
+  assert.deepEqual(await getStanding(id), { autoApproved: false, needsReview: true });
+
+  // Support coming back does not approve the font while the review is open
+  await scan('Regressing Sans', '04');
+  const held = await api.request('GET', `/api/fonts/${id}`);
+  assert.equal(held.body.auto_approved, false);
+  assert.equal(held.body.needs_review, true);
+  assert.ok(held.body.approval_reasons.some(reason => reason.criterion === 'regressionReview' && !reason.passed));
+
+  const history = await api.request('GET', `/api/fonts/${id}/history`);
+  assert.deepEqual(history.body.history.map(row => [row.auto_approved, row.is_regression]), [
+    [false, false],
+    [false, false],
+    [false, true],
+    [true, false]
+  ]);
+
+  const review = await api.request('PATCH', `/api/admin/fonts/${id}/review`, { body: { approved: true }, admin: true });
+  assert.equal(review.status, 200);
+
+  await scan('Regressing Sans', '05');
+  assert.deepEqual(await getStanding(id), { autoApproved: true, needsReview: false });
+});
+
+test('a variant added in a font update is not a regression', async () => {
+  const regular = buildScanResult('Growing Sans');
+  const id = await scan('Growing Sans', '01', { variantResults: { regular }, variantCount: 1 });
+
+  await scan('Growing Sans', '02', {
+    variantResults: { regular, italic: buildScanResult('Growing Sans', { supported: false }) },
+    variantCount: 2
+  });
+
+  const history = await api.request('GET', `/api/fonts/${id}/history`);
+  assert.equal(history.body.history[0].is_regression, false);
+  assert.deepEqual(await getStanding(id), { autoApproved: true, needsReview: false });
+
+  // The italic is compared from now on
+  await scan('Growing Sans', '03', { variantResults: { regular, italic: regular }, variantCount: 2 });
+  await scan('Growing Sans', '04', {
+    variantResults: { regular, italic: buildScanResult('Growing Sans', { supported: false }) },
+    variantCount: 2
+  });
+
+  const latest = await api.request('GET', `/api/fonts/${id}/history?limit=1`);
+  assert.deepEqual(latest.body.history[0].regression_reasons.map(reason => reason.code), ['variants_unsupported']);
+});
@@ -0,0 +1,110 @@
+// Manual review of fonts through PATCH /api/admin/fonts/:id/review
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildScanResult, startServer } = require('./helpers');
+
+let api;
+let approvedId;
+let pendingId;
+let unsupportedId;
+
+before(async () => {
+  api = await startServer();
+  approvedId = await api.repository.saveScanResult(buildScanResult('Approved Sans'), 'test');
+  pendingId = await api.repository.saveScanResult(buildScanResult('Pending Sans', { supported: false }), 'test');
+  unsupportedId = await api.repository.saveScanResult(buildScanResult('Unsupported Sans', { supported: false }), 'test');
+});
+
+after(() => api.close());
+
+const listFamilies = async (query = '') => {
+  const { body } = await api.request('GET', `/api/fonts?facets=false${query}`);
+  return body.fonts.map(font => font.font_family);
+};
+
+test('requires an API key', async () => {
+  const { status } = await api.request('PATCH', `/api/admin/fonts/${pendingId}/review`, { body: { approved: true } });
+  assert.equal(status, 401);
+});
+
+test('rejects a review without a boolean approved', async () => {
+  for (const body of [{}, { approved: 'false' }, { approved: 0 }, { approved: null }]) {
+    const { status, body: response } = await api.request('PATCH', `/api/admin/fonts/${approvedId}/review`, { body, admin: true });
+    assert.equal(status, 400);
+    assert.equal(response.error, 'approved must be true or false');
+  }
+
+  // Nothing was recorded
+  assert.deepEqual(await listFamilies(), ['Approved Sans']);
+  const detail = await api.request('GET', `/api/fonts/${approvedId}`);
+  assert.equal(detail.body.manually_reviewed, false);
+});
+
+test('returns 404 for an unknown font', async () => {
+  const { status } = await api.request('PATCH', '/api/admin/fonts/9999/review', {
+    body: { approved: true },
+    admin: true
+  });
+  assert.equal(status, 404);
+});
+
+test('approving a pending font lists it', async () => {
+  assert.deepEqual(await listFamilies(), ['Approved Sans']);
+
+  const { status, body } = await api.request('PATCH', `/api/admin/fonts/${pendingId}/review`, {
+    body: { approved: true, notes: 'Checked by hand' },
+    admin: true
+  });
+  assert.equal(status, 200);
+  assert.equal(body.font.manually_approved, true);
+  assert.ok(body.font.reviewed_by);
+
+  assert.deepEqual(await listFamilies(), ['Approved Sans', 'Pending Sans']);
+  assert.deepEqual(await listFamilies('&approvalStatus=pending'), ['Unsupported Sans']);
+
+  const detail = await api.request('GET', `/api/fonts/${pendingId}`);
+  assert.equal(detail.body.review_notes, 'Checked by hand');
+});
+
+test('rejecting a pending font takes it out of the review queue', async () => {
+  const { status } = await api.request('PATCH', `/api/admin/fonts/${unsupportedId}/review`, {
+    body: { approved: false, notes: 'No kahakō vowels' },
+    admin: true
+  });
+  assert.equal(status, 200);
+
+  assert.deepEqual(await listFamilies('&approvalStatus=pending'), []);
+  assert.deepEqual(await listFamilies('&approvalStatus=rejected'), ['Unsupported Sans']);
+  assert.deepEqual(await listFamilies(), ['Approved Sans', 'Pending Sans']);
+});
+
+test('rejecting an auto-approved font removes it from every language', async () => {
+  const id = await api.repository.saveScanResult(buildScanResult('Rejected Sans', { approvedLanguages: ['haw', 'mi'] }), 'test');
+  assert.ok((await listFamilies()).includes('Rejected Sans'));
+
+  const { status } = await api.request('PATCH', `/api/admin/fonts/${id}/review`, {
+    body: { approved: false, notes: 'ʻOkina looks like an apostrophe' },
+    admin: true
+  });
+  assert.equal(status, 200);
+
+  assert.ok(!(await listFamilies()).includes('Rejected Sans'));
+  assert.ok(!(await listFamilies('&language=mi')).includes('Rejected Sans'));
+  assert.ok((await listFamilies('&approvalStatus=rejected')).includes('Rejected Sans'));
+});
+
+test('repeated support reports send a font back to review until it is re-reviewed', async () => {
+  for (let i = 0; i < 3; i++) {
+    const report = await api.request('POST', '/api/feedback', {
+      body: { fontId: approvedId, feedbackType: 'incorrect_support', message: 'Kahakō overlaps the ō' }
+    });
+    assert.equal(report.status, 200);
+  }
+
+  assert.deepEqual(await listFamilies(), ['Pending Sans']);
+  assert.deepEqual(await listFamilies('&approvalStatus=pending'), ['Approved Sans']);
+
+  await api.request('PATCH', `/api/admin/fonts/${approvedId}/review`, { body: { approved: true }, admin: true });
+  assert.deepEqual(await listFamilies(), ['Approved Sans', 'Pending Sans']);
+});
@@ -0,0 +1,72 @@
+// Catalog snapshot of offset batches started with POST /api/scan/start. The
+// catalog comes from the committed three-font fixture, so the scans find no
+// fonts at these offsets and end quickly; only their batch rows matter here.
+// Older snapshots are cached in a temporary directory.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.GOOGLE_FONTS_FIXTURE = path.join(__dirname, '..', 'fixtures', 'catalog.json');
+process.env.GOOGLE_FONTS_CACHE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'catalog-cache-'));
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+let api;
+let currentSnapshotId;
+
+before(async () => {
+  api = await startServer();
+
+  const snapshots = path.join(process.env.GOOGLE_FONTS_CACHE_DIR, 'snapshots');
+  fs.mkdirSync(snapshots);
+  fs.writeFileSync(path.join(snapshots, 'run-snapshot.json'), JSON.stringify({ id: 'run-snapshot', items: [] }));
+});
+
+after(async () => {
+  await api.close();
+  fs.rmSync(process.env.GOOGLE_FONTS_CACHE_DIR, { recursive: true, force: true });
+});
+
+async function seedBatch({ offset, limit, catalogSnapshotId, startedAt = new Date() }) {
+  const batch = await api.repository.createBatch({ scanType: 'manual', offset, limit, pixelThreshold: 50, catalogSnapshotId });
+  await api.repository.updateBatch(batch.id, { status: 'completed', started_at: startedAt });
+}
+
+async function startBatch(offset) {
+  const { status, body } = await api.request('POST', '/api/scan/start', { body: { offset, batchSize: 50 }, admin: true });
+  assert.equal(status, 200);
+
+  while (await api.repository.findRunningBatch()) {
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+
+  return body.catalogSnapshotId;
+}
+
+test('a run that started too long ago is not continued', async () => {
+  await seedBatch({ offset: 0, limit: 50, catalogSnapshotId: 'stale-snapshot', startedAt: new Date(Date.now() - 25 * 60 * 60 * 1000) });
+
+  currentSnapshotId = await startBatch(50);
+  assert.notEqual(currentSnapshotId, 'stale-snapshot');
+});
+
+test('the next offset of a recent run keeps its snapshot', async () => {
+  await seedBatch({ offset: 100, limit: 50, catalogSnapshotId: 'run-snapshot' });
+
+  assert.equal(await startBatch(150), 'run-snapshot');
+});
+
+test('a run whose snapshot was pruned is not continued on another catalog', async () => {
+  await seedBatch({ offset: 200, limit: 50, catalogSnapshotId: 'pruned-snapshot' });
+
+  const { status, body } = await api.request('POST', '/api/scan/start', { body: { offset: 250, batchSize: 50 }, admin: true });
+  assert.equal(status, 400);
+  assert.match(body.error, /pruned-snapshot, which is no longer cached/);
+});
+
+test('an offset that does not continue the latest batch scans the current catalog', async () => {
+  assert.equal(await startBatch(500), currentSnapshotId);
+});
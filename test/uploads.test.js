@@ -0,0 +1,51 @@
+// POST /api/fonts/upload: family names that could break out of the scanner's
+// CSS or HTML are refused before anything is stored
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { startServer } = require('./helpers');
+
+const NUNITO = fs.readFileSync(path.join(__dirname, '..', 'fixtures', 'fonts', 'Nunito-Regular.ttf'));
+
+let api;
+
+before(async () => {
+  api = await startServer();
+});
+
+after(() => api.close());
+
+// The Nunito fixture with its family name (UTF-16BE in the name table)
+// replaced by another six-character name
+function renameFont(family) {
+  const original = Buffer.from('Nunito', 'utf16le').swap16();
+  const replacement = Buffer.from(family, 'utf16le').swap16();
+  const font = Buffer.from(NUNITO);
+  let index;
+
+  while ((index = font.indexOf(original)) !== -1) {
+    replacement.copy(font, index);
+  }
+
+  return font;
+}
+
+async function upload(buffer) {
+  const form = new FormData();
+  form.append('font', new Blob([buffer]), 'font.ttf');
+
+  const response = await fetch(`${api.baseUrl}/api/fonts/upload`, { method: 'POST', body: form });
+  return { status: response.status, body: await response.json() };
+}
+
+test('rejects family names that could escape CSS or HTML', async () => {
+  for (const family of ['Nu</>;', 'Nu"}x{', "Nu'`ab", 'Nu\u0000\u001fab']) {
+    const { status, body } = await upload(renameFont(family));
+    assert.equal(status, 400, family);
+    assert.match(body.error, /family name must not contain/);
+  }
+
+  assert.equal(await api.repository.getFontScannedAt('Nu</>;', 'upload'), null);
+});
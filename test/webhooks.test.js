@@ -0,0 +1,95 @@
+// Webhooks: redelivery through POST /api/admin/webhooks/deliveries/:id/redeliver
+// and the scan.completed event of an incremental run with nothing to scan. The
+// catalog comes from the committed three-font fixture.
+
+process.env.GOOGLE_FONTS_FIXTURE = require('path').join(__dirname, '..', 'fixtures', 'catalog.json');
+
+const http = require('http');
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildScanResult, startServer } = require('./helpers');
+
+let api;
+let receiver;
+let releaseRequests;
+const receivedEvents = [];
+
+before(async () => {
+  api = await startServer();
+
+  // Holds every request until the test releases it, so a delivery stays in flight
+  const held = [];
+  releaseRequests = () => held.splice(0).forEach(response => response.end());
+  receiver = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => receivedEvents.push(JSON.parse(body).event));
+    held.push(res);
+  });
+  await new Promise(resolve => receiver.listen(0, resolve));
+});
+
+after(async () => {
+  releaseRequests();
+  await new Promise(resolve => receiver.close(resolve));
+  await api.close();
+});
+
+async function waitForDelivery(status) {
+  for (let i = 0; i < 50; i++) {
+    const { body } = await api.request('GET', `/api/admin/webhooks/deliveries?status=${status}`, { admin: true });
+    if (body.deliveries.length > 0) return body.deliveries[0];
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  throw new Error(`No ${status} delivery`);
+}
+
+test('answers 409 for a delivery that is being sent', async () => {
+  const created = await api.request('POST', '/api/admin/webhooks', {
+    body: { url: `http://127.0.0.1:${receiver.address().port}/hook`, events: ['font.approved'] },
+    admin: true
+  });
+  assert.equal(created.status, 201);
+
+  const fontId = await api.repository.saveScanResult(buildScanResult('Pending Sans', { supported: false }), 'test');
+  const review = await api.request('PATCH', `/api/admin/fonts/${fontId}/review`, { body: { approved: true }, admin: true });
+  assert.equal(review.status, 200);
+
+  const delivery = await waitForDelivery('pending');
+  const { status, body } = await api.request('POST', `/api/admin/webhooks/deliveries/${delivery.id}/redeliver`, { admin: true });
+  assert.equal(status, 409);
+  assert.equal(body.error, 'Delivery already in progress');
+
+  releaseRequests();
+  await waitForDelivery('succeeded');
+});
+
+test('answers 404 for an unknown delivery', async () => {
+  const { status } = await api.request('POST', '/api/admin/webhooks/deliveries/9999/redeliver', { admin: true });
+  assert.equal(status, 404);
+});
+
+test('an incremental run with nothing to scan sends scan.completed', async () => {
+  const created = await api.request('POST', '/api/admin/webhooks', {
+    body: { url: `http://127.0.0.1:${receiver.address().port}/hook`, events: ['scan.completed'] },
+    admin: true
+  });
+  assert.equal(created.status, 201);
+
+  const { items } = require('../fixtures/catalog.json');
+  for (const { family, version, lastModified, category } of items) {
+    await api.repository.saveScanResult(buildScanResult(family, {
+      googleFontData: { family, category, version, lastModified }
+    }), 'test');
+  }
+
+  const { status, body } = await api.request('POST', '/api/scan/incremental', { body: {}, admin: true });
+  assert.equal(status, 200);
+  assert.equal(body.familiesToScan, 0);
+
+  for (let i = 0; i < 50 && !receivedEvents.includes('scan.completed'); i++) {
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  releaseRequests();
+  assert.ok(receivedEvents.includes('scan.completed'));
+});
@@ -0,0 +1,202 @@
+// Typography checks beyond glyph coverage. A font can have every kahakō vowel
+// and still ship a macron on Ā that is clipped at tight line-heights or runs
+// into the descenders of the line above, or an ʻokina with so much
+// sidebearing that "Hawaiʻi" reads as two words.
+//
+// The scanner measures glyph ink boxes in the page (see
+// HawaiianFontScanner.measureTypography); evaluateTypography turns those
+// measurements into pass/warn/fail per check. Lengths are in em.
+
+const TYPOGRAPHY_STATUSES = ['pass', 'warn', 'fail'];
+
+const DEFAULT_THRESHOLDS = {
+  tightLineHeight: 1.0, // Kahakō vowels must clear the line box here to pass...
+  normalLineHeight: 1.2, // ...and here to avoid failing
+  ascenderOvershootWarn: 0, // Ink above the font's ascender (em)
+  ascenderOvershootFail: 0.05,
+  okinaAdvanceWarn: 1.0, // ʻokina advance width / space width
+  okinaAdvanceFail: 1.5,
+  okinaGapWarn: 0.6, // Widest ink gap between a vowel and the ʻokina / space width
+  okinaGapFail: 0.9
+};
+
+const DESCENDER_SAMPLE = 'gjpqy';
+const VOWELS = ['a', 'e', 'i', 'o', 'u'];
+
+const round = value => Math.round(value * 1000) / 1000;
+
+function worstStatus(statuses) {
+  return statuses.reduce((worst, status) =>
+    TYPOGRAPHY_STATUSES.indexOf(status) > TYPOGRAPHY_STATUSES.indexOf(worst) ? status : worst, 'pass');
+}
+
+// Every string the checks need measured: uppercase kahakō vowels, descenders,
+// the ʻokina and space alone, and each lowercase vowel on either side of the ʻokina
+function getTypographySamples(uppercaseVowels, okina) {
+  return [
+    ...uppercaseVowels,
+    DESCENDER_SAMPLE,
+    okina,
+    ' ',
+    ...VOWELS,
+    ...VOWELS.flatMap(vowel => [`${vowel}${okina}`, `${okina}${vowel}`])
+  ];
+}
+
+// CSS puts half the leading above the font's ascent: the line box top sits
+// this far above the baseline at a given line-height
+function getLineTop(metrics, lineHeight) {
+  const contentHeight = metrics.ascent + metrics.descent;
+  return metrics.ascent + (lineHeight - contentHeight) / 2;
+}
+
+function checkAscender(metrics, tallest, thresholds) {
+  const overshoot = tallest.ascent - metrics.ascent;
+  const status = overshoot > thresholds.ascenderOvershootFail ? 'fail'
+    : overshoot > thresholds.ascenderOvershootWarn ? 'warn' : 'pass';
+
+  return {
+    status,
+    character: tallest.character,
+    inkTop: round(tallest.ascent),
+    ascender: round(metrics.ascent),
+    overshoot: round(overshoot),
+    message: overshoot > 0
+      ? `Macron on ${tallest.character} rises ${round(overshoot)}em above the ascender and can be clipped`
+      : 'Kahakō vowels stay within the ascender'
+  };
+}
+
+// Clipping by the line box, e.g. in overflow: hidden containers
+function checkLineHeight(metrics, tallest, thresholds) {
+  const tightClearance = getLineTop(metrics, thresholds.tightLineHeight) - tallest.ascent;
+  const normalClearance = getLineTop(metrics, thresholds.normalLineHeight) - tallest.ascent;
+  const status = tightClearance >= 0 ? 'pass' : normalClearance >= 0 ? 'warn' : 'fail';
+
+  return {
+    status,
+    character: tallest.character,
+    clearance: { tight: round(tightClearance), normal: round(normalClearance) },
+    message: status === 'pass'
+      ? `Kahakō vowels fit the line box at line-height ${thresholds.tightLineHeight}`
+      : `Macron on ${tallest.character} is clipped at line-height ${status === 'warn' ? thresholds.tightLineHeight : thresholds.normalLineHeight}`
+  };
+}
+
+// The previous line's descenders sit lineHeight above this baseline
+function checkCollision(metrics, tallest, descender, thresholds) {
+  const clearanceAt = lineHeight => lineHeight - descender.descent - tallest.ascent;
+  const tightClearance = clearanceAt(thresholds.tightLineHeight);
+  const normalClearance = clearanceAt(thresholds.normalLineHeight);
+  const status = tightClearance >= 0 ? 'pass' : normalClearance >= 0 ? 'warn' : 'fail';
+
+  return {
+    status,
+    character: tallest.character,
+    descenderDepth: round(descender.descent),
+    clearance: { tight: round(tightClearance), normal: round(normalClearance) },
+    message: status === 'pass'
+      ? `Kahakō vowels clear the descenders of the line above at line-height ${thresholds.tightLineHeight}`
+      : `Macron on ${tallest.character} collides with descenders of the line above at line-height ${status === 'warn' ? thresholds.tightLineHeight : thresholds.normalLineHeight}`
+  };
+}
+
+function checkOkinaAdvance(okina, space, thresholds) {
+  const ratio = okina.width / space.width;
+  const status = ratio > thresholds.okinaAdvanceFail ? 'fail'
+    : ratio > thresholds.okinaAdvanceWarn ? 'warn' : 'pass';
+
+  return {
+    status,
+    advance: round(okina.width),
+    spaceWidth: round(space.width),
+    ratio: round(ratio),
+    message: `ʻokina advance is ${round(ratio)}× the width of a space`
+  };
+}
+
+// Gap between the vowel's ink and the ʻokina's ink, kerning included
+function measureOkinaGaps(measure, okinaCharacter) {
+  const okina = measure(okinaCharacter);
+
+  return VOWELS.flatMap(vowel => {
+    const glyph = measure(vowel);
+    const before = measure(`${vowel}${okinaCharacter}`);
+    const after = measure(`${okinaCharacter}${vowel}`);
+
+    const okinaOrigin = before.width - okina.width;
+    const vowelOrigin = after.width - glyph.width;
+
+    return [
+      { pair: `${vowel}${okinaCharacter}`, gap: (okinaOrigin - okina.left) - glyph.right },
+      { pair: `${okinaCharacter}${vowel}`, gap: (vowelOrigin - glyph.left) - okina.right }
+    ];
+  });
+}
+
+function checkOkinaSpacing(measure, okinaCharacter, space, thresholds) {
+  const gaps = measureOkinaGaps(measure, okinaCharacter);
+  const widest = gaps.reduce((max, gap) => (gap.gap > max.gap ? gap : max));
+  const ratio = widest.gap / space.width;
+  const status = ratio >= thresholds.okinaGapFail ? 'fail'
+    : ratio >= thresholds.okinaGapWarn ? 'warn' : 'pass';
+
+  return {
+    status,
+    widestPair: widest.pair,
+    widestGap: round(widest.gap),
+    ratio: round(ratio),
+    gaps: Object.fromEntries(gaps.map(({ pair, gap }) => [pair, round(gap)])),
+    message: status === 'pass'
+      ? 'ʻokina sits close enough to its vowels to read as part of the word'
+      : `Gap in "${widest.pair}" is ${round(ratio)}× a space and can read as a word break`
+  };
+}
+
+// measurements: { fontSize, ascent, descent, glyphs: { [text]: { width, left,
+// right, ascent, descent } } } in pixels, as returned by measureTypography.
+// Returns { status, lineHeights, checks: { [name]: { status, message, ... } } }.
+function evaluateTypography(measurements, options = {}) {
+  const thresholds = { ...DEFAULT_THRESHOLDS, ...options.thresholds };
+  const { uppercaseVowels, okina } = options;
+  const em = measurements.fontSize;
+
+  const measure = text => {
+    const glyph = measurements.glyphs[text];
+    return {
+      width: glyph.width / em,
+      left: glyph.left / em,
+      right: glyph.right / em,
+      ascent: glyph.ascent / em,
+      descent: glyph.descent / em
+    };
+  };
+
+  const metrics = { ascent: measurements.ascent / em, descent: measurements.descent / em };
+  const tallest = uppercaseVowels
+    .map(character => ({ character, ...measure(character) }))
+    .reduce((max, glyph) => (glyph.ascent > max.ascent ? glyph : max));
+  const space = measure(' ');
+
+  const checks = {
+    kahakoAscender: checkAscender(metrics, tallest, thresholds),
+    kahakoLineHeight: checkLineHeight(metrics, tallest, thresholds),
+    kahakoCollision: checkCollision(metrics, tallest, measure(DESCENDER_SAMPLE), thresholds),
+    okinaAdvance: checkOkinaAdvance(measure(okina), space, thresholds),
+    okinaSpacing: checkOkinaSpacing(measure, okina, space, thresholds)
+  };
+
+  return {
+    status: worstStatus(Object.values(checks).map(check => check.status)),
+    lineHeights: { tight: thresholds.tightLineHeight, normal: thresholds.normalLineHeight },
+    checks
+  };
+}
+
+module.exports = {
+  TYPOGRAPHY_STATUSES,
+  DEFAULT_THRESHOLDS,
+  getTypographySamples,
+  evaluateTypography,
+  worstStatus
+};
@@ -0,0 +1,67 @@
+#!/usr/bin/env node
+const http = require('http');
+const { parseArgs } = require('util');
+const { verifySignature } = require('./webhooks');
+
+// Minimal local webhook receiver for trying out subscriptions: verifies each
+// request's signature and prints the event.
+//
+//   node webhook-receiver.js --secret whsec_... [--port 4000] [--fail-first 2]
+//
+// --fail-first N answers the first N requests with HTTP 500 to exercise retries.
+
+const USAGE = 'Usage: node webhook-receiver.js --secret <secret> [--port 4000] [--fail-first <n>]';
+
+function main() {
+  const { values } = parseArgs({
+    options: {
+      secret: { type: 'string', default: process.env.WEBHOOK_SECRET },
+      port: { type: 'string', default: '4000' },
+      'fail-first': { type: 'string', default: '0' },
+      help: { type: 'boolean', short: 'h' }
+    }
+  });
+
+  if (values.help || !values.secret) {
+    console.log(USAGE);
+    process.exit(values.help ? 0 : 2);
+  }
+
+  let failuresLeft = parseInt(values['fail-first']) || 0;
+
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const body = Buffer.concat(chunks).toString('utf8');
+      const event = req.headers['x-webhook-event'];
+      const delivery = req.headers['x-webhook-delivery'];
+
+      if (!verifySignature(values.secret, req.headers['x-webhook-timestamp'], body, req.headers['x-webhook-signature'])) {
+        console.log(`❌ ${event} (delivery ${delivery}): invalid signature`);
+        res.writeHead(401).end();
+        return;
+      }
+
+      if (failuresLeft > 0) {
+        failuresLeft--;
+        console.log(`⚠️ ${event} (delivery ${delivery}): answering 500 to test retries`);
+        res.writeHead(500).end();
+        return;
+      }
+
+      console.log(`📨 ${event} (delivery ${delivery})`);
+      console.log(JSON.stringify(JSON.parse(body).data, null, 2));
+      res.writeHead(204).end();
+    });
+  });
+
+  server.listen(parseInt(values.port), () => {
+    console.log(`👂 Listening for webhooks on http://localhost:${server.address().port}`);
+  });
+}
+
+if (require.main === module) {
+  main();
+}
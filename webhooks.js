@@ -0,0 +1,280 @@
+const crypto = require('crypto');
+const axios = require('axios');
+
+// Outgoing webhooks. Each event is stored as one delivery row per matching
+// subscription, POSTed right away, and retried with exponential backoff until
+// the receiver answers 2xx or the attempts run out.
+//
+// Requests carry:
+//   X-Webhook-Event      event type, e.g. scan.completed
+//   X-Webhook-Delivery   delivery id (stable across retries)
+//   X-Webhook-Timestamp  unix seconds when this attempt was signed
+//   X-Webhook-Signature  sha256=<hex HMAC-SHA256 of "<timestamp>.<raw body>">
+
+const WEBHOOK_EVENTS = ['scan.completed', 'scan.failed', 'font.approved', 'font.rejected', 'font.regressed'];
+
+// Sent by POST /api/admin/webhooks/:id/test regardless of the subscribed events
+const TEST_EVENT = 'webhook.test';
+
+const DEFAULT_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 6;
+const DEFAULT_RETRY_BASE_MS = parseInt(process.env.WEBHOOK_RETRY_BASE_MS) || 30 * 1000;
+const DEFAULT_POLL_INTERVAL_MS = parseInt(process.env.WEBHOOK_POLL_INTERVAL_MS) || 15 * 1000;
+const DEFAULT_TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10 * 1000;
+
+// Signatures older than this are rejected by verifySignature (replay protection)
+const SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+
+function generateWebhookSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+function signPayload(secret, timestamp, body) {
+  const hmac = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `sha256=${hmac}`;
+}
+
+// For receivers: check X-Webhook-Signature against the raw request body
+function verifySignature(secret, timestamp, body, signature, toleranceSeconds = SIGNATURE_TOLERANCE_SECONDS) {
+  const age = Math.abs(Date.now() / 1000 - Number(timestamp));
+  if (!Number.isFinite(age) || age > toleranceSeconds) {
+    return false;
+  }
+
+  const expected = Buffer.from(signPayload(secret, timestamp, body));
+  const given = Buffer.from(String(signature || ''));
+
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+}
+
+// Wait before attempt n + 1 after n failed attempts: base, 2 x base, 4 x base...
+function getRetryDelay(attempts, baseMs = DEFAULT_RETRY_BASE_MS) {
+  return baseMs * 2 ** (attempts - 1);
+}
+
+// Thrown by redeliver when the delivery is being sent right now
+class DeliveryInProgressError extends Error {
+  constructor(deliveryId) {
+    super(`Webhook delivery ${deliveryId} is already in progress`);
+    this.deliveryId = deliveryId;
+  }
+}
+
+// Returns an error message, or null when the URL can receive webhooks
+function validateWebhookUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return 'url must be an absolute http(s) URL';
+  }
+
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    return 'url must be an absolute http(s) URL';
+  }
+
+  return null;
+}
+
+function createWebhookDispatcher(repository, options = {}) {
+  const {
+    maxAttempts = DEFAULT_MAX_ATTEMPTS,
+    retryBaseMs = DEFAULT_RETRY_BASE_MS,
+    pollIntervalMs = DEFAULT_POLL_INTERVAL_MS,
+    timeoutMs = DEFAULT_TIMEOUT_MS
+  } = options;
+
+  // Deliveries being sent right now, so the retry poller never sends one twice
+  const inFlight = new Set();
+  let pollTimer = null;
+  let polling = false;
+
+  async function queueDelivery(subscription, eventType, data) {
+    return repository.createWebhookDelivery({
+      subscriptionId: subscription.id,
+      eventType,
+      payload: {
+        event: eventType,
+        createdAt: new Date().toISOString(),
+        data
+      }
+    });
+  }
+
+  // Store a delivery for every active subscription to eventType and send them
+  // in the background; failures are left for the retry poller
+  async function emit(eventType, data) {
+    const subscriptions = await repository.listWebhooksForEvent(eventType);
+    const deliveries = [];
+
+    for (const subscription of subscriptions) {
+      const delivery = await queueDelivery(subscription, eventType, data);
+      deliveries.push(delivery);
+
+      deliver(delivery, subscription).catch(error => {
+        console.error(`Error delivering webhook ${delivery.id}:`, error);
+      });
+    }
+
+    return deliveries;
+  }
+
+  // One attempt at a delivery; returns the updated delivery row, or null when
+  // the delivery is already in flight
+  async function deliver(delivery, subscription) {
+    if (inFlight.has(String(delivery.id))) {
+      return null;
+    }
+    inFlight.add(String(delivery.id));
+
+    const attempts = delivery.attempts + 1;
+    let statusCode = null;
+    let errorMessage = null;
+
+    try {
+      const body = JSON.stringify(delivery.payload);
+      const timestamp = String(Math.floor(Date.now() / 1000));
+
+      const response = await axios.post(subscription.url, body, {
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'hawaiian-fonts-webhooks/1.0',
+          'X-Webhook-Event': delivery.event_type,
+          'X-Webhook-Delivery': String(delivery.id),
+          'X-Webhook-Timestamp': timestamp,
+          'X-Webhook-Signature': signPayload(subscription.secret, timestamp, body)
+        },
+        timeout: timeoutMs,
+        maxRedirects: 0,
+        responseType: 'text',
+        validateStatus: () => true
+      });
+
+      statusCode = response.status;
+      if (statusCode < 200 || statusCode >= 300) {
+        errorMessage = `Receiver responded with HTTP ${statusCode}`;
+      }
+    } catch (error) {
+      errorMessage = error.message;
+    }
+
+    try {
+      const changes = {
+        attempts,
+        last_attempt_at: new Date(),
+        last_status_code: statusCode,
+        last_error: errorMessage
+      };
+
+      if (!errorMessage) {
+        Object.assign(changes, { status: 'succeeded', delivered_at: new Date(), next_attempt_at: null });
+        console.log(`📨 Webhook ${delivery.event_type} delivered to ${subscription.url}`);
+      } else if (attempts >= maxAttempts) {
+        Object.assign(changes, { status: 'failed', next_attempt_at: null });
+        console.warn(`⚠️ Webhook ${delivery.id} to ${subscription.url} failed after ${attempts} attempts: ${errorMessage}`);
+      } else {
+        const delay = getRetryDelay(attempts, retryBaseMs);
+        Object.assign(changes, { status: 'pending', next_attempt_at: new Date(Date.now() + delay) });
+        console.warn(`⚠️ Webhook ${delivery.id} to ${subscription.url} failed (attempt ${attempts}/${maxAttempts}), retrying in ${Math.round(delay / 1000)}s: ${errorMessage}`);
+      }
+
+      return await repository.updateWebhookDelivery(delivery.id, changes);
+    } finally {
+      inFlight.delete(String(delivery.id));
+    }
+  }
+
+  // Retry every pending delivery whose backoff has elapsed
+  async function processDueDeliveries() {
+    if (polling) return 0;
+    polling = true;
+
+    try {
+      const due = await repository.listDueWebhookDeliveries(20);
+
+      for (const delivery of due) {
+        await deliver(delivery, { url: delivery.url, secret: delivery.secret });
+      }
+
+      return due.length;
+    } finally {
+      polling = false;
+    }
+  }
+
+  // Send a webhook.test event to one subscription and wait for the result
+  async function sendTestEvent(subscription) {
+    const delivery = await queueDelivery(subscription, TEST_EVENT, {
+      subscriptionId: subscription.id,
+      message: 'Test delivery from the Hawaiian Font Catalog'
+    });
+
+    return deliver(delivery, subscription);
+  }
+
+  // Start a delivery over with a fresh set of attempts; null if it does not
+  // exist. Throws DeliveryInProgressError while it is being sent.
+  async function redeliver(deliveryId) {
+    const delivery = await repository.getWebhookDelivery(deliveryId);
+    if (!delivery) return null;
+    if (inFlight.has(String(delivery.id))) {
+      throw new DeliveryInProgressError(delivery.id);
+    }
+
+    const subscription = await repository.getWebhook(delivery.subscription_id);
+    if (!subscription || !subscription.is_active) {
+      throw new Error('Webhook subscription is no longer active');
+    }
+
+    const reset = await repository.updateWebhookDelivery(delivery.id, {
+      status: 'pending',
+      attempts: 0,
+      next_attempt_at: new Date(),
+      last_error: null
+    });
+
+    const delivered = await deliver(reset, subscription);
+    if (!delivered) {
+      throw new DeliveryInProgressError(delivery.id);
+    }
+
+    return delivered;
+  }
+
+  function start() {
+    if (pollTimer) return;
+
+    pollTimer = setInterval(() => {
+      processDueDeliveries().catch(error => {
+        console.error('Error retrying webhook deliveries:', error);
+      });
+    }, pollIntervalMs);
+    pollTimer.unref();
+  }
+
+  function stop() {
+    clearInterval(pollTimer);
+    pollTimer = null;
+  }
+
+  return {
+    emit,
+    deliver,
+    processDueDeliveries,
+    sendTestEvent,
+    redeliver,
+    start,
+    stop
+  };
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  TEST_EVENT,
+  generateWebhookSecret,
+  signPayload,
+  verifySignature,
+  getRetryDelay,
+  validateWebhookUrl,
+  DeliveryInProgressError,
+  createWebhookDispatcher
+};